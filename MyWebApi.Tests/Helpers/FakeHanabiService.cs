@@ -0,0 +1,54 @@
+using MyWebApi.Models;
+using MyWebApi.Services;
+
+namespace MyWebApi.Tests.Helpers;
+
+/// <summary>
+/// In-memory <see cref="IHanabiService"/> for controller tests.
+///
+/// History holds one game per hour, newest first, ending at <see cref="Newest"/>.
+/// Player counts cycle 2, 3, 4 and every tenth game is variant 21. Game exports
+/// are not found, so the games a request picked show up in <see cref="ExportRequests"/>.
+/// </summary>
+public sealed class FakeHanabiService : IHanabiService
+{
+    public static readonly DateTimeOffset Newest = new(2024, 3, 31, 12, 0, 0, TimeSpan.Zero);
+
+    private readonly List<HanabiGame> _games;
+
+    public List<int> HistoryPages { get; } = new();
+    public List<int> ExportRequests { get; } = new();
+
+    public FakeHanabiService(int gameCount)
+    {
+        // Game IDs count down with age, like hanab.live
+        _games = Enumerable.Range(0, gameCount).Select(i => new HanabiGame
+        {
+            Id = 10000 - i,
+            NumPlayers = 2 + i % 3,
+            Variant = i % 10 == 0 ? 21 : 0,
+            Score = 20,
+            Users = "alice, bob",
+            DateTime = Newest.AddHours(-i).ToString("o"),
+        }).ToList();
+    }
+
+    public Task<HanabiHistoryResponse> GetHistoryAsync(string username, int page = 0, int size = 100)
+    {
+        HistoryPages.Add(page);
+        return Task.FromResult(new HanabiHistoryResponse
+        {
+            TotalRows = _games.Count,
+            Rows = _games.Skip(page * size).Take(size).ToList()
+        });
+    }
+
+    public Task<GameExport?> GetGameExportAsync(int gameId)
+    {
+        lock (ExportRequests)
+        {
+            ExportRequests.Add(gameId);
+        }
+        return Task.FromResult<GameExport?>(null);
+    }
+}
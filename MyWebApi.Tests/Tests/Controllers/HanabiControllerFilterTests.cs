@@ -0,0 +1,72 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using MyWebApi.Controllers;
+using MyWebApi.Tests.Helpers;
+using Xunit;
+
+namespace MyWebApi.Tests.Tests.Controllers;
+
+/// <summary>
+/// Tests for the playstyle endpoint's variant and player-count filters.
+/// See <see cref="FakeHanabiService"/> for the history they run against.
+/// </summary>
+public class HanabiControllerFilterTests
+{
+    private static HanabiController CreateController(FakeHanabiService service) =>
+        new(service, NullLogger<HanabiController>.Instance, new MemoryCache(new MemoryCacheOptions()));
+
+    [Fact]
+    public async Task Playstyle_WithPlayerCountFilter_AnalyzesOnlyMatchingGames()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        var result = await controller.GetPlaystyleProfile("alice", size: 5, minPlayers: 3, maxPlayers: 3);
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        service.ExportRequests.Should().BeEquivalentTo(new[] { 9999, 9996, 9993, 9990, 9987 });
+    }
+
+    [Fact]
+    public async Task Playstyle_WithVariantFilter_ScansOlderPagesForMatches()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        // Ten variant-21 games per page of 100
+        var result = await controller.GetPlaystyleProfile("alice", size: 15, variants: new[] { 21 });
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        service.HistoryPages.Should().Equal(0, 1);
+        service.ExportRequests.Should().HaveCount(15).And.OnlyContain(id => (10000 - id) % 10 == 0);
+    }
+
+    [Fact]
+    public async Task Playstyle_MinPlayersAboveMaxPlayers_ReturnsBadRequest()
+    {
+        var service = new FakeHanabiService(10);
+        var controller = CreateController(service);
+
+        var result = await controller.GetPlaystyleProfile("alice", minPlayers: 5, maxPlayers: 3);
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>();
+        service.HistoryPages.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task Playstyle_FilteredAndUnfilteredResults_AreCachedSeparately()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        // The newest game is a 2-player game, so both requests see the same latest game ID
+        var unfiltered = await controller.GetPlaystyleProfile("alice", size: 20);
+        var filtered = await controller.GetPlaystyleProfile("alice", size: 20, minPlayers: 2, maxPlayers: 2);
+
+        var unfilteredValue = unfiltered.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+        var filteredValue = filtered.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+        filteredValue.Should().NotBeSameAs(unfilteredValue);
+    }
+}
@@ -0,0 +1,136 @@
+using FluentAssertions;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Caching.Memory;
+using Microsoft.Extensions.Logging.Abstractions;
+using MyWebApi.Controllers;
+using MyWebApi.Tests.Helpers;
+using Xunit;
+
+namespace MyWebApi.Tests.Tests.Controllers;
+
+/// <summary>
+/// Tests for the from/to date range on the critical-trends and playstyle endpoints.
+/// See <see cref="FakeHanabiService"/> for the history they run against.
+/// </summary>
+public class HanabiControllerRangeTests
+{
+    private static readonly DateTimeOffset Newest = FakeHanabiService.Newest;
+
+    private static HanabiController CreateController(FakeHanabiService service, IMemoryCache? cache = null) =>
+        new(service, NullLogger<HanabiController>.Instance, cache ?? new MemoryCache(new MemoryCacheOptions()));
+
+    [Fact]
+    public async Task CriticalTrends_WithRange_AnalyzesOnlyGamesInRange()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        // Games 10 hours old up to (excluding) 5 hours old: IDs 9990..9994
+        var result = await controller.GetCriticalTrends("alice", size: 50, from: Newest.AddHours(-10), to: Newest.AddHours(-5));
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        service.ExportRequests.Should().BeEquivalentTo(new[] { 9990, 9991, 9992, 9993, 9994 });
+    }
+
+    [Fact]
+    public async Task CriticalTrends_WithRange_StopsAtSize()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        var result = await controller.GetCriticalTrends("alice", size: 3, from: Newest.AddHours(-10), to: Newest.AddHours(-5));
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        // The newest three in range
+        service.ExportRequests.Should().BeEquivalentTo(new[] { 9992, 9993, 9994 });
+    }
+
+    [Fact]
+    public async Task CriticalTrends_WithRange_StopsScanningOnceHistoryIsOlderThanFrom()
+    {
+        var service = new FakeHanabiService(1000);
+        var controller = CreateController(service);
+
+        // Range starts in the second page of 100
+        await controller.GetCriticalTrends("alice", size: 200, from: Newest.AddHours(-150), to: Newest.AddHours(-50));
+
+        service.HistoryPages.Should().Equal(0, 1);
+        service.ExportRequests.Should().HaveCount(100);
+    }
+
+    [Fact]
+    public async Task CriticalTrends_WithRange_StopsAtPageCap()
+    {
+        var service = new FakeHanabiService(2000);
+        var controller = CreateController(service);
+
+        // Nothing is old enough, so every page is scanned until the cap of 10
+        var result = await controller.GetCriticalTrends("alice", size: 50, to: Newest.AddHours(-5000));
+
+        result.Result.Should().BeOfType<OkObjectResult>();
+        service.HistoryPages.Should().Equal(Enumerable.Range(0, 10));
+        service.ExportRequests.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task CriticalTrends_WithoutRange_FetchesOnePage()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service);
+
+        await controller.GetCriticalTrends("alice", size: 20);
+
+        service.HistoryPages.Should().Equal(0);
+        service.ExportRequests.Should().HaveCount(20);
+    }
+
+    [Fact]
+    public async Task CriticalTrends_FromNotBeforeTo_ReturnsBadRequest()
+    {
+        var service = new FakeHanabiService(10);
+        var controller = CreateController(service);
+
+        var result = await controller.GetCriticalTrends("alice", from: Newest, to: Newest);
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>()
+            .Which.Value.Should().Be("from must be earlier than to");
+        service.HistoryPages.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task Playstyle_FromAfterTo_ReturnsBadRequest()
+    {
+        var service = new FakeHanabiService(10);
+        var controller = CreateController(service);
+
+        var result = await controller.GetPlaystyleProfile("alice", from: Newest, to: Newest.AddDays(-1));
+
+        result.Result.Should().BeOfType<BadRequestObjectResult>()
+            .Which.Value.Should().Be("from must be earlier than to");
+        service.HistoryPages.Should().BeEmpty();
+    }
+
+    [Fact]
+    public async Task Playstyle_RangedAndUnrangedResults_AreCachedSeparately()
+    {
+        var service = new FakeHanabiService(300);
+        var controller = CreateController(service, new MemoryCache(new MemoryCacheOptions()));
+        // Covers every game, so both requests see the same latest game ID
+        var from = Newest.AddDays(-30);
+        var to = Newest.AddDays(1);
+
+        var unranged = await controller.GetPlaystyleProfile("alice", size: 20);
+        var ranged = await controller.GetPlaystyleProfile("alice", size: 20, from: from, to: to);
+        var rangedAgain = await controller.GetPlaystyleProfile("alice", size: 20, from: from, to: to);
+        var otherRange = await controller.GetPlaystyleProfile("alice", size: 20, from: from.AddDays(-1), to: to);
+
+        var unrangedValue = unranged.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+        var rangedValue = ranged.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+        var rangedAgainValue = rangedAgain.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+        var otherRangeValue = otherRange.Result.Should().BeOfType<OkObjectResult>().Subject.Value;
+
+        rangedValue.Should().NotBeSameAs(unrangedValue);
+        rangedAgainValue.Should().BeSameAs(rangedValue);
+        otherRangeValue.Should().NotBeSameAs(rangedValue);
+    }
+}
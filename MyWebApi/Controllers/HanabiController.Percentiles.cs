@@ -0,0 +1,29 @@
+// Tables from the original 119-player study, carried over by hand from
+// HanabiController.cs. The stats pipeline has not produced this file yet; to
+// replace the tables, rerun the scripts/gather_stats.js stages through
+// percentiles --out stats.json and overwrite this file with
+// report --format csharp --in stats.json.
+
+namespace MyWebApi.Controllers;
+
+public partial class HanabiController
+{
+    // Percentile lookup tables from 119-player population study (No Variant, 50 games each)
+    // Each array: [p0, p10, p20, p30, p40, p50, p60, p70, p80, p90, p100]
+    private static readonly double[] PlayRatePercentiles =
+        { 0.3100, 0.3570, 0.3796, 0.3967, 0.4066, 0.4212, 0.4311, 0.4414, 0.4600, 0.4715, 0.5576 };
+    private static readonly double[] DiscardRatePercentiles =
+        { 0.1498, 0.1739, 0.1848, 0.1924, 0.2083, 0.2163, 0.2222, 0.2340, 0.2418, 0.2496, 0.2853 };
+    private static readonly double[] ClueRatePercentiles =
+        { 0.2302, 0.3333, 0.3451, 0.3516, 0.3586, 0.3712, 0.3767, 0.3839, 0.3952, 0.4048, 0.4468 };
+    private static readonly double[] ErrorRatePercentiles =
+        { 0.0032, 0.0130, 0.0156, 0.0171, 0.0197, 0.0227, 0.0270, 0.0305, 0.0373, 0.0485, 0.1691 };
+    private static readonly double[] MissedSavesPerGamePercentiles =
+        { 0.5400, 0.8400, 0.9400, 1.0600, 1.2200, 1.3400, 1.5000, 1.7400, 1.9800, 2.2800, 5.0700 };
+    private static readonly double[] MissedTechPerGamePercentiles =
+        { 0.0400, 0.2200, 0.2400, 0.3000, 0.3600, 0.4000, 0.5000, 0.6000, 0.6800, 0.9200, 1.6600 };
+    private static readonly double[] MisreadSavesPerGamePercentiles =
+        { 0.0000, 0.0000, 0.0200, 0.0400, 0.0500, 0.0600, 0.0800, 0.0800, 0.1000, 0.1400, 0.4800 };
+    private static readonly double[] GoodTouchPerCluePercentiles =
+        { 0.0159, 0.0602, 0.0758, 0.0889, 0.0970, 0.1124, 0.1224, 0.1365, 0.1549, 0.1951, 0.2865 };
+}
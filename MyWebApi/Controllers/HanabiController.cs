@@ -1,3 +1,4 @@
+using System.Globalization;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Caching.Memory;
 using MyWebApi.Models;
@@ -7,7 +8,7 @@ namespace MyWebApi.Controllers;
 
 [ApiController]
 [Route("[controller]")]
-public class HanabiController : ControllerBase
+public partial class HanabiController : ControllerBase
 {
     private readonly IHanabiService _hanabiService;
     private readonly ILogger<HanabiController> _logger;
@@ -109,13 +110,84 @@ public class HanabiController : ControllerBase
         }
     }
 
+    // Most history pages scanned when looking for games in a date range or matching a filter
+    private const int MaxRangePages = 10;
+    private const int RangePageSize = 100;
+
+    /// <summary>
+    /// Variant and player-count restriction on the games a profile is built from.
+    /// An empty <see cref="Variants"/> allows every variant.
+    /// </summary>
+    private sealed record GameFilter(int[] Variants, int? MinPlayers, int? MaxPlayers)
+    {
+        public static readonly GameFilter None = new(Array.Empty<int>(), null, null);
+
+        public bool IsEmpty => Variants.Length == 0 && MinPlayers == null && MaxPlayers == null;
+
+        public bool Matches(HanabiGame game) =>
+            (Variants.Length == 0 || Variants.Contains(game.Variant)) &&
+            (MinPlayers == null || game.NumPlayers >= MinPlayers) &&
+            (MaxPlayers == null || game.NumPlayers <= MaxPlayers);
+
+        public string Key => $"{string.Join(',', Variants)}-{MinPlayers}-{MaxPlayers}";
+    }
+
+    /// <summary>
+    /// The player's most recent games, up to <paramref name="size"/>. With a date range,
+    /// only games finished in [from, to) count; with a filter, only matching games. In
+    /// either case older history pages are scanned (at most <see cref="MaxRangePages"/>)
+    /// until enough are found.
+    /// </summary>
+    private async Task<List<HanabiGame>> GetRecentGamesAsync(string username, int size, DateTimeOffset? from, DateTimeOffset? to, GameFilter? filter = null)
+    {
+        filter ??= GameFilter.None;
+        var ranged = from != null || to != null;
+        if (!ranged && filter.IsEmpty)
+        {
+            var history = await _hanabiService.GetHistoryAsync(username, 0, size);
+            return history.Rows;
+        }
+
+        var games = new List<HanabiGame>();
+        for (int page = 0; page < MaxRangePages && games.Count < size; page++)
+        {
+            var history = await _hanabiService.GetHistoryAsync(username, page, RangePageSize);
+            var reachedStart = false;
+            foreach (var game in history.Rows)
+            {
+                if (ranged)
+                {
+                    if (!DateTimeOffset.TryParse(game.DateTime, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var finished))
+                        continue;
+                    // History is newest first, so everything after this is older still
+                    if (from != null && finished < from)
+                    {
+                        reachedStart = true;
+                        break;
+                    }
+                    if (to != null && finished >= to) continue;
+                }
+                if (!filter.Matches(game)) continue;
+                games.Add(game);
+                if (games.Count == size) break;
+            }
+            if (reachedStart || history.Rows.Count < RangePageSize) break;
+        }
+        return games;
+    }
+
+    private static string RangeKey(DateTimeOffset? from, DateTimeOffset? to) =>
+        $"{from?.ToUnixTimeSeconds()}-{to?.ToUnixTimeSeconds()}";
+
     [HttpGet("history/{username}/critical-trends")]
     public async Task<ActionResult<BatchCriticalMistakesResponse>> GetCriticalTrends(
         string username,
         [FromQuery] int size = 50,
-        [FromQuery] int level = 2)
+        [FromQuery] int level = 2,
+        [FromQuery] DateTimeOffset? from = null,
+        [FromQuery] DateTimeOffset? to = null)
     {
-        _logger.LogInformation("Getting critical trends for {Username}, size={Size}, level={Level}", username, size, level);
+        _logger.LogInformation("Getting critical trends for {Username}, size={Size}, level={Level}, range={Range}", username, size, level, RangeKey(from, to));
 
         if (size < 1 || size > 200)
         {
@@ -127,13 +199,17 @@ public class HanabiController : ControllerBase
             return BadRequest("Level must be 0, 1, 2, or 3");
         }
 
+        if (from != null && to != null && from >= to)
+        {
+            return BadRequest("from must be earlier than to");
+        }
+
         var conventionLevel = (ConventionLevel)level;
         var options = AnalyzerOptions.ForLevel(conventionLevel);
 
         try
         {
-            var history = await _hanabiService.GetHistoryAsync(username, 0, size);
-            var games = history.Rows;
+            var games = await GetRecentGamesAsync(username, size, from, to);
 
             var semaphore = new SemaphoreSlim(5);
             var results = new List<GameCriticalSummary>();
@@ -200,24 +276,8 @@ public class HanabiController : ControllerBase
         }
     }
 
-    // Percentile lookup tables from 119-player population study (No Variant, 50 games each)
-    // Each array: [p0, p10, p20, p30, p40, p50, p60, p70, p80, p90, p100]
-    private static readonly double[] PlayRatePercentiles =
-        { 0.3100, 0.3570, 0.3796, 0.3967, 0.4066, 0.4212, 0.4311, 0.4414, 0.4600, 0.4715, 0.5576 };
-    private static readonly double[] DiscardRatePercentiles =
-        { 0.1498, 0.1739, 0.1848, 0.1924, 0.2083, 0.2163, 0.2222, 0.2340, 0.2418, 0.2496, 0.2853 };
-    private static readonly double[] ClueRatePercentiles =
-        { 0.2302, 0.3333, 0.3451, 0.3516, 0.3586, 0.3712, 0.3767, 0.3839, 0.3952, 0.4048, 0.4468 };
-    private static readonly double[] ErrorRatePercentiles =
-        { 0.0032, 0.0130, 0.0156, 0.0171, 0.0197, 0.0227, 0.0270, 0.0305, 0.0373, 0.0485, 0.1691 };
-    private static readonly double[] MissedSavesPerGamePercentiles =
-        { 0.5400, 0.8400, 0.9400, 1.0600, 1.2200, 1.3400, 1.5000, 1.7400, 1.9800, 2.2800, 5.0700 };
-    private static readonly double[] MissedTechPerGamePercentiles =
-        { 0.0400, 0.2200, 0.2400, 0.3000, 0.3600, 0.4000, 0.5000, 0.6000, 0.6800, 0.9200, 1.6600 };
-    private static readonly double[] MisreadSavesPerGamePercentiles =
-        { 0.0000, 0.0000, 0.0200, 0.0400, 0.0500, 0.0600, 0.0800, 0.0800, 0.1000, 0.1400, 0.4800 };
-    private static readonly double[] GoodTouchPerCluePercentiles =
-        { 0.0159, 0.0602, 0.0758, 0.0889, 0.0970, 0.1124, 0.1224, 0.1365, 0.1549, 0.1951, 0.2865 };
+    // Percentile lookup tables (PlayRatePercentiles etc.) live in HanabiController.Percentiles.cs,
+    // currently carried over by hand; scripts/gather_stats.js report --format csharp regenerates it
 
     /// <summary>
     /// Given a value and a sorted percentile table [p0..p100 in 10% steps],
@@ -245,14 +305,26 @@ public class HanabiController : ControllerBase
     public async Task<ActionResult<PlaystyleResponse>> GetPlaystyleProfile(
         string username,
         [FromQuery] int size = 50,
-        [FromQuery] int level = 2)
+        [FromQuery] int level = 2,
+        [FromQuery] DateTimeOffset? from = null,
+        [FromQuery] DateTimeOffset? to = null,
+        [FromQuery] int[]? variants = null,
+        [FromQuery] int? minPlayers = null,
+        [FromQuery] int? maxPlayers = null)
     {
-        _logger.LogInformation("Getting playstyle profile for {Username}, size={Size}, level={Level}", username, size, level);
+        var filter = new GameFilter(variants ?? Array.Empty<int>(), minPlayers, maxPlayers);
+        _logger.LogInformation("Getting playstyle profile for {Username}, size={Size}, level={Level}, range={Range}, filter={Filter}", username, size, level, RangeKey(from, to), filter.Key);
 
         if (size < 1 || size > 200)
             return BadRequest("Size must be between 1 and 200");
         if (level < 0 || level > 3)
             return BadRequest("Level must be 0, 1, 2, or 3");
+        if (from != null && to != null && from >= to)
+            return BadRequest("from must be earlier than to");
+        if (minPlayers is < 2 or > 6 || maxPlayers is < 2 or > 6)
+            return BadRequest("minPlayers and maxPlayers must be between 2 and 6");
+        if (minPlayers != null && maxPlayers != null && minPlayers > maxPlayers)
+            return BadRequest("minPlayers must not be greater than maxPlayers");
 
         var conventionLevel = (ConventionLevel)level;
         var options = AnalyzerOptions.ForLevel(conventionLevel);
@@ -260,11 +332,10 @@ public class HanabiController : ControllerBase
         try
         {
             // Fetch history first (cheap) to build a cache key that includes the latest game ID
-            var history = await _hanabiService.GetHistoryAsync(username, 0, size);
-            var games = history.Rows;
+            var games = await GetRecentGamesAsync(username, size, from, to, filter);
 
             var latestGameId = games.Count > 0 ? games[0].Id : 0;
-            var cacheKey = $"playstyle:{username.ToLowerInvariant()}:{size}:{level}:{latestGameId}";
+            var cacheKey = $"playstyle:{username.ToLowerInvariant()}:{size}:{level}:{RangeKey(from, to)}:{filter.Key}:{latestGameId}";
 
             if (_cache.TryGetValue(cacheKey, out PlaystyleResponse? cachedResult) && cachedResult != null)
             {
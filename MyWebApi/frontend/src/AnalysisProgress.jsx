@@ -0,0 +1,40 @@
+import { useState } from 'react'
+import { estimateDuration, formatDuration, progressStatus, useElapsed } from './progress'
+
+// Stand-in for a long-running analysis: elapsed time, an ETA from past runs of
+// the same kind, and a cancel button. Mount it when the request starts.
+function AnalysisProgress({ kind, label, detail, onCancel, spinnerSize }) {
+  const elapsed = useElapsed()
+  const [estimate] = useState(() => estimateDuration(kind))
+
+  const { fraction, eta } = progressStatus(elapsed, estimate)
+
+  return (
+    <div className="chart-loading analysis-progress">
+      <div className="loading-spinner" style={spinnerSize ? { width: spinnerSize, height: spinnerSize } : undefined}></div>
+      <p className="loading-text">{label}</p>
+      {detail && <p className="analysis-progress-detail">{detail}</p>}
+      <div
+        className="analysis-progress-bar"
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={fraction === null ? undefined : Math.round(fraction * 100)}
+      >
+        <div
+          className={`analysis-progress-fill ${fraction === null ? 'indeterminate' : ''}`}
+          style={fraction === null ? undefined : { width: `${fraction * 100}%` }}
+        />
+      </div>
+      <p className="analysis-progress-meta">
+        {formatDuration(elapsed)} elapsed · {eta}
+      </p>
+      {onCancel && (
+        <button className="analysis-cancel-btn" onClick={onCancel}>Cancel</button>
+      )}
+    </div>
+  )
+}
+
+export default AnalysisProgress
@@ -7,6 +7,25 @@ import {
   XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend
 } from 'recharts'
 import GameDetail from './GameDetail'
+import GameFilterBar from './GameFilterBar'
+import ExportMenu from './ExportMenu'
+import ReportCardDialog from './ReportCardDialog'
+import PlayerComparison from './PlayerComparison'
+import PeriodComparison from './PeriodComparison'
+import TrainingQuiz from './TrainingQuiz'
+import AnalysisProgress from './AnalysisProgress'
+import Toasts from './Toasts'
+import { useRoute, navigate, playerPath, gamePath } from './routing'
+import { getHistory, getCriticalTrends, getPlaystyle, getGameAnalysis, isAbortError } from './api'
+import { useInfiniteScroll } from './useInfiniteScroll'
+import { HISTORY_PAGE_SIZE, hasMorePages, appendNewGames, loadHistoryPages } from './historyPaging'
+import { getScoreTier, getGamePlayers, DEFAULT_FILTERS, applyGameFilters, sortGames, hasActiveFilters, describeFilters } from './gameFilters'
+import { playstyleRows } from './exportData'
+import { PLAYSTYLE_DIMENSIONS } from './playstyle'
+import { trackDuration, ANALYSIS_CANCELLED } from './progress'
+import { useToasts } from './useToasts'
+import { TRAINING_GAMES } from './training'
+import { TREND_RANGES, ROLLING_WINDOWS, DEFAULT_TREND_SETTINGS, gamesInTrendRange, withRollingAverage } from './trends'
 import './App.css'
 
 // Custom tooltip component for charts
@@ -26,15 +45,6 @@ const CustomTooltip = ({ active, payload, label }) => {
   return null
 }
 
-// Score tier classification
-const getScoreTier = (score) => {
-  if (score === 25) return 'perfect'
-  if (score >= 22) return 'excellent'
-  if (score >= 18) return 'good'
-  if (score >= 12) return 'average'
-  return 'low'
-}
-
 // Format date for display
 const formatDate = (dateString) => {
   if (!dateString) return ''
@@ -61,16 +71,44 @@ const CHART_COLORS = {
 
 const PIE_COLORS = ['#ffbe0b', '#06ffa5', '#3a86ff', '#8338ec', '#ff006e']
 
+const DEFAULT_USERNAME = 'jaholl'
+const BACKGROUND_NOTICE_MS = 3000
+
 function App() {
+  const route = useRoute()
+  const activeView = route.view
+  const selectedGameId = route.page === 'game' ? route.gameId : null
+  const dashboardUser = route.page === 'game' ? null : (route.player || DEFAULT_USERNAME)
+
   const [games, setGames] = useState([])
   const [totalRows, setTotalRows] = useState(0)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
-  const [username, setUsername] = useState('jaholl')
-  const [activeView, setActiveView] = useState('all')
+  const [username, setUsername] = useState(dashboardUser || DEFAULT_USERNAME)
+  // Player whose history is currently loaded (the search input may differ while typing)
+  const [historyUser, setHistoryUser] = useState(null)
+
+  // History paging: pages are appended to `games` as they arrive
+  const [historyPage, setHistoryPage] = useState(0)
+  const [historyExhausted, setHistoryExhausted] = useState(false)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [loadMoreError, setLoadMoreError] = useState(null)
+  const hasMoreHistory = hasMorePages({ page: historyPage, totalRows, exhausted: historyExhausted })
+
+  // History filters and sort (applied to everything loaded so far)
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
+  const [sort, setSort] = useState('newest')
+  const filtersActive = hasActiveFilters(filters)
+
+  // Keep the search box in sync when the player changes via the URL (back/forward, deep link)
+  const [syncedUser, setSyncedUser] = useState(dashboardUser)
+  if (dashboardUser && dashboardUser !== syncedUser) {
+    setSyncedUser(dashboardUser)
+    setUsername(dashboardUser)
+  }
 
   // Game detail state
-  const [selectedGameId, setSelectedGameId] = useState(null)
+  const analysisGameId = useRef(null)
   const [gameAnalysis, setGameAnalysis] = useState(null)
   const [analysisLoading, setAnalysisLoading] = useState(false)
   const [analysisError, setAnalysisError] = useState(null)
@@ -90,135 +128,272 @@ function App() {
   const [compareProfile, setCompareProfile] = useState(null)
   const [compareLoading, setCompareLoading] = useState(false)
 
-  // Session cache for playstyle profiles (avoids re-fetching on partner toggle)
-  const playstyleCache = useRef({})
+  const [showReportCard, setShowReportCard] = useState(false)
+
+  // Trend charts: date range, rolling window, and the two-period comparison
+  const [trendSettings, setTrendSettings] = useState(DEFAULT_TREND_SETTINGS)
+  const [showPeriodComparison, setShowPeriodComparison] = useState(false)
+  const trendRangeLabel = TREND_RANGES.find(r => r.value === trendSettings.range).label
+
+  const { toasts, showToast, dismissToast } = useToasts()
+
+  // Where the user is now, for analyses that finish in the background
+  const routeRef = useRef(route)
+  useEffect(() => {
+    routeRef.current = route
+  })
+
+  // Toast when a slow analysis lands while its chart is out of view (cache hits
+  // arrive before the user could have looked away)
+  const notifyIfHidden = (user, message, startedAt) => {
+    if (Date.now() - startedAt < BACKGROUND_NOTICE_MS) return
+    const current = routeRef.current
+    if (current.page !== 'game' && (current.view === 'all' || current.view === 'charts')) return
+    showToast({ message, action: { label: 'Show', onClick: () => navigate(playerPath(user, 'charts')) } })
+  }
+
+  // One AbortController per kind of request: starting a new one cancels the
+  // previous, so a quick second search can't be overwritten by stale results
+  const pendingRequests = useRef({})
+  const startRequest = (name) => {
+    pendingRequests.current[name]?.abort()
+    const controller = new AbortController()
+    pendingRequests.current[name] = controller
+    return controller.signal
+  }
+
+  useEffect(() => {
+    const pending = pendingRequests.current
+    return () => Object.values(pending).forEach(controller => controller.abort())
+  }, [])
 
-  const fetchCriticalTrends = async (user) => {
+  const fetchCriticalTrends = async (user, { force = false } = {}) => {
+    const signal = startRequest('criticalTrends')
     setCriticalLoading(true)
     setCriticalError(null)
+    setCriticalTrends(null)
+    const startedAt = Date.now()
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'}/hanabi/history/${user}/critical-trends?size=50&level=2`)
-      if (!response.ok) throw new Error('Failed to fetch critical trends')
-      const data = await response.json()
-      setCriticalTrends(data)
+      setCriticalTrends(await trackDuration('criticalTrends', getCriticalTrends(user, { signal, force })))
+      notifyIfHidden(user, `Critical mistakes trend for ${user} is ready`, startedAt)
     } catch (err) {
+      if (isAbortError(err)) return
       setCriticalError(err.message)
     } finally {
-      setCriticalLoading(false)
+      if (!signal.aborted) setCriticalLoading(false)
     }
   }
 
-  const fetchPlaystyleProfile = async (user) => {
-    const cacheKey = user.toLowerCase()
-    if (playstyleCache.current[cacheKey]) {
-      setPlaystyleProfile(playstyleCache.current[cacheKey])
-      return
-    }
+  const fetchPlaystyleProfile = async (user, { force = false } = {}) => {
+    const signal = startRequest('playstyle')
     setPlaystyleLoading(true)
     setPlaystyleError(null)
+    setPlaystyleProfile(null)
+    const startedAt = Date.now()
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'}/hanabi/history/${user}/playstyle?size=50&level=2`)
-      if (!response.ok) throw new Error('Failed to fetch playstyle profile')
-      const data = await response.json()
-      playstyleCache.current[cacheKey] = data
-      setPlaystyleProfile(data)
+      setPlaystyleProfile(await trackDuration('playstyle', getPlaystyle(user, { signal, force })))
+      notifyIfHidden(user, `Playstyle profile for ${user} is ready`, startedAt)
     } catch (err) {
+      if (isAbortError(err)) return
       setPlaystyleError(err.message)
     } finally {
-      setPlaystyleLoading(false)
+      if (!signal.aborted) setPlaystyleLoading(false)
     }
   }
 
+  const cancelCriticalTrends = () => {
+    pendingRequests.current.criticalTrends?.abort()
+    setCriticalLoading(false)
+    setCriticalError(ANALYSIS_CANCELLED)
+  }
+
+  const cancelPlaystyleProfile = () => {
+    pendingRequests.current.playstyle?.abort()
+    setPlaystyleLoading(false)
+    setPlaystyleError(ANALYSIS_CANCELLED)
+  }
+
   const fetchPartnerPlaystyle = async (partnerName) => {
     if (comparePartner === partnerName) {
+      pendingRequests.current.compare?.abort()
       setComparePartner(null)
       setCompareProfile(null)
+      setCompareLoading(false)
       return
     }
+    const signal = startRequest('compare')
     setComparePartner(partnerName)
-    const cacheKey = partnerName.toLowerCase()
-    if (playstyleCache.current[cacheKey]) {
-      setCompareProfile(playstyleCache.current[cacheKey])
-      return
-    }
     setCompareLoading(true)
     setCompareProfile(null)
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'}/hanabi/history/${partnerName}/playstyle?size=50&level=2`)
-      if (!response.ok) throw new Error('Failed to fetch partner playstyle')
-      const data = await response.json()
-      playstyleCache.current[cacheKey] = data
-      setCompareProfile(data)
-    } catch {
+      setCompareProfile(await getPlaystyle(partnerName, { signal }))
+    } catch (err) {
+      if (isAbortError(err)) return
       setComparePartner(null)
       setCompareProfile(null)
     } finally {
-      setCompareLoading(false)
+      if (!signal.aborted) setCompareLoading(false)
     }
   }
 
-  const fetchHistory = async () => {
+  const fetchHistory = async (user, { force = false } = {}) => {
+    const signal = startRequest('history')
+    pendingRequests.current.compare?.abort()
+    pendingRequests.current.historyMore?.abort()
+    setHistoryUser(user)
     setLoading(true)
     setError(null)
     setComparePartner(null)
     setCompareProfile(null)
-    playstyleCache.current = {}
+    setCompareLoading(false)
+    setHistoryPage(0)
+    setHistoryExhausted(false)
+    setFilters(DEFAULT_FILTERS)
+    setLoadingMore(false)
+    setLoadMoreError(null)
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'}/hanabi/history/${username}?size=100`)
-      if (!response.ok) throw new Error('Failed to fetch game history')
-      const data = await response.json()
+      const data = await getHistory(user, { size: HISTORY_PAGE_SIZE, signal, force })
       setGames(data.rows || [])
       setTotalRows(data.total_rows || 0)
-      fetchCriticalTrends(username)
-      fetchPlaystyleProfile(username)
+      setHistoryExhausted((data.rows || []).length < HISTORY_PAGE_SIZE)
+      fetchCriticalTrends(user, { force })
+      fetchPlaystyleProfile(user, { force })
     } catch (err) {
+      if (isAbortError(err)) return
       setError(err.message)
     } finally {
-      setLoading(false)
+      if (!signal.aborted) setLoading(false)
+    }
+  }
+
+  // Append the next history page, or keep going until everything is loaded when `all` is set
+  const loadMoreHistory = async ({ all = false } = {}) => {
+    if (loadingMore || !hasMoreHistory) return
+    const signal = startRequest('historyMore')
+    setLoadingMore(true)
+    setLoadMoreError(null)
+    try {
+      await loadHistoryPages(historyUser, {
+        page: historyPage,
+        totalRows,
+        all,
+        signal,
+        onPage: (rows, progress) => {
+          setGames(prev => appendNewGames(prev, rows))
+          setTotalRows(progress.totalRows)
+          setHistoryPage(progress.page)
+          if (progress.exhausted) setHistoryExhausted(true)
+        },
+      })
+    } catch (err) {
+      if (isAbortError(err)) return
+      setLoadMoreError(err.message)
+    } finally {
+      if (!signal.aborted) setLoadingMore(false)
     }
   }
 
+  const stopLoadingHistory = () => {
+    pendingRequests.current.historyMore?.abort()
+    setLoadingMore(false)
+  }
+
+  const loadMoreSentinel = useInfiniteScroll(
+    () => loadMoreHistory(),
+    hasMoreHistory && !loadingMore && !loadMoreError,
+    activeView
+  )
+
+  // Latest fetchers for the route effects below, which re-run on route changes only
+  const fetchersRef = useRef(null)
   useEffect(() => {
-    fetchHistory()
-  }, [])
+    fetchersRef.current = { fetchHistory, fetchGameAnalysis }
+  })
+
+  // Load history whenever the dashboard shows a player we haven't loaded yet.
+  // Returning from a game to the same player keeps the existing data.
+  useEffect(() => {
+    if (dashboardUser && dashboardUser.toLowerCase() !== historyUser?.toLowerCase()) {
+      fetchersRef.current.fetchHistory(dashboardUser)
+    }
+  }, [dashboardUser, historyUser])
+
+  useEffect(() => {
+    if (selectedGameId !== null && selectedGameId !== analysisGameId.current) {
+      fetchersRef.current.fetchGameAnalysis(selectedGameId)
+    }
+  }, [selectedGameId])
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    fetchHistory()
+    const user = username.trim()
+    if (!user) return
+    if (user === dashboardUser) {
+      // Re-submitting the same player refreshes their history and analyses
+      fetchHistory(user, { force: true })
+    } else {
+      navigate(playerPath(user, activeView))
+    }
+  }
+
+  const setActiveView = (view) => {
+    navigate(playerPath(dashboardUser, view))
   }
 
   const fetchGameAnalysis = async (gameId) => {
-    setSelectedGameId(gameId)
+    const signal = startRequest('analysis')
+    analysisGameId.current = gameId
     setAnalysisLoading(true)
     setAnalysisError(null)
     setGameAnalysis(null)
 
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'}/hanabi/game/${gameId}/analysis`)
-      if (!response.ok) {
-        const text = await response.text()
-        throw new Error(text || 'Failed to load game analysis')
-      }
-      const data = await response.json()
-      setGameAnalysis(data)
+      setGameAnalysis(await getGameAnalysis(gameId, { signal }))
     } catch (err) {
+      if (isAbortError(err)) return
+      analysisGameId.current = null
       setAnalysisError(err.message)
     } finally {
-      setAnalysisLoading(false)
+      if (!signal.aborted) setAnalysisLoading(false)
     }
   }
 
+  // Game entries remember the dashboard URL they were opened from, so Back restores the view
+  const openGame = (gameId) => {
+    navigate(gamePath(gameId), { state: { from: window.location.pathname + window.location.search } })
+  }
+
+  // Without a dashboard to return to (game opened from a link), go to the loaded
+  // player, else to one of the game's players
   const handleBackToList = () => {
-    setSelectedGameId(null)
-    setGameAnalysis(null)
-    setAnalysisError(null)
+    const fallbackPlayer = historyUser || gameAnalysis?.game?.players?.[0] || DEFAULT_USERNAME
+    navigate(window.history.state?.from || playerPath(fallbackPlayer))
+  }
+
+  const handleTurnChange = (turn, { replace = false } = {}) => {
+    navigate(gamePath(selectedGameId, turn), { replace, state: window.history.state })
   }
 
+  // Games matching the filter bar, in API order (newest first); stats and charts use this set
+  const filteredGames = useMemo(() => applyGameFilters(games, filters), [games, filters])
+
+  // Games grid order
+  const sortedGames = useMemo(() => sortGames(filteredGames, sort), [filteredGames, sort])
+
+  // Every partner in the loaded history, for the filter bar's suggestions
+  const partnerNames = useMemo(() => {
+    const names = new Set()
+    games.forEach(game => getGamePlayers(game).forEach(p => {
+      if (p.toLowerCase() !== historyUser?.toLowerCase()) names.add(p)
+    }))
+    return [...names].sort((a, b) => a.localeCompare(b))
+  }, [games, historyUser])
+
   // Compute statistics
   const stats = useMemo(() => {
-    if (games.length === 0) return null
+    if (filteredGames.length === 0) return null
 
-    const scores = games.map(g => g.score)
+    const scores = filteredGames.map(g => g.score)
     const nonZeroScores = scores.filter(s => s > 0)
     const avgScore = nonZeroScores.length > 0 ? (nonZeroScores.reduce((a, b) => a + b, 0) / nonZeroScores.length).toFixed(1) : '—'
     const maxScore = Math.max(...scores)
@@ -226,15 +401,15 @@ function App() {
     const winRate = ((perfectGames / scores.length) * 100).toFixed(1)
     const strikeoutRate = ((scores.filter(s => s === 0).length / scores.length) * 100).toFixed(1)
 
-    return { avgScore, maxScore, perfectGames, winRate, strikeoutRate, totalGames: games.length }
-  }, [games])
+    return { avgScore, maxScore, perfectGames, winRate, strikeoutRate, totalGames: filteredGames.length }
+  }, [filteredGames])
 
   // Score distribution data for bar chart (skip 0-score strikeouts)
   const scoreDistribution = useMemo(() => {
-    if (games.length === 0) return []
+    if (filteredGames.length === 0) return []
 
     const distribution = {}
-    games.forEach(g => {
+    filteredGames.forEach(g => {
       const score = g.score
       if (score === 0) return
       distribution[score] = (distribution[score] || 0) + 1
@@ -243,28 +418,26 @@ function App() {
     return Object.entries(distribution)
       .map(([score, count]) => ({ score: parseInt(score), count }))
       .sort((a, b) => a.score - b.score)
-  }, [games])
+  }, [filteredGames])
 
-  // Score trend over time (recent games)
+  // Score trend over the selected range, oldest first
   const scoreTrend = useMemo(() => {
-    if (games.length === 0) return []
-
-    return [...games]
-      .slice(0, 30)
-      .reverse()
-      .map((g, i) => ({
-        game: i + 1,
-        score: g.score,
-        date: formatDate(g.dateTime)
-      }))
-  }, [games])
+    if (filteredGames.length === 0) return []
+
+    const points = gamesInTrendRange(filteredGames, trendSettings.range).map((g, i) => ({
+      game: i + 1,
+      score: g.score,
+      date: formatDate(g.dateTime)
+    }))
+    return withRollingAverage(points, 'score', trendSettings.window)
+  }, [filteredGames, trendSettings])
 
   // Player count distribution for pie chart
   const playerDistribution = useMemo(() => {
-    if (games.length === 0) return []
+    if (filteredGames.length === 0) return []
 
     const distribution = {}
-    games.forEach(g => {
+    filteredGames.forEach(g => {
       const count = g.numPlayers
       distribution[count] = (distribution[count] || 0) + 1
     })
@@ -275,14 +448,14 @@ function App() {
         value: count
       }))
       .sort((a, b) => parseInt(a.name) - parseInt(b.name))
-  }, [games])
+  }, [filteredGames])
 
   // Score tier breakdown
   const tierBreakdown = useMemo(() => {
-    if (games.length === 0) return []
+    if (filteredGames.length === 0) return []
 
     const tiers = { perfect: 0, excellent: 0, good: 0, average: 0, low: 0 }
-    games.forEach(g => {
+    filteredGames.forEach(g => {
       tiers[getScoreTier(g.score)]++
     })
 
@@ -293,11 +466,11 @@ function App() {
       { name: 'Average (12-17)', value: tiers.average, color: CHART_COLORS.violet },
       { name: 'Low (0-11)', value: tiers.low, color: CHART_COLORS.rose }
     ].filter(t => t.value > 0)
-  }, [games])
+  }, [filteredGames])
 
-  // Frequent partners analysis
-  const frequentPartners = useMemo(() => {
-    if (games.length === 0) return []
+  // Per-partner results over the filtered games, most games first
+  const partnerStats = useMemo(() => {
+    if (filteredGames.length === 0) return []
 
     const partnerMap = {}
     const criticalByGameId = {}
@@ -309,10 +482,10 @@ function App() {
       })
     }
 
-    games.forEach(game => {
-      const players = game.users.split(', ').map(p => p.trim()).filter(Boolean)
+    filteredGames.forEach(game => {
+      const players = getGamePlayers(game)
       players.forEach(player => {
-        if (player.toLowerCase() === username.toLowerCase()) return
+        if (player.toLowerCase() === historyUser?.toLowerCase()) return
         if (!partnerMap[player]) {
           partnerMap[player] = { games: 0, scoredGames: 0, totalScore: 0, strikeouts: 0, perfectGames: 0, bestScore: 0, totalCritical: 0, criticalGames: 0 }
         }
@@ -345,57 +518,83 @@ function App() {
         avgMistakes: data.criticalGames > 0 ? (data.totalCritical / data.criticalGames).toFixed(1) : '—'
       }))
       .sort((a, b) => b.games - a.games)
-      .slice(0, 6)
-  }, [games, criticalTrends, username])
+  }, [filteredGames, criticalTrends, historyUser])
 
-  // Critical trend data with rolling average
-  const criticalTrendData = useMemo(() => {
+  // Frequent partners analysis
+  const frequentPartners = useMemo(() => partnerStats.slice(0, 6), [partnerStats])
+
+  // Analyzed games behind the critical trend, narrowed to the filter bar's matches
+  const criticalTrendGames = useMemo(() => {
     if (!criticalTrends?.games?.length) return []
+    if (!filtersActive) return criticalTrends.games
+    const matching = new Set(filteredGames.map(g => g.id))
+    return criticalTrends.games.filter(g => matching.has(g.gameId))
+  }, [criticalTrends, filtersActive, filteredGames])
 
-    return criticalTrends.games.map((game, i) => {
-      const windowStart = Math.max(0, i - 9)
-      const window = criticalTrends.games.slice(windowStart, i + 1)
-      const rollingAvg = window.reduce((sum, g) => sum + g.criticalCount, 0) / window.length
-
-      return {
-        game: i + 1,
-        criticals: game.criticalCount,
-        rollingAvg: parseFloat(rollingAvg.toFixed(2)),
-        score: game.score,
-        gameId: game.gameId
-      }
-    })
-  }, [criticalTrends])
+  // Critical trend data over the selected range with rolling average
+  const criticalTrendData = useMemo(() => {
+    if (criticalTrendGames.length === 0) return []
+
+    const points = gamesInTrendRange(criticalTrendGames, trendSettings.range).map((game, i) => ({
+      game: i + 1,
+      criticals: game.criticalCount,
+      score: game.score,
+      gameId: game.gameId
+    }))
+    return withRollingAverage(points, 'criticals', trendSettings.window)
+  }, [criticalTrendGames, trendSettings])
 
   // Playstyle radar data
   const playstyleData = useMemo(() => {
     if (!playstyleProfile?.dimensions) return []
     const d = playstyleProfile.dimensions
     const c = compareProfile?.dimensions
-    return [
-      { axis: 'Error/Move', desc: 'Fewer strikes and critical discards per move', value: d.accuracy, fullMark: 100, ...(c && { compareValue: c.accuracy }) },
-      { axis: 'Saves Cards', desc: 'Saves teammates\' critical/unique cards before they discard', value: d.teamwork, fullMark: 100, ...(c && { compareValue: c.teamwork }) },
-      { axis: 'Reads Finesses', desc: 'Recognizes and responds to prompts and finesses', value: d.technique, fullMark: 100, ...(c && { compareValue: c.technique }) },
-      { axis: 'Misreads Saves', desc: 'Fewer times misreading a save clue as a play clue', value: d.misreadSaves, fullMark: 100, ...(c && { compareValue: c.misreadSaves }) },
-      { axis: 'Plays Often', desc: 'Proportion of turns spent playing cards', value: d.boldness, fullMark: 100, ...(c && { compareValue: c.boldness }) },
-      { axis: 'Clues Often', desc: 'Proportion of turns spent giving clues', value: d.efficiency, fullMark: 100, ...(c && { compareValue: c.efficiency }) },
-      { axis: 'Discards Often', desc: 'Proportion of turns spent discarding', value: d.discardFrequency, fullMark: 100, ...(c && { compareValue: c.discardFrequency }) },
-      { axis: 'Clean Clues', desc: 'Fewer clues that touch trash cards (Good Touch Principle)', value: d.cleanClues, fullMark: 100, ...(c && { compareValue: c.cleanClues }) },
-      { axis: 'Color Clues', desc: 'Proportion of clues that are color clues vs rank clues', value: d.colorPreference, fullMark: 100, ...(c && { compareValue: c.colorPreference }) },
-    ]
+    return PLAYSTYLE_DIMENSIONS.map(({ key, axis, desc }) => ({
+      axis, desc, value: d[key], fullMark: 100, ...(c && { compareValue: c[key] }),
+    }))
   }, [playstyleProfile, compareProfile])
 
+  // Snapshot of the dashboard for the shareable report card
+  const reportCard = useMemo(() => ({
+    player: historyUser,
+    gamesAnalyzed: playstyleProfile?.gamesAnalyzed,
+    dimensions: playstyleData,
+    compareName: compareProfile ? comparePartner : null,
+    stats,
+    filters: describeFilters(filters),
+    trend: criticalTrendData.map(d => d.rollingAvg),
+  }), [historyUser, playstyleProfile, playstyleData, compareProfile, comparePartner, stats, filters, criticalTrendData])
+
+  // Datasets offered by the export menu
+  const exportDatasets = {
+    games: filteredGames,
+    criticalTrend: criticalTrendData,
+    partners: partnerStats,
+    playstyle: playstyleRows([
+      { player: historyUser, profile: playstyleProfile },
+      { player: comparePartner, profile: compareProfile },
+    ]),
+    scoreDistribution,
+  }
+  const exportMeta = {
+    player: historyUser,
+    ...(filtersActive && { filters }),
+  }
+
   // Show game detail view if a game is selected
   if (selectedGameId !== null) {
     return (
       <div className="app">
         <GameDetail
           gameId={selectedGameId}
-          analysis={gameAnalysis}
+          analysis={gameAnalysis?.game?.id === selectedGameId ? gameAnalysis : null}
           loading={analysisLoading}
           error={analysisError}
+          turn={route.turn}
+          onTurnChange={handleTurnChange}
           onBack={handleBackToList}
         />
+        <Toasts toasts={toasts} onDismiss={dismissToast} />
       </div>
     )
   }
@@ -464,6 +663,17 @@ function App() {
       {/* Main Content */}
       {!loading && !error && games.length > 0 && (
         <>
+          {/* History Filters */}
+          <GameFilterBar
+            filters={filters}
+            onChange={setFilters}
+            sort={sort}
+            onSortChange={setSort}
+            resultCount={filteredGames.length}
+            totalCount={games.length}
+            partnerSuggestions={partnerNames}
+          />
+
           {/* Stats Overview */}
           <motion.div
             className="stats-overview"
@@ -472,8 +682,8 @@ function App() {
             transition={{ duration: 0.6, delay: 0.2 }}
           >
             <div className="stat-card ember">
-              <div className="stat-value">{totalRows}</div>
-              <div className="stat-label">Total Games</div>
+              <div className="stat-value">{filtersActive ? filteredGames.length : totalRows}</div>
+              <div className="stat-label">{filtersActive ? 'Matching Games' : 'Total Games'}</div>
             </div>
             <div className="stat-card rose">
               <div className="stat-value">{stats?.avgScore}</div>
@@ -493,6 +703,26 @@ function App() {
             </div>
           </motion.div>
 
+          {/* History Loading Progress */}
+          {(hasMoreHistory || loadingMore) && (
+            <div className="history-progress">
+              <div className="history-progress-bar">
+                <div
+                  className="history-progress-fill"
+                  style={{ width: `${Math.min(100, (games.length / Math.max(totalRows, 1)) * 100)}%` }}
+                />
+              </div>
+              <span className="history-progress-text">
+                {games.length} of {totalRows} games loaded{loadingMore ? '...' : ''}
+              </span>
+              {loadingMore ? (
+                <button className="history-progress-btn" onClick={stopLoadingHistory}>Stop</button>
+              ) : (
+                <button className="history-progress-btn" onClick={() => loadMoreHistory({ all: true })}>Load all</button>
+              )}
+            </div>
+          )}
+
           {/* View Toggle */}
           <motion.div
             className="view-controls"
@@ -518,8 +748,61 @@ function App() {
             >
               🎴 Games Only
             </button>
+            <button
+              className={`view-btn ${activeView === 'compare' ? 'active' : ''}`}
+              onClick={() => setActiveView('compare')}
+            >
+              👥 Compare Players
+            </button>
+            <button
+              className={`view-btn ${activeView === 'train' ? 'active' : ''}`}
+              onClick={() => setActiveView('train')}
+            >
+              🎯 Training
+            </button>
+            <ExportMenu datasets={exportDatasets} meta={exportMeta} />
           </motion.div>
 
+          {/* Multi-player comparison */}
+          {activeView === 'compare' && (
+            <motion.section
+              className="comparison-section"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.6, delay: 0.3 }}
+            >
+              <div className="section-header">
+                <h2 className="section-title">
+                  <span>👥</span> Compare Players
+                </h2>
+                <span className="chart-subtitle">Playstyle over each player's last 50 games</span>
+              </div>
+              <PlayerComparison
+                key={historyUser}
+                defaultPlayers={historyUser ? [historyUser] : []}
+                suggestions={frequentPartners.map(p => p.name)}
+              />
+            </motion.section>
+          )}
+
+          {/* "What would you do?" training quiz */}
+          {activeView === 'train' && (
+            <motion.section
+              className="comparison-section"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.6, delay: 0.3 }}
+            >
+              <div className="section-header">
+                <h2 className="section-title">
+                  <span>🎯</span> What Would You Do?
+                </h2>
+                <span className="chart-subtitle">Missed saves, missed finesses and misread saves from the last {TRAINING_GAMES} games, replayed as puzzles</span>
+              </div>
+              <TrainingQuiz key={historyUser} player={historyUser} games={games} />
+            </motion.section>
+          )}
+
           {/* Playstyle Profile */}
           {(activeView === 'all' || activeView === 'charts') && (
             <motion.section
@@ -534,18 +817,24 @@ function App() {
                     <span>🔷</span> Playstyle Profile
                   </h2>
                   {playstyleProfile && (
-                    <span className="chart-subtitle">{playstyleProfile.gamesAnalyzed} games analyzed</span>
+                    <span className="chart-subtitle">
+                      {playstyleProfile.gamesAnalyzed} games analyzed
+                      {filtersActive && ' · most recent games, not narrowed by the filters'}
+                    </span>
+                  )}
+                  {playstyleData.length > 0 && (
+                    <button className="view-btn report-card-btn" onClick={() => setShowReportCard(true)}>
+                      🪪 Generate report card
+                    </button>
                   )}
                 </div>
                 <div className="playstyle-chart-wrapper">
                   {playstyleLoading ? (
-                    <div className="chart-loading">
-                      <div className="loading-spinner" style={{ width: 40, height: 40 }}></div>
-                      <p className="loading-text">Analyzing playstyle...</p>
-                    </div>
+                    <AnalysisProgress kind="playstyle" label="Analyzing playstyle..." spinnerSize={40} onCancel={cancelPlaystyleProfile} />
                   ) : playstyleError ? (
                     <div className="chart-error">
-                      <p>Failed to load playstyle profile</p>
+                      <p>{playstyleError === ANALYSIS_CANCELLED ? 'Playstyle analysis cancelled' : 'Failed to load playstyle profile'}</p>
+                      <button className="analysis-retry-btn" onClick={() => fetchPlaystyleProfile(historyUser)}>Retry</button>
                     </div>
                   ) : playstyleData.length === 0 ? (
                     <div className="chart-empty">
@@ -565,7 +854,7 @@ function App() {
                           )
                         }} />
                         <Radar
-                          name={username}
+                          name={historyUser}
                           dataKey="value"
                           stroke={CHART_COLORS.cyan}
                           fill={CHART_COLORS.cyan}
@@ -590,7 +879,7 @@ function App() {
                                 <p className="tooltip-label">{d.axis}</p>
                                 {d.desc && <p className="tooltip-desc">{d.desc}</p>}
                                 <p className="tooltip-value" style={{ color: CHART_COLORS.cyan }}>
-                                  {username}: {d.value.toFixed(1)}
+                                  {historyUser}: {d.value.toFixed(1)}
                                 </p>
                                 {d.compareValue !== undefined && (
                                   <p className="tooltip-value" style={{ color: CHART_COLORS.ember }}>
@@ -648,6 +937,10 @@ function App() {
             </motion.section>
           )}
 
+          {showReportCard && playstyleData.length > 0 && (
+            <ReportCardDialog card={reportCard} onClose={() => setShowReportCard(false)} />
+          )}
+
           {/* Frequent Partners */}
           {(activeView === 'all' || activeView === 'charts') && frequentPartners.length > 0 && (
             <motion.section
@@ -712,26 +1005,72 @@ function App() {
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.6, delay: 0.3 }}
             >
+              <div className="filter-bar trend-controls">
+                <div className="filter-row">
+                  <div className="filter-group">
+                    <span className="filter-label">Trend range</span>
+                    <select
+                      className="filter-input"
+                      value={trendSettings.range}
+                      onChange={e => setTrendSettings(prev => ({ ...prev, range: e.target.value }))}
+                    >
+                      {TREND_RANGES.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+                    </select>
+                  </div>
+                  <div className="filter-group">
+                    <span className="filter-label">Rolling window</span>
+                    <div className="filter-chips">
+                      {ROLLING_WINDOWS.map(size => (
+                        <button
+                          key={size}
+                          className={`filter-chip ${trendSettings.window === size ? 'active' : ''}`}
+                          onClick={() => setTrendSettings(prev => ({ ...prev, window: size }))}
+                        >
+                          {size}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <button
+                    className={`view-btn trend-compare-btn ${showPeriodComparison ? 'active' : ''}`}
+                    onClick={() => setShowPeriodComparison(show => !show)}
+                  >
+                    ⚖️ Compare two periods
+                  </button>
+                </div>
+                {showPeriodComparison && (
+                  <PeriodComparison
+                    key={historyUser}
+                    player={historyUser}
+                    games={games}
+                    historyComplete={!hasMoreHistory}
+                    loadingHistory={loadingMore}
+                    onLoadAllHistory={() => loadMoreHistory({ all: true })}
+                  />
+                )}
+              </div>
+
               <div className="charts-grid">
                 {/* Critical Mistakes Trend */}
                 <div className="chart-container chart-full-width">
                   <div className="chart-header">
                     <span className="chart-icon">🔥</span>
                     <h3 className="chart-title">Critical Mistakes Trend</h3>
+                    <span className="chart-subtitle">
+                      {trendRangeLabel} · last 50 analyzed games{filtersActive ? ', matching the filters' : ''}
+                    </span>
                   </div>
                   <div className="chart-wrapper">
                     {criticalLoading ? (
-                      <div className="chart-loading">
-                        <div className="loading-spinner" style={{ width: 40, height: 40 }}></div>
-                        <p className="loading-text">Analyzing games...</p>
-                      </div>
+                      <AnalysisProgress kind="criticalTrends" label="Analyzing games..." spinnerSize={40} onCancel={cancelCriticalTrends} />
                     ) : criticalError ? (
                       <div className="chart-error">
-                        <p>Failed to load critical trends</p>
+                        <p>{criticalError === ANALYSIS_CANCELLED ? 'Analysis cancelled' : 'Failed to load critical trends'}</p>
+                        <button className="analysis-retry-btn" onClick={() => fetchCriticalTrends(historyUser)}>Retry</button>
                       </div>
                     ) : criticalTrendData.length === 0 ? (
                       <div className="chart-empty">
-                        <p>No data available</p>
+                        <p>{filtersActive && criticalTrends?.games?.length ? 'No analyzed games match the filters' : 'No data available'}</p>
                       </div>
                     ) : (
                       <ResponsiveContainer width="100%" height="100%">
@@ -765,7 +1104,7 @@ function App() {
                             stroke={CHART_COLORS.gold}
                             strokeWidth={3}
                             dot={false}
-                            name="10-Game Avg"
+                            name={`${trendSettings.window}-Game Avg`}
                           />
                         </LineChart>
                       </ResponsiveContainer>
@@ -777,7 +1116,8 @@ function App() {
                 <div className="chart-container">
                   <div className="chart-header">
                     <span className="chart-icon">📈</span>
-                    <h3 className="chart-title">Score Trend (Recent Games)</h3>
+                    <h3 className="chart-title">Score Trend</h3>
+                    <span className="chart-subtitle">{trendRangeLabel}</span>
                   </div>
                   <div className="chart-wrapper">
                     <ResponsiveContainer width="100%" height="100%">
@@ -808,6 +1148,14 @@ function App() {
                           fill="url(#scoreGradient)"
                           name="Score"
                         />
+                        <Area
+                          type="monotone"
+                          dataKey="rollingAvg"
+                          stroke={CHART_COLORS.gold}
+                          strokeWidth={2}
+                          fill="none"
+                          name={`${trendSettings.window}-Game Avg`}
+                        />
                       </AreaChart>
                     </ResponsiveContainer>
                   </div>
@@ -932,10 +1280,17 @@ function App() {
                 <h2 className="section-title">
                   <span>🎴</span> Recent Games
                 </h2>
+                <span className="chart-subtitle">
+                  {filtersActive ? `${filteredGames.length} matching, ` : ''}{games.length} of {totalRows} loaded
+                </span>
               </div>
 
+              {sortedGames.length === 0 && (
+                <p className="filter-empty">No loaded games match these filters</p>
+              )}
+
               <div className="games-grid">
-                {games.map((game, index) => {
+                {sortedGames.map((game, index) => {
                   const tier = getScoreTier(game.score)
                   return (
                     <motion.div
@@ -943,9 +1298,9 @@ function App() {
                       className={`game-card ${tier}`}
                       initial={{ opacity: 0, y: 20 }}
                       animate={{ opacity: 1, y: 0 }}
-                      transition={{ duration: 0.4, delay: index * 0.03 }}
+                      transition={{ duration: 0.4, delay: Math.min(index % HISTORY_PAGE_SIZE, 20) * 0.03 }}
                       whileHover={{ scale: 1.02 }}
-                      onClick={() => fetchGameAnalysis(game.id)}
+                      onClick={() => openGame(game.id)}
                     >
                       <div className="card-top">
                         <span className="game-id">#{game.id}</span>
@@ -967,6 +1322,20 @@ function App() {
                   )
                 })}
               </div>
+
+              {/* Infinite scroll sentinel + manual fallback */}
+              <div ref={loadMoreSentinel} className="load-more-container">
+                {loadingMore ? (
+                  <div className="loading-spinner" style={{ width: 32, height: 32 }}></div>
+                ) : loadMoreError ? (
+                  <>
+                    <p className="load-more-error">{loadMoreError}</p>
+                    <button className="load-more-btn" onClick={() => loadMoreHistory()}>Retry</button>
+                  </>
+                ) : hasMoreHistory ? (
+                  <button className="load-more-btn" onClick={() => loadMoreHistory()}>Load more games</button>
+                ) : null}
+              </div>
             </motion.section>
           )}
         </>
@@ -979,6 +1348,8 @@ function App() {
           <p className="empty-text">No games found for this user. Try a different username!</p>
         </div>
       )}
+
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
     </div>
   )
 }
@@ -1,18 +1,12 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { motion, AnimatePresence } from 'motion/react'
-
-const BOT_API_URL = import.meta.env.VITE_BOT_API_URL || 'http://localhost:3001'
-
-const SUIT_COLORS = ['#ff4444', '#ffdd44', '#44dd44', '#4488ff', '#aa44ff', '#ff88cc']
-
-const CLASSIFICATION_CONFIG = {
-  correct:    { label: 'Correct',    color: 'var(--mint)',  bg: 'rgba(6, 255, 165, 0.15)' },
-  good:       { label: 'Good',       color: 'var(--cyan)',  bg: 'rgba(58, 134, 255, 0.15)' },
-  inaccuracy: { label: 'Inaccuracy', color: 'var(--gold)',  bg: 'rgba(255, 190, 11, 0.15)' },
-  mistake:    { label: 'Mistake',    color: 'var(--flame)', bg: 'rgba(255, 159, 28, 0.15)' },
-  blunder:    { label: 'Blunder',    color: 'var(--rose)',  bg: 'rgba(255, 0, 110, 0.15)' },
-  unknown:    { label: 'Unknown',    color: 'var(--text-muted)', bg: 'rgba(72, 79, 88, 0.15)' },
-}
+import { CLASSIFICATION_CONFIG } from './botReview'
+import AnalysisProgress from './AnalysisProgress'
+import { ANALYSIS_CANCELLED } from './progress'
+import { getVariant, suitOf, suitStyle, suitClass } from './variants'
+import { handleListKeyDown, onActivateKey } from './a11y'
+import { noteTarget } from './reviewNotes'
+import { NoteThread } from './NoteThread'
 
 const CASCADE_LABELS = {
   1: 'Play into bluff',
@@ -40,7 +34,7 @@ const TYPE_BADGES = {
   chop_discard:  { label: 'Chop',        color: 'var(--flame)' },
 }
 
-function ClassificationBadge({ classification }) {
+export function ClassificationBadge({ classification }) {
   const config = CLASSIFICATION_CONFIG[classification] || CLASSIFICATION_CONFIG.unknown
   return (
     <span
@@ -75,21 +69,25 @@ function AccuracyBar({ classifications, total }) {
   )
 }
 
-function MiniHandCard({ card, highlighted, suitNames }) {
-  const suitColor = card.suitIndex >= 0 ? SUIT_COLORS[card.suitIndex] || '#888' : '#444'
+function MiniHandCard({ card, highlighted, variant }) {
+  const suit = card.suitIndex >= 0 ? suitOf(variant, card.suitIndex) : null
   const isKnown = card.suitIndex >= 0 && card.rank >= 0
+  const label = isKnown ? `${suit?.name || 'Suit ' + card.suitIndex} ${card.rank}` : 'Unknown'
   return (
     <div
-      className={`bot-mini-card ${highlighted ? 'bot-card-highlighted' : ''}`}
-      style={{ '--suit-color': suitColor }}
-      title={isKnown ? `${suitNames?.[card.suitIndex] || 'Suit ' + card.suitIndex} ${card.rank}` : 'Unknown'}
+      className={`bot-mini-card ${suitClass(suit)} ${highlighted ? 'bot-card-highlighted' : ''}`}
+      style={suit ? suitStyle(suit) : { '--suit-color': '#444' }}
+      title={label}
+      role="img"
+      aria-label={highlighted ? `${label}, targeted by this candidate` : label}
     >
       {isKnown && <span className="bot-mini-rank">{card.rank}</span>}
+      {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
     </div>
   )
 }
 
-function CandidateRow({ candidate, isExpanded, onToggle, highlightedCards, onHover }) {
+function CandidateRow({ candidate, isExpanded, onToggle, highlightedCards, onHover, notes, onAddNote, onRemoveNote }) {
   const typeBadge = TYPE_BADGES[candidate.type] || { label: candidate.type, color: 'var(--text-muted)' }
   const cascadeLabel = CASCADE_LABELS[candidate.cascadeRank] || `Priority ${candidate.cascadeRank}`
 
@@ -103,10 +101,21 @@ function CandidateRow({ candidate, isExpanded, onToggle, highlightedCards, onHov
   return (
     <div
       className={`bot-candidate-row ${candidate.isActual ? 'is-actual' : ''} ${candidate.isBot ? 'is-bot' : ''}`}
+      role="listitem"
       onMouseEnter={() => onHover(getTargetOrders())}
       onMouseLeave={() => onHover([])}
     >
-      <div className="bot-candidate-main" onClick={candidate.breakdown ? onToggle : undefined}>
+      <div
+        className="bot-candidate-main"
+        data-nav-item
+        tabIndex={0}
+        role={candidate.breakdown ? 'button' : undefined}
+        aria-expanded={candidate.breakdown ? isExpanded : undefined}
+        onClick={candidate.breakdown ? onToggle : undefined}
+        onKeyDown={candidate.breakdown ? onActivateKey(onToggle) : undefined}
+        onFocus={() => onHover(getTargetOrders())}
+        onBlur={() => onHover([])}
+      >
         <span className="bot-candidate-rank">#{candidate.cascadeRank}</span>
         <span className="bot-candidate-desc">{candidate.description}</span>
         <span className="bot-candidate-type" style={{ color: typeBadge.color, borderColor: typeBadge.color }}>
@@ -116,13 +125,14 @@ function CandidateRow({ candidate, isExpanded, onToggle, highlightedCards, onHov
           <span className="bot-candidate-value">{candidate.value.toFixed(2)}</span>
         )}
         <span className="bot-candidate-markers">
-          {candidate.isBot && <span className="bot-marker" title="Bot recommendation">BOT</span>}
-          {candidate.isActual && <span className="actual-marker" title="Actual action played">PLAYED</span>}
+          {candidate.isBot && <span className="bot-marker" title="Bot recommendation" aria-label="bot recommendation">BOT</span>}
+          {candidate.isActual && <span className="actual-marker" title="Actual action played" aria-label="actually played">PLAYED</span>}
         </span>
         {candidate.breakdown && (
-          <span className="bot-candidate-expand">{isExpanded ? '−' : '+'}</span>
+          <span className="bot-candidate-expand" aria-hidden="true">{isExpanded ? '−' : '+'}</span>
         )}
       </div>
+      {notes && <NoteThread notes={notes} onAdd={onAddNote} onRemove={onRemoveNote} />}
       <AnimatePresence>
         {isExpanded && candidate.breakdown && (
           <motion.div
@@ -168,13 +178,18 @@ function BreakdownTable({ breakdown }) {
   )
 }
 
-function TurnCard({ turn, suitNames, onSelectTurn, isSelected }) {
+function TurnCard({ turn, onSelectTurn, isSelected }) {
   const config = CLASSIFICATION_CONFIG[turn.classification] || CLASSIFICATION_CONFIG.unknown
   return (
     <motion.div
       className={`bot-turn-card ${isSelected ? 'selected' : ''}`}
       style={{ borderLeftColor: config.color }}
+      data-nav-item
+      tabIndex={0}
+      role="option"
+      aria-selected={isSelected}
       onClick={() => onSelectTurn(turn.turn)}
+      onKeyDown={onActivateKey(() => onSelectTurn(turn.turn))}
       initial={{ opacity: 0, x: -10 }}
       animate={{ opacity: 1, x: 0 }}
     >
@@ -199,7 +214,7 @@ function TurnCard({ turn, suitNames, onSelectTurn, isSelected }) {
   )
 }
 
-function TurnDetail({ turn, suitNames }) {
+function TurnDetail({ turn, variant, review }) {
   const [expandedCandidate, setExpandedCandidate] = useState(null)
   const [highlightedOrders, setHighlightedOrders] = useState([])
 
@@ -223,15 +238,20 @@ function TurnDetail({ turn, suitNames }) {
 
       {/* Play stacks */}
       <div className="bot-play-stacks">
-        {state.playStacks?.map((value, suitIndex) => (
-          <div
-            key={suitIndex}
-            className="bot-stack"
-            style={{ '--suit-color': SUIT_COLORS[suitIndex] || '#888' }}
-          >
-            <span className="bot-stack-value">{value}</span>
-          </div>
-        ))}
+        {state.playStacks?.map((value, suitIndex) => {
+          const suit = suitOf(variant, suitIndex)
+          return (
+            <div
+              key={suitIndex}
+              className={`bot-stack ${suitClass(suit)}`}
+              style={suit ? suitStyle(suit) : { '--suit-color': '#888' }}
+              title={suit?.name}
+            >
+              <span className="bot-stack-value">{value}</span>
+              {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
+            </div>
+          )
+        })}
       </div>
 
       {/* Hands */}
@@ -239,7 +259,6 @@ function TurnDetail({ turn, suitNames }) {
         {state.hands?.map((hand, playerIndex) => (
           <div key={playerIndex} className="bot-hand-row">
             <span className={`bot-hand-name ${playerIndex === state.currentPlayerIndex ? 'current' : ''}`}>
-              {suitNames ? '' : ''}{state.suits ? '' : ''}{/* use playerIndex from state */}
               P{playerIndex + 1}
               {playerIndex === state.currentPlayerIndex && ' *'}
             </span>
@@ -249,7 +268,7 @@ function TurnDetail({ turn, suitNames }) {
                   key={card.order ?? i}
                   card={card}
                   highlighted={highlightedOrders.includes(card.order)}
-                  suitNames={suitNames}
+                  variant={variant}
                 />
               ))}
             </div>
@@ -259,8 +278,8 @@ function TurnDetail({ turn, suitNames }) {
 
       {/* Candidates table */}
       {turn.candidates && turn.candidates.length > 0 && (
-        <div className="bot-candidates">
-          <div className="bot-candidates-header">Candidates</div>
+        <div className="bot-candidates" role="list" aria-labelledby={`bot-candidates-${turn.turn}`} onKeyDown={handleListKeyDown}>
+          <div className="bot-candidates-header" id={`bot-candidates-${turn.turn}`}>Candidates</div>
           {turn.candidates.map((c, i) => (
             <CandidateRow
               key={i}
@@ -269,6 +288,9 @@ function TurnDetail({ turn, suitNames }) {
               onToggle={() => setExpandedCandidate(expandedCandidate === i ? null : i)}
               highlightedCards={highlightedOrders}
               onHover={setHighlightedOrders}
+              notes={review?.notesFor(noteTarget.candidate(turn.turn, c))}
+              onAddNote={review && (text => review.addNote(noteTarget.candidate(turn.turn, c), text))}
+              onRemoveNote={review?.removeNote}
             />
           ))}
         </div>
@@ -277,31 +299,11 @@ function TurnDetail({ turn, suitNames }) {
   )
 }
 
-function BotAnalysisPanel({ gameId }) {
-  const [data, setData] = useState(null)
-  const [loading, setLoading] = useState(false)
-  const [error, setError] = useState(null)
+function BotAnalysisPanel({ data, loading, error, onCancel, onRetry, review }) {
   const [selectedTurn, setSelectedTurn] = useState(null)
   const [filterPlayer, setFilterPlayer] = useState(null)
   const [isCollapsed, setIsCollapsed] = useState(false)
 
-  useEffect(() => {
-    if (!gameId) return
-    setLoading(true)
-    setError(null)
-    setData(null)
-    setSelectedTurn(null)
-
-    fetch(`${BOT_API_URL}/api/review/${gameId}?level=5`)
-      .then(res => {
-        if (!res.ok) throw new Error(`Bot API returned ${res.status}`)
-        return res.json()
-      })
-      .then(setData)
-      .catch(err => setError(err.message))
-      .finally(() => setLoading(false))
-  }, [gameId])
-
   if (loading) {
     return (
       <motion.div
@@ -314,9 +316,12 @@ function BotAnalysisPanel({ gameId }) {
           <h3 className="bot-panel-title">Bot Analysis</h3>
         </div>
         <div className="bot-panel-loading">
-          <div className="loading-spinner"></div>
-          <p className="loading-text">Running bot analysis...</p>
-          <p className="bot-loading-sub">This may take a moment for longer games</p>
+          <AnalysisProgress
+            kind="botReview"
+            label="Running bot analysis..."
+            detail="Longer games take longer to analyze"
+            onCancel={onCancel}
+          />
         </div>
       </motion.div>
     )
@@ -334,8 +339,15 @@ function BotAnalysisPanel({ gameId }) {
           <h3 className="bot-panel-title">Bot Analysis</h3>
         </div>
         <div className="bot-panel-error">
-          <p>Could not load bot analysis</p>
-          <p className="bot-error-detail">{error}</p>
+          {error === ANALYSIS_CANCELLED ? (
+            <p>Bot analysis cancelled</p>
+          ) : (
+            <>
+              <p>Could not load bot analysis</p>
+              <p className="bot-error-detail">{error}</p>
+            </>
+          )}
+          {onRetry && <button className="analysis-retry-btn" onClick={onRetry}>Retry</button>}
         </div>
       </motion.div>
     )
@@ -344,7 +356,7 @@ function BotAnalysisPanel({ gameId }) {
   if (!data) return null
 
   const { summary, turns, gameInfo } = data
-  const suitNames = gameInfo.suits || []
+  const variant = getVariant(gameInfo.variant, { suitNames: gameInfo.suits, numSuits: turns[0]?.state?.playStacks?.length })
 
   const filteredTurns = filterPlayer
     ? turns.filter(t => t.playerName === filterPlayer)
@@ -359,7 +371,14 @@ function BotAnalysisPanel({ gameId }) {
       animate={{ opacity: 1, y: 0 }}
       transition={{ delay: 0.3 }}
     >
-      <div className="bot-panel-header" onClick={() => setIsCollapsed(!isCollapsed)}>
+      <div
+        className="bot-panel-header"
+        role="button"
+        tabIndex={0}
+        aria-expanded={!isCollapsed}
+        onClick={() => setIsCollapsed(!isCollapsed)}
+        onKeyDown={onActivateKey(() => setIsCollapsed(!isCollapsed))}
+      >
         <h3 className="bot-panel-title">
           Bot Analysis
           <span className="bot-panel-level">Level {gameInfo.level}</span>
@@ -368,7 +387,7 @@ function BotAnalysisPanel({ gameId }) {
           <span className="bot-accuracy-pct">{summary.accuracy}%</span>
           <span className="bot-accuracy-label">accuracy</span>
         </div>
-        <span className="bot-panel-collapse">{isCollapsed ? '+' : '−'}</span>
+        <span className="bot-panel-collapse" aria-hidden="true">{isCollapsed ? '+' : '−'}</span>
       </div>
 
       <AnimatePresence>
@@ -394,12 +413,17 @@ function BotAnalysisPanel({ gameId }) {
             </div>
 
             {/* Per-player accuracy */}
-            <div className="bot-per-player">
+            <div className="bot-per-player" onKeyDown={handleListKeyDown}>
               {Object.entries(summary.perPlayer).map(([name, stats]) => (
                 <div
                   key={name}
                   className={`bot-player-row ${filterPlayer === name ? 'active' : ''}`}
+                  data-nav-item
+                  tabIndex={0}
+                  role="button"
+                  aria-pressed={filterPlayer === name}
                   onClick={() => setFilterPlayer(filterPlayer === name ? null : name)}
+                  onKeyDown={onActivateKey(() => setFilterPlayer(filterPlayer === name ? null : name))}
                 >
                   <span className="bot-player-name">{name}</span>
                   <div className="bot-player-bar-container">
@@ -422,12 +446,11 @@ function BotAnalysisPanel({ gameId }) {
                   </button>
                 )}
               </div>
-              <div className="bot-turns-list">
+              <div className="bot-turns-list" role="listbox" aria-label="Bot-reviewed turns" onKeyDown={handleListKeyDown}>
                 {filteredTurns.map(turn => (
                   <TurnCard
                     key={turn.turn}
                     turn={turn}
-                    suitNames={suitNames}
                     onSelectTurn={setSelectedTurn}
                     isSelected={selectedTurn === turn.turn}
                   />
@@ -438,7 +461,7 @@ function BotAnalysisPanel({ gameId }) {
             {/* Selected turn detail */}
             <AnimatePresence>
               {selectedTurnData && (
-                <TurnDetail turn={selectedTurnData} suitNames={suitNames} />
+                <TurnDetail turn={selectedTurnData} variant={variant} review={review} />
               )}
             </AnimatePresence>
           </motion.div>
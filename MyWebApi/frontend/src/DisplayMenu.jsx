@@ -0,0 +1,63 @@
+import { PALETTES, setDisplayPrefs, useDisplayPrefs } from './displayPrefs'
+import { getVariant, suitStyle, suitClass } from './variants'
+
+const PREVIEW_SUITS = getVariant(null, {
+  suitNames: ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Teal', 'Rainbow'],
+}).suits
+
+// Dropdown with the suit palette and glyph/pattern overlays for every board
+function DisplayMenu() {
+  const prefs = useDisplayPrefs()
+
+  return (
+    <details className="export-menu display-menu">
+      <summary className="view-btn export-menu-toggle">🎨 Display</summary>
+      <div className="export-menu-panel display-menu-panel">
+        <fieldset className="display-menu-group">
+          <legend className="filter-label">Suit colors</legend>
+          {PALETTES.map(palette => (
+            <label key={palette.value} className="display-menu-option" title={palette.desc}>
+              <input
+                type="radio"
+                name="suit-palette"
+                value={palette.value}
+                checked={prefs.palette === palette.value}
+                onChange={() => setDisplayPrefs({ palette: palette.value })}
+              />
+              {palette.label}
+            </label>
+          ))}
+        </fieldset>
+        <fieldset className="display-menu-group">
+          <legend className="filter-label">Suit marks</legend>
+          <label className="display-menu-option">
+            <input
+              type="checkbox"
+              checked={prefs.glyphs}
+              onChange={e => setDisplayPrefs({ glyphs: e.target.checked })}
+            />
+            Symbols on cards, stacks and clues
+          </label>
+          <label className="display-menu-option">
+            <input
+              type="checkbox"
+              checked={prefs.patterns}
+              onChange={e => setDisplayPrefs({ patterns: e.target.checked })}
+            />
+            Patterns on cards and stacks
+          </label>
+        </fieldset>
+        <div className="display-menu-preview" aria-hidden="true">
+          {PREVIEW_SUITS.map(suit => (
+            <div key={suit.name} className={`bot-stack ${suitClass(suit)}`} style={suitStyle(suit)} title={suit.name}>
+              <span className="bot-stack-value">{suit.abbreviation}</span>
+              <span className="suit-glyph">{suit.symbol}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </details>
+  )
+}
+
+export default DisplayMenu
@@ -0,0 +1,30 @@
+import { EXPORT_DATASETS, exportDataset } from './exportData'
+
+// Dropdown with CSV/JSON downloads for each dataset that currently has rows
+function ExportMenu({ datasets, meta }) {
+  const available = Object.entries(datasets).filter(([, rows]) => rows && rows.length > 0)
+
+  return (
+    <details className="export-menu">
+      <summary className="view-btn export-menu-toggle">⬇ Export</summary>
+      <div className="export-menu-panel">
+        {available.length === 0 ? (
+          <p className="export-menu-empty">Nothing to export yet</p>
+        ) : (
+          available.map(([key, rows]) => (
+            <div key={key} className="export-menu-row">
+              <span className="export-menu-label" title={EXPORT_DATASETS[key].description}>
+                {EXPORT_DATASETS[key].label}
+                <span className="export-menu-count">{rows.length} rows</span>
+              </span>
+              <button className="export-menu-btn" onClick={() => exportDataset(key, 'csv', rows, meta)}>CSV</button>
+              <button className="export-menu-btn" onClick={() => exportDataset(key, 'json', rows, meta)}>JSON</button>
+            </div>
+          ))
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default ExportMenu
@@ -1,57 +1,70 @@
-import { useState } from 'react'
+import { useState, useEffect, useRef, useMemo } from 'react'
 import { motion, AnimatePresence } from 'motion/react'
 import GameStateVisualization from './GameStateVisualization'
 import BotAnalysisPanel from './BotAnalysisPanel'
+import TurnTimeline from './TurnTimeline'
+import DisplayMenu from './DisplayMenu'
+import { useBotReview } from './botReview'
+import { getSeverityClass, getSeverityIcon, formatViolationType } from './violationFormat'
+import { getVariant } from './variants'
+import { handleListKeyDown, onActivateKey } from './a11y'
+import { useReviewNotes, noteTarget } from './reviewNotes'
+import { NoteThread, ReviewToolbar } from './NoteThread'
 
-const SUIT_NAMES = ['Red', 'Yellow', 'Green', 'Blue', 'Purple']
-const SUIT_COLORS = ['#ff4444', '#ffdd44', '#44dd44', '#4488ff', '#aa44ff']
+// Turn window shown around a violation in its expanded board view
+const TURN_WINDOW = 5
 
-const ACTION_NAMES = {
-  0: 'Play',
-  1: 'Discard',
-  2: 'Color Clue',
-  3: 'Rank Clue'
-}
+const getTurnRange = (violation, actionCount) => ({
+  minTurn: Math.max(1, violation.turn - TURN_WINDOW),
+  maxTurn: Math.min(actionCount || violation.turn, violation.turn + TURN_WINDOW),
+})
 
-const getSeverityClass = (severity) => {
-  switch (severity) {
-    case 'critical': return 'severity-critical'
-    case 'warning': return 'severity-warning'
-    case 'info': return 'severity-info'
-    default: return ''
+// Pick the violation card a deep-linked turn belongs to: keep the open card if the
+// turn is inside its window, otherwise the first expandable violation at that turn
+const findViolationForTurn = (violations, turn, currentIndex, actionCount) => {
+  const current = currentIndex !== null ? violations[currentIndex] : null
+  if (current) {
+    const { minTurn, maxTurn } = getTurnRange(current, actionCount)
+    if (turn >= minTurn && turn <= maxTurn) return currentIndex
   }
+  const index = violations.findIndex(v => v.severity !== 'info' && v.turn === turn)
+  return index >= 0 ? index : null
 }
 
-const getSeverityIcon = (severity) => {
-  switch (severity) {
-    case 'critical': return '!!'
-    case 'warning': return '!'
-    case 'info': return 'i'
-    default: return '?'
-  }
-}
+function GameDetail({ gameId, analysis, loading, error, turn = null, onTurnChange, onBack }) {
+  const [expandedViolation, setExpandedViolation] = useState(null)
+  const [viewingTurn, setViewingTurn] = useState(null)
+  const [replayTurn, setReplayTurn] = useState(null)
+  const expandedRef = useRef(null)
+  const replayRef = useRef(null)
+  // The bot review replays the same board, so it needs states to line up with
+  const botReview = useBotReview(analysis?.states ? gameId : null)
+  const review = useReviewNotes(gameId)
+  const variant = useMemo(
+    () => getVariant(analysis?.variantName, { numSuits: analysis?.states?.[0]?.playStacks.length }),
+    [analysis]
+  )
 
-const formatViolationType = (type) => {
-  switch (type) {
-    // Phase 1
-    case 'Misplay': return 'Misplay'
-    case 'BadDiscard5': return 'Discarded 5'
-    case 'BadDiscardCritical': return 'Discarded Critical'
-    // Phase 2
-    case 'GoodTouchViolation': return 'Good Touch'
-    case 'MCVPViolation': return 'MCVP'
-    case 'MissedSave': return 'Missed Save'
-    // Phase 3
-    case 'MissedPrompt': return 'Missed Prompt'
-    case 'MissedFinesse': return 'Missed Finesse'
-    case 'BrokenFinesse': return 'Broken Finesse'
-    default: return type
+  // Follow the turn in the URL (deep links, back/forward) once the analysis is available
+  const [syncedTurn, setSyncedTurn] = useState(null)
+  const [syncedAnalysis, setSyncedAnalysis] = useState(null)
+  const [routeSyncs, setRouteSyncs] = useState(0)
+  if (analysis && (turn !== syncedTurn || analysis !== syncedAnalysis)) {
+    setSyncedTurn(turn)
+    setSyncedAnalysis(analysis)
+    const index = turn !== null
+      ? findViolationForTurn(analysis.violations || [], turn, expandedViolation, analysis.game.actions?.length)
+      : null
+    setExpandedViolation(index)
+    setViewingTurn(index !== null ? turn : null)
+    if (index !== null && index !== expandedViolation) setRouteSyncs(n => n + 1)
   }
-}
 
-function GameDetail({ gameId, analysis, loading, error, onBack }) {
-  const [expandedViolation, setExpandedViolation] = useState(null)
-  const [viewingTurn, setViewingTurn] = useState(null)
+  // Bring a violation opened from the URL into view
+  useEffect(() => {
+    if (routeSyncs === 0) return
+    expandedRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }, [routeSyncs])
 
   // Get state BEFORE an action at the given turn
   // turn is 1-indexed (turn 1 = first action)
@@ -68,11 +81,25 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
     if (expandedViolation === index) {
       setExpandedViolation(null)
       setViewingTurn(null)
+      onTurnChange?.(null)
     } else {
       setExpandedViolation(index)
       setViewingTurn(violation.turn)
+      onTurnChange?.(violation.turn)
     }
   }
+
+  // Timeline rows open the replay board at their turn
+  const openReplayAt = (turn) => {
+    setReplayTurn(turn)
+    replayRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' })
+  }
+
+  // Stepping through turns inside an open card replaces the history entry
+  const showTurn = (nextTurn) => {
+    setViewingTurn(nextTurn)
+    onTurnChange?.(nextTurn, { replace: true })
+  }
   if (loading) {
     return (
       <div className="game-detail">
@@ -116,8 +143,8 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
 
   const { game, violations, summary, variantSupported, variantName } = analysis
 
-  // Variant not supported
-  if (!variantSupported) {
+  // Nothing to draw: the backend neither simulated nor analyzed this variant
+  if (!variantSupported && !analysis.states) {
     return (
       <div className="game-detail">
         <motion.div
@@ -151,6 +178,17 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
     )
   }
 
+  // Replay covers every state: turn 1 is the deal, turn N + 1 the final board
+  const replayMaxTurn = analysis.states?.length || 1
+  const replayMarkers = (violations || []).map(v => ({
+    turn: v.turn,
+    severity: v.severity,
+    label: `${v.player} - ${formatViolationType(v.type)}`,
+  }))
+  const replayHighlight = replayTurn
+    ? violations?.find(v => v.turn === replayTurn && v.card)?.card.deckIndex
+    : null
+
   const finalScore = game.actions?.length > 0
     ? analysis.game.deck ? calculateFinalScore(game) : 0
     : 0
@@ -168,8 +206,12 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
         </button>
         <div className="detail-title-section">
           <h2 className="detail-title">Game #{game.id}</h2>
-          <span className="detail-meta">{game.players?.length || 0} players</span>
+          <span className="detail-meta">
+            {game.players?.length || 0} players
+            {variant.name !== 'No Variant' && ` · ${variant.name}`}
+          </span>
         </div>
+        <DisplayMenu />
       </motion.div>
 
       {/* Players */}
@@ -186,6 +228,52 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
         ))}
       </motion.div>
 
+      {/* Review notes: reviewer name and review file export/import */}
+      <ReviewToolbar review={review} />
+
+      {/* Full Game Replay */}
+      <motion.div
+        ref={replayRef}
+        className="replay-panel"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.15 }}
+      >
+        <div className="replay-header">
+          <h3 className="replay-title">Full Replay</h3>
+          <button
+            className="replay-toggle-btn"
+            onClick={() => setReplayTurn(replayTurn === null ? 1 : null)}
+          >
+            {replayTurn === null ? 'Watch replay' : 'Close replay'}
+          </button>
+        </div>
+        <AnimatePresence>
+          {replayTurn !== null && (
+            <GameStateVisualization
+              state={getStateForTurn(replayTurn)}
+              nextState={getStateForTurn(replayTurn + 1)}
+              currentAction={game.actions?.[replayTurn - 1] || null}
+              highlightedDeckIndex={replayHighlight}
+              players={game.players}
+              currentPlayerOverride={(replayTurn - 1) % game.players.length}
+              previousAction={replayTurn >= 2 ? game.actions[replayTurn - 2] : null}
+              currentTurn={replayTurn}
+              minTurn={1}
+              maxTurn={replayMaxTurn}
+              onPrevTurn={() => setReplayTurn(t => Math.max(1, t - 1))}
+              onNextTurn={() => setReplayTurn(t => Math.min(replayMaxTurn, t + 1))}
+              onSeekTurn={setReplayTurn}
+              actions={game.actions}
+              states={analysis.states}
+              variant={variant}
+              replay
+              replayMarkers={replayMarkers}
+            />
+          )}
+        </AnimatePresence>
+      </motion.div>
+
       {/* Violations Summary */}
       {violations && violations.length > 0 ? (
         <motion.div
@@ -217,15 +305,14 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
             </div>
           </div>
 
-          <div className="violations-list">
+          <div className="violations-list" role="list" aria-label="Rule violations" onKeyDown={handleListKeyDown}>
             {violations.map((violation, i) => {
               const isExpandable = violation.severity !== 'info'
               const isCritical = violation.severity === 'critical'
               const isExpanded = expandedViolation === i
               const activeTurn = isExpanded ? viewingTurn : null
               const state = activeTurn ? getStateForTurn(activeTurn) : null
-              const minTurn = Math.max(1, violation.turn - 5)
-              const maxTurn = Math.min(game.actions?.length || violation.turn, violation.turn + 5)
+              const { minTurn, maxTurn } = getTurnRange(violation, game.actions?.length)
 
               // Get previous action for the currently viewed turn
               const prevActionIndex = activeTurn ? activeTurn - 2 : violation.turn - 2
@@ -234,26 +321,43 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
               return (
                 <motion.div
                   key={i}
+                  ref={isExpanded ? expandedRef : null}
                   className={`violation-card ${getSeverityClass(violation.severity)} ${isExpandable ? 'expandable' : ''} ${isExpanded ? 'expanded' : ''}`}
                   initial={{ opacity: 0, x: -20 }}
                   animate={{ opacity: 1, x: 0 }}
                   transition={{ delay: 0.3 + i * 0.05 }}
-                  onClick={() => handleViolationClick(i, violation)}
+                  role="listitem"
                 >
-                  <div className="violation-header">
-                    <span className={`violation-severity ${getSeverityClass(violation.severity)}`}>
+                  <div
+                    className="violation-header"
+                    data-nav-item
+                    tabIndex={0}
+                    role={isExpandable ? 'button' : undefined}
+                    aria-expanded={isExpandable ? isExpanded : undefined}
+                    aria-label={`${violation.severity}: ${formatViolationType(violation.type)} by ${violation.player} on turn ${violation.turn}`}
+                    aria-describedby={`violation-description-${i}`}
+                    // Only the header toggles, so clicks on the notes or the expanded board stay put
+                    onClick={isExpandable ? () => handleViolationClick(i, violation) : undefined}
+                    onKeyDown={isExpandable ? onActivateKey(() => handleViolationClick(i, violation)) : undefined}
+                  >
+                    <span className={`violation-severity ${getSeverityClass(violation.severity)}`} aria-hidden="true">
                       {getSeverityIcon(violation.severity)}
                     </span>
                     <span className="violation-turn">Turn {violation.turn}</span>
                     <span className="violation-player">{violation.player}</span>
                     <span className="violation-type">{formatViolationType(violation.type)}</span>
                     {isExpandable && (
-                      <span className="violation-expand-indicator">
+                      <span className="violation-expand-indicator" aria-hidden="true">
                         {isExpanded ? '−' : '+'}
                       </span>
                     )}
                   </div>
-                  <p className="violation-description">{violation.description}</p>
+                  <p className="violation-description" id={`violation-description-${i}`}>{violation.description}</p>
+                  <NoteThread
+                    notes={review.notesFor(noteTarget.violation(violation))}
+                    onAdd={text => review.addNote(noteTarget.violation(violation), text)}
+                    onRemove={review.removeNote}
+                  />
                   <AnimatePresence>
                     {isExpanded && (
                       <GameStateVisualization
@@ -268,8 +372,11 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
                         violationTurn={violation.turn}
                         minTurn={minTurn}
                         maxTurn={maxTurn}
-                        onPrevTurn={() => setViewingTurn(t => Math.max(minTurn, t - 1))}
-                        onNextTurn={() => setViewingTurn(t => Math.min(maxTurn, t + 1))}
+                        onPrevTurn={() => showTurn(Math.max(minTurn, activeTurn - 1))}
+                        onNextTurn={() => showTurn(Math.min(maxTurn, activeTurn + 1))}
+                        actions={game.actions}
+                        states={analysis.states}
+                        variant={variant}
                       />
                     )}
                   </AnimatePresence>
@@ -278,6 +385,16 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
             })}
           </div>
         </motion.div>
+      ) : !variantSupported ? (
+        <motion.div
+          className="no-violations"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.2 }}
+        >
+          <p>Rule checks aren&apos;t available for {variantName} games yet.</p>
+          <p className="no-violations-subtitle">The board and bot review are still shown.</p>
+        </motion.div>
       ) : (
         <motion.div
           className="no-violations"
@@ -292,52 +409,34 @@ function GameDetail({ gameId, analysis, loading, error, onBack }) {
       )}
 
       {/* Bot Analysis */}
-      <BotAnalysisPanel gameId={game.id} />
+      <BotAnalysisPanel
+        key={game.id}
+        data={botReview.data}
+        loading={botReview.loading}
+        error={botReview.error}
+        onCancel={botReview.cancel}
+        onRetry={botReview.retry}
+        review={review}
+      />
 
-      {/* Action Timeline */}
+      {/* Turn Timeline: actions annotated with violations and bot verdicts */}
       <motion.div
         className="action-timeline"
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         transition={{ delay: 0.4 }}
       >
-        <details className="timeline-details">
-          <summary className="timeline-summary">
-            Action Timeline ({game.actions?.length || 0} actions)
-          </summary>
-          <div className="timeline-content">
-            {game.actions?.map((action, i) => {
-              const playerIndex = i % game.players.length
-              const player = game.players[playerIndex]
-              const hasViolation = violations?.some(v => v.turn === i + 1)
-
-              return (
-                <div
-                  key={i}
-                  className={`timeline-action ${hasViolation ? 'has-violation' : ''}`}
-                >
-                  <span className="action-turn">{i + 1}</span>
-                  <span className="action-player">{player}</span>
-                  <span className="action-type">{ACTION_NAMES[action.type] || 'Unknown'}</span>
-                  {action.type <= 1 && (
-                    <span className="action-target">slot {action.target + 1}</span>
-                  )}
-                  {action.type === 2 && (
-                    <span className="action-target" style={{ color: SUIT_COLORS[action.value] }}>
-                      {SUIT_NAMES[action.value]} to P{action.target + 1}
-                    </span>
-                  )}
-                  {action.type === 3 && (
-                    <span className="action-target">
-                      {action.value} to P{action.target + 1}
-                    </span>
-                  )}
-                  {hasViolation && <span className="violation-marker">!!</span>}
-                </div>
-              )
-            })}
-          </div>
-        </details>
+        <TurnTimeline
+          game={game}
+          violations={violations}
+          botTurns={botReview.data?.turns}
+          botLoading={botReview.loading}
+          botError={botReview.error}
+          selectedTurn={replayTurn}
+          onSelectTurn={openReplayAt}
+          variant={variant}
+          review={review}
+        />
       </motion.div>
     </div>
   )
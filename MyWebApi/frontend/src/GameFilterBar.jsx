@@ -0,0 +1,203 @@
+import { useState } from 'react'
+import { DEFAULT_FILTERS, SCORE_TIERS, SORT_OPTIONS, hasActiveFilters, partnerList, addPartner, removePartner } from './gameFilters'
+
+const PLAYER_COUNTS = [2, 3, 4, 5, 6]
+
+function GameFilterBar({ filters, onChange, sort, onSortChange, resultCount, totalCount, partnerSuggestions = [] }) {
+  const update = (key, value) => onChange({ ...filters, [key]: value })
+  // Partner name being typed; committed names show as chips
+  const [partnerDraft, setPartnerDraft] = useState('')
+
+  const commitPartner = (name) => {
+    update('partners', addPartner(filters.partners, name))
+    setPartnerDraft('')
+  }
+
+  const changePartnerDraft = (e) => {
+    const { value } = e.target
+    // Picking a datalist suggestion fires a plain Event (Chrome) or an
+    // insertReplacementText input (Firefox) rather than typed text
+    const picked = e.nativeEvent.inputType === undefined || e.nativeEvent.inputType === 'insertReplacementText'
+    if (picked && partnerSuggestions.includes(value)) {
+      commitPartner(value)
+    } else if (value.includes(',')) {
+      // Typed or pasted commas commit every name before the last one
+      const names = value.split(',')
+      update('partners', names.slice(0, -1).reduce(addPartner, filters.partners))
+      setPartnerDraft(names[names.length - 1].trimStart())
+    } else {
+      setPartnerDraft(value)
+    }
+  }
+
+  const togglePlayerCount = (count) => {
+    const counts = filters.playerCounts.includes(count)
+      ? filters.playerCounts.filter(c => c !== count)
+      : [...filters.playerCounts, count]
+    update('playerCounts', counts)
+  }
+
+  const active = hasActiveFilters(filters)
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-row">
+        <div className="filter-group">
+          <span className="filter-label">Players</span>
+          <div className="filter-chips">
+            {PLAYER_COUNTS.map(count => (
+              <button
+                key={count}
+                className={`filter-chip ${filters.playerCounts.includes(count) ? 'active' : ''}`}
+                onClick={() => togglePlayerCount(count)}
+              >
+                {count}p
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="filter-group">
+          <span className="filter-label">Score</span>
+          <input
+            type="number"
+            className="filter-input filter-input-small"
+            min={0}
+            max={25}
+            value={filters.minScore}
+            onChange={e => update('minScore', e.target.value)}
+            placeholder="min"
+          />
+          <span className="filter-sep">-</span>
+          <input
+            type="number"
+            className="filter-input filter-input-small"
+            min={0}
+            max={25}
+            value={filters.maxScore}
+            onChange={e => update('maxScore', e.target.value)}
+            placeholder="max"
+          />
+        </div>
+
+        <div className="filter-group">
+          <span className="filter-label">Tier</span>
+          <select
+            className="filter-input"
+            value={filters.tier}
+            onChange={e => update('tier', e.target.value)}
+          >
+            <option value="">Any</option>
+            {SCORE_TIERS.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+        </div>
+
+        <div className="filter-group">
+          <span className="filter-label">Outcome</span>
+          <select
+            className="filter-input"
+            value={filters.outcome}
+            onChange={e => update('outcome', e.target.value)}
+          >
+            <option value="all">All games</option>
+            <option value="strikeouts">Only strikeouts</option>
+            <option value="perfects">Only perfects</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="filter-row">
+        <div className="filter-group">
+          <span className="filter-label">From</span>
+          <input
+            type="date"
+            className="filter-input"
+            value={filters.dateFrom}
+            onChange={e => update('dateFrom', e.target.value)}
+          />
+          <span className="filter-label">To</span>
+          <input
+            type="date"
+            className="filter-input"
+            value={filters.dateTo}
+            onChange={e => update('dateTo', e.target.value)}
+          />
+        </div>
+
+        <div className="filter-group filter-group-grow">
+          <span className="filter-label">With</span>
+          <div className="filter-input filter-partners">
+            {partnerList(filters.partners).map(name => (
+              <button
+                key={name}
+                className="filter-partner-chip"
+                onClick={() => update('partners', removePartner(filters.partners, name))}
+                aria-label={`Remove partner ${name}`}
+              >
+                {name} <span aria-hidden="true">×</span>
+              </button>
+            ))}
+            <input
+              type="text"
+              className="filter-partners-input"
+              list="filter-partner-suggestions"
+              value={partnerDraft}
+              onChange={changePartnerDraft}
+              onKeyDown={e => {
+                if (e.key === 'Enter') {
+                  e.preventDefault()
+                  commitPartner(partnerDraft)
+                } else if (e.key === 'Backspace' && partnerDraft === '') {
+                  const names = partnerList(filters.partners)
+                  if (names.length > 0) update('partners', removePartner(filters.partners, names[names.length - 1]))
+                }
+              }}
+              onBlur={() => partnerDraft.trim() && commitPartner(partnerDraft)}
+              placeholder={filters.partners ? 'add partner...' : 'partner name...'}
+              aria-label="Add partner"
+            />
+          </div>
+          <datalist id="filter-partner-suggestions">
+            {partnerSuggestions
+              .filter(name => !partnerList(filters.partners).some(n => n.toLowerCase() === name.toLowerCase()))
+              .map(name => <option key={name} value={name} />)}
+          </datalist>
+        </div>
+
+        <div className="filter-group">
+          <span className="filter-label">Seed</span>
+          <input
+            type="text"
+            className="filter-input"
+            value={filters.seed}
+            onChange={e => update('seed', e.target.value)}
+            placeholder="contains..."
+          />
+        </div>
+      </div>
+
+      <div className="filter-row filter-summary-row">
+        <span className="filter-count">
+          {active ? `${resultCount} of ${totalCount} games match` : `${totalCount} games`}
+        </span>
+        {active && (
+          <button className="compare-clear-btn" onClick={() => onChange(DEFAULT_FILTERS)}>
+            Clear filters
+          </button>
+        )}
+        <div className="filter-group filter-sort">
+          <span className="filter-label">Sort</span>
+          <select
+            className="filter-input"
+            value={sort}
+            onChange={e => onSortChange(e.target.value)}
+          >
+            {SORT_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default GameFilterBar
@@ -1,12 +1,12 @@
 import { useState, useRef, useCallback, useEffect } from 'react'
 import { createPortal } from 'react-dom'
 import { motion, animate } from 'motion/react'
+import ReplayControls from './ReplayControls'
+import { buildClueKnowledge, possibleIdentities } from './cardKnowledge'
+import { describeBoard } from './boardText'
+import { STANDARD_VARIANT, suitOf, suitStyle, suitClass, clueTouches, clueLabel, clueColor } from './variants'
 
-const SUIT_NAMES = ['Red', 'Yellow', 'Green', 'Blue', 'Purple']
-const SUIT_COLORS = ['#ff4444', '#ffdd44', '#44dd44', '#4488ff', '#aa44ff']
-const SUIT_ABBREVIATIONS = ['R', 'Y', 'G', 'B', 'P']
-
-function CardAnimationOverlay({ animationState, onComplete }) {
+function CardAnimationOverlay({ animationState, variant, onComplete }) {
   const overlayRef = useRef(null)
   const onCompleteRef = useRef(onComplete)
   onCompleteRef.current = onComplete
@@ -82,14 +82,14 @@ function CardAnimationOverlay({ animationState, onComplete }) {
   if (!animationState) return null
 
   const { card, sourceRect } = animationState
-  const suitColor = SUIT_COLORS[card.suitIndex]
+  const suit = suitOf(variant, card.suitIndex)
 
   return createPortal(
     <div
       ref={overlayRef}
-      className="card-animation-overlay hand-card"
+      className={`card-animation-overlay hand-card ${suitClass(suit)}`}
       style={{
-        '--suit-color': suitColor,
+        ...suitStyle(suit),
         position: 'fixed',
         left: sourceRect.left,
         top: sourceRect.top,
@@ -100,16 +100,60 @@ function CardAnimationOverlay({ animationState, onComplete }) {
       }}
     >
       <div className="card-face">
-        <span className="card-suit">{SUIT_ABBREVIATIONS[card.suitIndex]}</span>
+        <span className="card-suit">{suit?.abbreviation}</span>
         <span className="card-rank">{card.rank}</span>
+        {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
       </div>
     </div>,
     document.body
   )
 }
 
-function GameStateVisualization({ state, nextState, currentAction, highlightedDeckIndex, players, currentPlayerOverride, previousAction, currentTurn, violationTurn, minTurn, maxTurn, onPrevTurn, onNextTurn }) {
+const RANKS = [1, 2, 3, 4, 5]
+
+// Clue information a card carries: possible/eliminated suits and ranks plus the identities left
+function CardKnowledge({ info, identities, variant }) {
+  const colors = info?.colors ?? variant.suits.map((_, i) => i)
+  const ranks = info?.ranks ?? RANKS
+  const stateClass = (possible, positive) => positive ? 'positive' : possible ? 'possible' : 'eliminated'
+  const identityList = identities.map(id => `${variant.suits[id.suitIndex].abbreviation}${id.rank}`).join(' ')
+  const positiveSuit = info?.positiveColor != null ? variant.clueColors[info.positiveColor]?.name : null
+
+  return (
+    <div className="card-knowledge" title={`Possible: ${identityList}`}>
+      <div className="knowledge-row">
+        {variant.suits.map((suit, suitIndex) => (
+          <span
+            key={suitIndex}
+            className={`knowledge-pip ${stateClass(colors.includes(suitIndex), positiveSuit === suit.name)} ${suitClass(suit)}`}
+            style={suitStyle(suit)}
+            title={suit.name}
+          >
+            {suit.abbreviation}
+          </span>
+        ))}
+      </div>
+      <div className="knowledge-row">
+        {RANKS.map(rank => (
+          <span
+            key={rank}
+            className={`knowledge-pip rank ${stateClass(ranks.includes(rank), info?.positiveRank === rank)}`}
+          >
+            {rank}
+          </span>
+        ))}
+      </div>
+      <div className="knowledge-count">{identities.length} left</div>
+    </div>
+  )
+}
+
+function GameStateVisualization({ state, nextState, currentAction, highlightedDeckIndex, players, currentPlayerOverride, previousAction, currentTurn, violationTurn, minTurn, maxTurn, onPrevTurn, onNextTurn, replay = false, replayMarkers, onSeekTurn, actions, states, variant = STANDARD_VARIANT, perspective = null }) {
   const [animationState, setAnimationState] = useState(null)
+  // Player whose perspective the hands are drawn from (null = omniscient);
+  // a `perspective` prop locks it to that player
+  const [chosenViewAs, setViewAs] = useState(null)
+  const viewAs = perspective ?? chosenViewAs
   const containerRef = useRef(null)
   const trashPileRef = useRef(null)
 
@@ -124,38 +168,37 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
   const currentPlayer = currentPlayerOverride !== undefined ? currentPlayerOverride : state.currentPlayer
 
   const prevClue = previousAction && (previousAction.type === 2 || previousAction.type === 3)
-    ? {
-        targetPlayer: previousAction.target,
-        isColor: previousAction.type === 2,
-        value: previousAction.value
-      }
+    ? previousAction
     : null
 
   const wasCardClued = (card, playerIndex) => {
-    if (!prevClue || playerIndex !== prevClue.targetPlayer) return false
-    if (prevClue.isColor) {
-      return card.suitIndex === prevClue.value
-    } else {
-      return card.rank === prevClue.value
-    }
+    if (!prevClue || playerIndex !== prevClue.target) return false
+    return clueTouches(variant, prevClue, card)
   }
 
   const getPrevActionDescription = () => {
     if (!previousAction) return null
     const actorIndex = (currentPlayer - 1 + players.length) % players.length
     const actor = players?.[actorIndex] || `Player ${actorIndex + 1}`
+    const target = players?.[previousAction.target] || `Player ${previousAction.target + 1}`
+    const clueGlyph = variant.clueColors[previousAction.value]?.symbol
 
     switch (previousAction.type) {
       case 0: return `${actor} played a card`
       case 1: return `${actor} discarded`
-      case 2: return `${actor} clued ${SUIT_NAMES[previousAction.value]} to ${players?.[previousAction.target] || `Player ${previousAction.target + 1}`}`
-      case 3: return `${actor} clued ${previousAction.value} to ${players?.[previousAction.target] || `Player ${previousAction.target + 1}`}`
+      case 2: return (
+        <>
+          {actor} clued {clueGlyph && <span className="suit-glyph" aria-hidden="true">{clueGlyph}</span>}
+          {clueLabel(variant, previousAction)} to {target}
+        </>
+      )
+      case 3: return `${actor} clued ${clueLabel(variant, previousAction)} to ${target}`
       default: return null
     }
   }
 
   const deckRemaining = state.deckIndex !== undefined
-    ? 50 - state.deckIndex - state.hands.reduce((acc, h) => acc + h.length, 0)
+    ? variant.deckSize - state.deckIndex - state.hands.reduce((acc, h) => acc + h.length, 0)
     : 0
 
   const handleNextTurn = useCallback(() => {
@@ -258,6 +301,13 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
   const isAnimating = animationState !== null
   const discardPile = state.discardPile || []
 
+  const canViewAsPlayer = Boolean(actions && states)
+  const clueKnowledge = canViewAsPlayer && viewAs !== null
+    ? buildClueKnowledge(actions, states, currentTurn ?? state.turn + 1, variant)
+    : null
+  const getPlayerName = (index) => players?.[index] || `Player ${index + 1}`
+  const boardDescription = describeBoard(state, { variant, players, currentPlayer, deckRemaining, viewAs, clueKnowledge })
+
   return (
     <motion.div
       className="game-state-visualization"
@@ -266,9 +316,30 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
       exit={{ opacity: 0, height: 0 }}
       transition={{ duration: 0.3 }}
       ref={containerRef}
+      role="group"
+      aria-label={`Board at turn ${state.turn}`}
     >
+      {/* Text version of the board, re-read whenever the viewed turn changes */}
+      <div className="sr-only" aria-live="polite" aria-atomic="true">
+        {boardDescription}
+      </div>
+
+      {/* Full-game Replay Controls */}
+      {replay && (
+        <ReplayControls
+          currentTurn={currentTurn}
+          minTurn={minTurn}
+          maxTurn={maxTurn}
+          markers={replayMarkers}
+          isAnimating={isAnimating}
+          onPrev={onPrevTurn}
+          onNext={handleNextTurn}
+          onSeek={onSeekTurn}
+        />
+      )}
+
       {/* Turn Navigation */}
-      {violationTurn && maxTurn > minTurn && (
+      {!replay && violationTurn && maxTurn > minTurn && (
         <div className="turn-nav-bar" onClick={e => e.stopPropagation()}>
           <button
             className="turn-nav-btn"
@@ -324,35 +395,46 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
 
       {/* Play Stacks & Trash */}
       <div className="state-section">
-        <div className="stacks-and-trash">
+        {/* Visual only: the live region above reads the same information */}
+        <div className="stacks-and-trash" aria-hidden="true">
           <div className="stacks-column">
             <div className="state-section-title">Play Stacks</div>
             <div className="play-stacks">
-              {state.playStacks.map((value, suitIndex) => (
-                <div
-                  key={suitIndex}
-                  className="play-stack"
-                  data-suit-index={suitIndex}
-                  style={{ '--suit-color': SUIT_COLORS[suitIndex] }}
-                >
-                  <div className="stack-suit">{SUIT_ABBREVIATIONS[suitIndex]}</div>
-                  <div className="stack-value">{value}</div>
-                </div>
-              ))}
+              {state.playStacks.map((value, suitIndex) => {
+                const suit = suitOf(variant, suitIndex)
+                return (
+                  <div
+                    key={suitIndex}
+                    className={`play-stack ${suitClass(suit)}`}
+                    data-suit-index={suitIndex}
+                    style={suitStyle(suit)}
+                    title={suit?.name}
+                  >
+                    <div className="stack-suit">{suit?.abbreviation}</div>
+                    <div className="stack-value">{value}</div>
+                    {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
+                  </div>
+                )
+              })}
             </div>
           </div>
           <div className="trash-column">
             <div className="state-section-title">Trash ({discardPile.length})</div>
             <div className="trash-pile" ref={trashPileRef}>
-              {discardPile.map((card, i) => (
-                <div
-                  key={i}
-                  className="trash-card"
-                  style={{ '--suit-color': SUIT_COLORS[card.suitIndex] }}
-                >
-                  <span className="card-rank">{card.rank}</span>
-                </div>
-              ))}
+              {discardPile.map((card, i) => {
+                const suit = suitOf(variant, card.suitIndex)
+                return (
+                  <div
+                    key={i}
+                    className={`trash-card ${suitClass(suit)}`}
+                    style={suitStyle(suit)}
+                    title={suit ? `${suit.name} ${card.rank}` : undefined}
+                  >
+                    <span className="card-rank">{card.rank}</span>
+                    {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
+                  </div>
+                )
+              })}
             </div>
           </div>
         </div>
@@ -360,17 +442,41 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
 
       {/* Player Hands */}
       <div className="state-section">
-        <div className="state-section-title">Player Hands (Omniscient View)</div>
+        <div className="state-section-title">
+          Player Hands ({viewAs === null ? 'Omniscient View' : `${getPlayerName(viewAs)}'s View`})
+        </div>
+        {canViewAsPlayer && perspective === null && (
+          <div className="view-as-bar" onClick={e => e.stopPropagation()}>
+            <span className="view-as-label">View as:</span>
+            <button
+              className={`view-as-btn ${viewAs === null ? 'active' : ''}`}
+              aria-pressed={viewAs === null}
+              onClick={() => setViewAs(null)}
+            >
+              Everyone
+            </button>
+            {state.hands.map((_, playerIndex) => (
+              <button
+                key={playerIndex}
+                className={`view-as-btn ${viewAs === playerIndex ? 'active' : ''}`}
+                aria-pressed={viewAs === playerIndex}
+                onClick={() => setViewAs(playerIndex)}
+              >
+                {getPlayerName(playerIndex)}
+              </button>
+            ))}
+          </div>
+        )}
         <div className="hand-order-legend">
           <span className="legend-newest">newest</span>
           <span className="legend-arrow">→</span>
           <span className="legend-oldest">chop</span>
         </div>
-        <div className="player-hands">
+        <div className="player-hands" aria-hidden="true">
           {state.hands.map((hand, playerIndex) => (
             <div key={playerIndex} className="player-hand">
               <div className="hand-player-name">
-                {players?.[playerIndex] || `Player ${playerIndex + 1}`}
+                {getPlayerName(playerIndex)}
                 {playerIndex === currentPlayer && (
                   <span className="current-player-indicator"> (current)</span>
                 )}
@@ -380,18 +486,30 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
                   const isHighlighted = card.deckIndex === highlightedDeckIndex
                   const wasClued = wasCardClued(card, playerIndex)
                   const isHidden = animationState?.hiddenDeckIndex === card.deckIndex
-                  return (
+                  const info = clueKnowledge?.get(card.deckIndex)
+                  // The viewer can't see their own card faces, only what clues told them
+                  const isUnknown = clueKnowledge !== null && playerIndex === viewAs
+                  // Unknown cards show their suit once clues pin it down, else the color they were clued
+                  const suit = isUnknown
+                    ? (info?.colors.length === 1 ? suitOf(variant, info.colors[0]) : null)
+                    : suitOf(variant, card.suitIndex)
+                  const cardStyle = suit
+                    ? suitStyle(suit)
+                    : { '--suit-color': info?.positiveColor != null ? clueColor(variant, info.positiveColor) : '#555b66' }
+                  const cardElement = (
                     <div
                       key={card.deckIndex}
                       data-deck-index={card.deckIndex}
-                      className={`hand-card ${isHighlighted ? 'highlighted-card' : ''} ${wasClued ? 'just-clued' : ''} ${card.hasAnyClue ? 'has-clues' : ''} ${isHidden ? 'animating-out' : ''}`}
-                      style={{ '--suit-color': SUIT_COLORS[card.suitIndex] }}
+                      className={`hand-card ${suitClass(suit)} ${isHighlighted ? 'highlighted-card' : ''} ${wasClued ? 'just-clued' : ''} ${card.hasAnyClue && !clueKnowledge ? 'has-clues' : ''} ${isHidden ? 'animating-out' : ''} ${isUnknown ? 'unknown-card' : ''}`}
+                      style={cardStyle}
+                      title={suit && !isUnknown ? `${suit.name} ${card.rank}` : undefined}
                     >
                       <div className="card-face">
-                        <span className="card-suit">{SUIT_ABBREVIATIONS[card.suitIndex]}</span>
-                        <span className="card-rank">{card.rank}</span>
+                        <span className="card-suit">{isUnknown ? '' : suit?.abbreviation}</span>
+                        {suit && <span className="suit-glyph" aria-hidden="true">{suit.symbol}</span>}
+                        <span className="card-rank">{isUnknown ? (info?.positiveRank ?? '?') : card.rank}</span>
                       </div>
-                      {card.hasAnyClue && (
+                      {card.hasAnyClue && !clueKnowledge && (
                         <div className="card-clue-indicators">
                           {card.clueColors.some(c => c) && (
                             <span className="clue-indicator color-clued">C</span>
@@ -403,6 +521,13 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
                       )}
                     </div>
                   )
+                  if (!clueKnowledge) return cardElement
+                  return (
+                    <div key={card.deckIndex} className="hand-card-slot">
+                      {cardElement}
+                      <CardKnowledge info={info} identities={possibleIdentities(info, state, playerIndex, variant)} variant={variant} />
+                    </div>
+                  )
                 })}
               </div>
             </div>
@@ -413,6 +538,7 @@ function GameStateVisualization({ state, nextState, currentAction, highlightedDe
       {/* Card Animation Overlay */}
       <CardAnimationOverlay
         animationState={animationState}
+        variant={variant}
         onComplete={handleAnimationComplete}
       />
 
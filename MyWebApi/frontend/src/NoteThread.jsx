@@ -0,0 +1,118 @@
+import { useRef, useState } from 'react'
+
+const formatNoteDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '')
+
+// Notes on one turn, violation or candidate, with an inline form to add one.
+// Clicks and keys stay inside so the card or row around it doesn't react.
+export function NoteThread({ notes, onAdd, onRemove, label = 'note', showTarget }) {
+  const [draft, setDraft] = useState(null)
+
+  if (notes.length === 0 && !onAdd) return null
+
+  const save = () => {
+    onAdd(draft)
+    setDraft(null)
+  }
+
+  return (
+    <div
+      className="note-thread"
+      onClick={e => e.stopPropagation()}
+      onKeyDown={e => e.stopPropagation()}
+    >
+      {notes.length > 0 && (
+        <ul className="note-list" aria-label={`${label}s`}>
+          {notes.map(note => (
+            <li key={note.id} className="note-item">
+              {showTarget && <span className="note-target">{showTarget(note)}</span>}
+              <span className="note-author">{note.author || 'Anonymous'}</span>
+              <span className="note-text">{note.text}</span>
+              <span className="note-date">{formatNoteDate(note.createdAt)}</span>
+              {onRemove && (
+                <button className="note-remove" aria-label={`Delete ${label}`} onClick={() => onRemove(note.id)}>×</button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {onAdd && (draft === null ? (
+        <button className="note-add-btn" onClick={() => setDraft('')}>+ Add {label}</button>
+      ) : (
+        <div className="note-form">
+          <textarea
+            className="note-input"
+            value={draft}
+            placeholder="What should we remember about this?"
+            aria-label={`New ${label}`}
+            rows={2}
+            autoFocus
+            onChange={e => setDraft(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) save()
+              if (e.key === 'Escape') setDraft(null)
+            }}
+          />
+          <div className="note-form-actions">
+            <button className="note-save-btn" onClick={save} disabled={!draft.trim()}>Save</button>
+            <button className="note-cancel-btn" onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// Reviewer name plus export/import of the game's review file
+export function ReviewToolbar({ review }) {
+  const fileInputRef = useRef(null)
+  // { kind: 'success' | 'error', message }
+  const [status, setStatus] = useState(null)
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+    try {
+      const { reviewer, added } = await review.importReview(file)
+      const from = reviewer ? ` from ${reviewer}` : ''
+      setStatus({ kind: 'success', message: added > 0 ? `Imported ${added} notes${from}` : `No new notes${from}` })
+    } catch (err) {
+      setStatus({ kind: 'error', message: err.message })
+    }
+  }
+
+  return (
+    <div className="review-toolbar">
+      <label className="review-reviewer">
+        <span className="filter-label">Reviewer</span>
+        <input
+          className="filter-input"
+          value={review.reviewer}
+          placeholder="Your name"
+          onChange={e => review.setReviewer(e.target.value)}
+        />
+      </label>
+      <span className="review-count">{review.notes.length} notes</span>
+      <button className="export-menu-btn" onClick={review.exportReview} disabled={review.notes.length === 0}>
+        Export review
+      </button>
+      <button className="export-menu-btn" onClick={() => fileInputRef.current?.click()}>
+        Import review
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        className="sr-only"
+        tabIndex={-1}
+        aria-hidden="true"
+        onChange={handleImport}
+      />
+      {status && (
+        <span className={`review-status ${status.kind === 'error' ? 'review-status-error' : ''}`} role="status">
+          {status.message}
+        </span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,235 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { getCriticalTrends, getPlaystyle, isAbortError } from './api'
+import { PLAYSTYLE_DIMENSIONS } from './playstyle'
+import { trackDuration, ANALYSIS_CANCELLED } from './progress'
+import AnalysisProgress from './AnalysisProgress'
+import {
+  PERIOD_PRESETS, PERIOD_METRICS, DIMENSION_CHANGE, presetPeriods, isValidPeriod, periodRange,
+  periodScoreStats, criticalsPerGame, describeChange,
+} from './trends'
+
+const ARROWS = { up: '▲', down: '▼', flat: '▬' }
+
+function ChangeCell({ change, format }) {
+  if (!change) return <td className="period-change">—</td>
+  const sign = change.delta > 0 ? '+' : change.delta < 0 ? '−' : '±'
+  return (
+    <td
+      className={`period-change change-${change.size} ${change.verdict ? `change-${change.verdict}` : 'change-neutral'}`}
+      title={change.verdict ? `${change.verdict} than before` : 'Style, no better or worse'}
+    >
+      <span className="change-arrow" aria-hidden="true">{ARROWS[change.direction]}</span>
+      {sign}{format(Math.abs(change.delta))}
+    </td>
+  )
+}
+
+function PeriodInputs({ label, period, onChange }) {
+  return (
+    <div className="filter-group">
+      <span className="filter-label">{label}</span>
+      <input
+        type="date"
+        className="filter-input"
+        value={period.from}
+        max={period.to || undefined}
+        onChange={e => onChange({ ...period, from: e.target.value })}
+      />
+      <span className="filter-sep">-</span>
+      <input
+        type="date"
+        className="filter-input"
+        value={period.to}
+        min={period.from || undefined}
+        onChange={e => onChange({ ...period, to: e.target.value })}
+      />
+    </div>
+  )
+}
+
+// "Before" vs "after" comparison of score stats (from loaded history) and the
+// backend's critical mistakes and playstyle, each analyzed per period
+function PeriodComparison({ player, games, historyComplete, loadingHistory, onLoadAllHistory }) {
+  const [preset, setPreset] = useState('months')
+  const [periods, setPeriods] = useState(() => presetPeriods('months'))
+  // { key, status: 'loading' | 'done' | 'error', before, after, error }
+  const [analysis, setAnalysis] = useState(null)
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const valid = isValidPeriod(periods.before) && isValidPeriod(periods.after)
+  const periodsKey = JSON.stringify(periods)
+  const current = analysis?.key === periodsKey ? analysis : null
+
+  const choosePreset = (value) => {
+    setPreset(value)
+    if (value !== 'custom') setPeriods(presetPeriods(value))
+  }
+
+  const updatePeriod = (which, period) => {
+    setPreset('custom')
+    setPeriods(prev => ({ ...prev, [which]: period }))
+  }
+
+  const analyzePeriod = (period, signal) => {
+    const range = { ...periodRange(period), signal }
+    return Promise.all([getCriticalTrends(player, range), getPlaystyle(player, range)])
+      .then(([critical, playstyle]) => ({ critical, playstyle }))
+  }
+
+  const runAnalysis = async () => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    const key = periodsKey
+    setAnalysis({ key, status: 'loading' })
+    try {
+      const [before, after] = await trackDuration('periodComparison', Promise.all([
+        analyzePeriod(periods.before, controller.signal),
+        analyzePeriod(periods.after, controller.signal),
+      ]))
+      setAnalysis({ key, status: 'done', before, after })
+    } catch (err) {
+      if (isAbortError(err)) return
+      setAnalysis({ key, status: 'error', error: err.message })
+    }
+  }
+
+  const cancel = () => {
+    controllerRef.current?.abort()
+    setAnalysis({ key: periodsKey, status: 'error', error: ANALYSIS_CANCELLED })
+  }
+
+  const oldestLoaded = useMemo(() => {
+    const times = games.map(g => new Date(g.dateTime).getTime()).filter(t => !Number.isNaN(t))
+    return times.length > 0 ? Math.min(...times) : null
+  }, [games])
+  const coversBefore = historyComplete ||
+    (oldestLoaded !== null && valid && oldestLoaded <= new Date(periodRange(periods.before).from).getTime())
+
+  const rows = useMemo(() => {
+    if (!valid) return []
+    const stats = { before: periodScoreStats(games, periods.before), after: periodScoreStats(games, periods.after) }
+    const done = current?.status === 'done' ? current : null
+    const metricValue = (which, key) => {
+      if (key === 'criticalsPerGame') return done ? criticalsPerGame(done[which].critical) : null
+      return stats[which][key]
+    }
+
+    const metricRows = PERIOD_METRICS.map(metric => {
+      const before = metricValue('before', metric.key)
+      const after = metricValue('after', metric.key)
+      return { key: metric.key, label: metric.label, before, after, format: metric.format, change: describeChange(before, after, metric) }
+    })
+    const dimensionRows = PLAYSTYLE_DIMENSIONS.map(({ key, axis, desc, better }) => {
+      const before = done?.before.playstyle.gamesAnalyzed ? done.before.playstyle.dimensions[key] : null
+      const after = done?.after.playstyle.gamesAnalyzed ? done.after.playstyle.dimensions[key] : null
+      return {
+        key, label: axis, desc, before, after, dimension: true,
+        format: v => v.toFixed(1),
+        change: describeChange(before, after, { better, ...DIMENSION_CHANGE }),
+      }
+    })
+    return [
+      { key: 'games', label: 'Games played', before: stats.before.games, after: stats.after.games, format: v => String(v), change: null },
+      ...metricRows,
+      ...dimensionRows,
+    ]
+  }, [games, periods, valid, current])
+
+  const analyzedGames = (which) => {
+    if (current?.status !== 'done') return null
+    return current[which].playstyle.gamesAnalyzed
+  }
+
+  return (
+    <div className="period-comparison">
+      <div className="filter-row period-controls">
+        <div className="filter-group">
+          <span className="filter-label">Compare</span>
+          <select className="filter-input" value={preset} onChange={e => choosePreset(e.target.value)}>
+            {PERIOD_PRESETS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+          </select>
+        </div>
+        <PeriodInputs label="Before" period={periods.before} onChange={p => updatePeriod('before', p)} />
+        <PeriodInputs label="After" period={periods.after} onChange={p => updatePeriod('after', p)} />
+        <button
+          className="search-btn period-analyze-btn"
+          onClick={runAnalysis}
+          disabled={!valid || current?.status === 'loading'}
+        >
+          Analyze periods
+        </button>
+      </div>
+
+      {!valid && <p className="period-note period-note-error">Each period needs a start date on or before its end date.</p>}
+
+      {valid && !coversBefore && (
+        <p className="period-note">
+          Loaded history doesn&apos;t reach back to {periods.before.from}, so score stats for the earlier period are incomplete.
+          {onLoadAllHistory && (
+            <button className="history-progress-btn" onClick={onLoadAllHistory} disabled={loadingHistory}>
+              {loadingHistory ? 'Loading...' : 'Load all history'}
+            </button>
+          )}
+        </p>
+      )}
+
+      {current?.status === 'loading' && (
+        <div className="period-progress">
+          <AnalysisProgress
+            kind="periodComparison"
+            label="Analyzing both periods..."
+            detail="Critical mistakes and playstyle for up to 50 games per period"
+            spinnerSize={32}
+            onCancel={cancel}
+          />
+        </div>
+      )}
+      {current?.status === 'error' && (
+        <p className="period-note period-note-error">
+          {current.error === ANALYSIS_CANCELLED ? 'Period analysis cancelled.' : `Period analysis failed: ${current.error}`}
+        </p>
+      )}
+      {!current && valid && (
+        <p className="period-note">
+          Score stats update as you pick periods. Analyze periods to add critical mistakes and playstyle.
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <div className="comparison-table-wrapper">
+          <table className="comparison-table period-table">
+            <thead>
+              <tr>
+                <th>Metric</th>
+                <th>
+                  Before
+                  {analyzedGames('before') !== null && <span className="period-analyzed"> ({analyzedGames('before')} analyzed)</span>}
+                </th>
+                <th>
+                  After
+                  {analyzedGames('after') !== null && <span className="period-analyzed"> ({analyzedGames('after')} analyzed)</span>}
+                </th>
+                <th>Change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.key} className={row.dimension ? 'period-dimension-row' : ''}>
+                  <td title={row.desc}>{row.label}</td>
+                  <td>{row.before === null ? '—' : row.format(row.before)}</td>
+                  <td>{row.after === null ? '—' : row.format(row.after)}</td>
+                  <ChangeCell change={row.change} format={row.format} />
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PeriodComparison
@@ -0,0 +1,232 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import {
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, Tooltip, Legend, ResponsiveContainer
+} from 'recharts'
+import { parsePlayers, loadComparisonProfiles, columnExtremes, sortComparisonRows, nextSort } from './comparison'
+import { PLAYSTYLE_DIMENSIONS, PLAYSTYLE_RATES, formatRate } from './playstyle'
+
+const PLAYER_COLORS = ['#3a86ff', '#ff6b35', '#06ffa5', '#ff006e', '#ffbe0b', '#8338ec', '#4cc9f0', '#f72585']
+
+// Column header that sorts the table; the button makes it reachable by keyboard
+// and aria-sort tells screen readers which column is sorted
+function SortHeader({ sortKey, sort, onSort, title, children }) {
+  const active = sort.key === sortKey
+  return (
+    <th
+      aria-sort={active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : 'none'}
+      title={title}
+    >
+      <button className="comparison-sort-btn" onClick={() => onSort(sortKey)}>
+        {children}
+        {active && <span aria-hidden="true">{sort.dir === 'asc' ? ' ▲' : ' ▼'}</span>}
+      </button>
+    </th>
+  )
+}
+
+// Side-by-side playstyle comparison of any number of players
+function PlayerComparison({ defaultPlayers = [], suggestions = [] }) {
+  const [input, setInput] = useState(defaultPlayers.join(', '))
+  const [players, setPlayers] = useState([])
+  // name -> { status: 'loading' | 'done' | 'error', profile, error }
+  const [results, setResults] = useState({})
+  const [sort, setSort] = useState({ key: 'player', dir: 'asc' })
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const compare = () => {
+    const names = parsePlayers(input)
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setPlayers(names)
+    setResults(Object.fromEntries(names.map(name => [name, { status: 'loading' }])))
+
+    loadComparisonProfiles(names, {
+      signal: controller.signal,
+      onResult: (name, result) => setResults(prev => ({ ...prev, [name]: result })),
+    }).catch(() => {
+      // Only aborts get here: the comparison was cancelled or replaced
+    })
+  }
+
+  const cancel = () => {
+    controllerRef.current?.abort()
+    setResults(prev => Object.fromEntries(
+      Object.entries(prev).map(([name, r]) => [name, r.status === 'loading' ? { status: 'error', error: 'Cancelled' } : r])
+    ))
+  }
+
+  const addPlayer = (name) => {
+    const names = parsePlayers(input)
+    if (names.some(n => n.toLowerCase() === name.toLowerCase())) return
+    setInput([...names, name].join(', '))
+  }
+
+  const pending = players.filter(name => results[name]?.status === 'loading').length
+  const failed = players.filter(name => results[name]?.status === 'error')
+
+  // Loaded profiles in input order; color follows the player, not the sort
+  const loaded = useMemo(() =>
+    players
+      .map((name, i) => ({ name, color: PLAYER_COLORS[i % PLAYER_COLORS.length], profile: results[name]?.profile }))
+      .filter(p => p.profile?.dimensions),
+  [players, results])
+
+  const radarData = useMemo(() =>
+    PLAYSTYLE_DIMENSIONS.map(({ key, axis, desc }) => ({
+      axis,
+      desc,
+      ...Object.fromEntries(loaded.map((p, i) => [`p${i}`, p.profile.dimensions[key]])),
+    })),
+  [loaded])
+
+  const sortedRows = useMemo(() => sortComparisonRows(loaded, sort), [loaded, sort])
+
+  const extremes = useMemo(() =>
+    Object.fromEntries(PLAYSTYLE_RATES.map(rate => [rate.key, columnExtremes(loaded, rate)])),
+  [loaded])
+
+  const toggleSort = (key) => setSort(prev => nextSort(prev, key))
+
+  return (
+    <div className="comparison">
+      <form
+        className="comparison-form"
+        onSubmit={e => { e.preventDefault(); compare() }}
+      >
+        <input
+          type="text"
+          className="filter-input comparison-input"
+          value={input}
+          onChange={e => setInput(e.target.value)}
+          placeholder="player, player, player..."
+        />
+        <button type="submit" className="search-btn" disabled={parsePlayers(input).length === 0}>
+          Compare
+        </button>
+        {pending > 0 && (
+          <button type="button" className="compare-clear-btn" onClick={cancel}>
+            Cancel
+          </button>
+        )}
+      </form>
+
+      {suggestions.length > 0 && (
+        <div className="partner-chips comparison-suggestions">
+          {suggestions.map(name => (
+            <button key={name} className="partner-chip" onClick={() => addPlayer(name)}>
+              + {name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {players.length > 0 && (
+        <div className="comparison-progress">
+          <div className="history-progress-bar">
+            <div
+              className="history-progress-fill"
+              style={{ width: `${((players.length - pending) / players.length) * 100}%` }}
+            />
+          </div>
+          <span className="comparison-progress-text">
+            {pending > 0
+              ? `Loading profiles... ${players.length - pending} of ${players.length}`
+              : `${loaded.length} of ${players.length} profiles loaded`}
+          </span>
+          {failed.map(name => (
+            <span key={name} className="comparison-failed">
+              {name}: {results[name].error}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {loaded.length > 0 && (
+        <>
+          <div className="comparison-radar">
+            <ResponsiveContainer width="100%" height="100%">
+              <RadarChart data={radarData} cx="50%" cy="50%" outerRadius="70%">
+                <PolarGrid stroke="#30363d" />
+                <PolarAngleAxis dataKey="axis" tick={{ fill: '#c9d1d9', fontSize: 12 }} />
+                {loaded.map((p, i) => (
+                  <Radar
+                    key={p.name}
+                    name={p.name}
+                    dataKey={`p${i}`}
+                    stroke={p.color}
+                    fill={p.color}
+                    fillOpacity={0.1}
+                    strokeWidth={2}
+                  />
+                ))}
+                <Tooltip content={({ active, payload }) => {
+                  if (active && payload && payload.length) {
+                    const d = payload[0].payload
+                    return (
+                      <div className="custom-tooltip">
+                        <p className="tooltip-label">{d.axis}</p>
+                        {d.desc && <p className="tooltip-desc">{d.desc}</p>}
+                        {loaded.map((p, i) => (
+                          <p key={p.name} className="tooltip-value" style={{ color: p.color }}>
+                            {p.name}: {d[`p${i}`]?.toFixed(1)}
+                          </p>
+                        ))}
+                      </div>
+                    )
+                  }
+                  return null
+                }} />
+                <Legend formatter={(value) => <span style={{ color: '#c9d1d9' }}>{value}</span>} />
+              </RadarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="comparison-table-wrapper">
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <SortHeader sortKey="player" sort={sort} onSort={toggleSort}>Player</SortHeader>
+                  <SortHeader sortKey="games" sort={sort} onSort={toggleSort}>Games</SortHeader>
+                  {PLAYSTYLE_RATES.map(rate => (
+                    <SortHeader
+                      key={rate.key}
+                      sortKey={rate.key}
+                      sort={sort}
+                      onSort={toggleSort}
+                      title={rate.better ? `${rate.better} is better` : 'Style, no better or worse'}
+                    >
+                      {rate.label}
+                    </SortHeader>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {sortedRows.map(row => (
+                  <tr key={row.name}>
+                    <td>
+                      <span className="comparison-swatch" style={{ background: row.color }} />
+                      {row.name}
+                    </td>
+                    <td>{row.profile.gamesAnalyzed}</td>
+                    {PLAYSTYLE_RATES.map(rate => {
+                      const value = row.profile.rates?.[rate.key]
+                      const range = extremes[rate.key]
+                      const cls = range && value === range.best ? 'rate-best'
+                        : range && value === range.worst ? 'rate-worst' : ''
+                      return <td key={rate.key} className={cls}>{formatRate(rate, value)}</td>
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PlayerComparison
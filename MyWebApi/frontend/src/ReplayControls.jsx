@@ -0,0 +1,133 @@
+import { useState, useEffect } from 'react'
+import { SPEEDS, togglePlayback, scheduleAutoplayStep, replayKeyCommand } from './replay'
+
+const SEVERITY_COLORS = {
+  critical: 'var(--rose)',
+  warning: 'var(--gold)',
+  info: 'var(--cyan)',
+}
+
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+function ReplayControls({ currentTurn, minTurn, maxTurn, markers = [], isAnimating, onPrev, onNext, onSeek }) {
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+
+  const atEnd = currentTurn >= maxTurn
+  const isPlaying = playing && !atEnd
+  const span = Math.max(1, maxTurn - minTurn)
+
+  const seek = (turn) => {
+    if (!isAnimating) onSeek(turn)
+  }
+
+  const togglePlay = () => {
+    const { playing: next, seekTo } = togglePlayback({ isPlaying, atEnd, minTurn })
+    if (seekTo !== null) seek(seekTo)
+    setPlaying(next)
+  }
+
+  // Autoplay: advance one turn after each step (and its animation) settles
+  useEffect(
+    () => scheduleAutoplayStep({ isPlaying, isAnimating, speed, onNext }),
+    [isPlaying, isAnimating, currentTurn, speed, onNext]
+  )
+
+  // Keyboard shortcuts: ←/→ step, space play/pause, Home/End jump
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // defaultPrevented: a focused list already used the key (see a11y.js)
+      if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return
+      // Space on a focused button already activates that button
+      if (e.key === ' ' && e.target instanceof HTMLButtonElement) return
+      const command = replayKeyCommand(e.key, { currentTurn, minTurn, maxTurn, isAnimating })
+      if (!command) return
+      if (command.type === 'prev') onPrev()
+      else if (command.type === 'next') onNext()
+      else if (command.type === 'toggle') togglePlay()
+      else if (command.type === 'seek') seek(command.turn)
+      e.preventDefault()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  })
+
+  return (
+    <div className="replay-controls">
+      <div className="replay-buttons">
+        <button
+          className="turn-nav-btn"
+          disabled={currentTurn <= minTurn || isAnimating}
+          onClick={onPrev}
+          title="Previous turn (←)"
+        >
+          &lt; Prev
+        </button>
+        <button
+          className={`replay-play-btn ${isPlaying ? 'playing' : ''}`}
+          onClick={togglePlay}
+          title="Play / pause (space)"
+        >
+          {isPlaying ? 'Pause' : atEnd ? 'Restart' : 'Play'}
+        </button>
+        <button
+          className="turn-nav-btn"
+          disabled={atEnd || isAnimating}
+          onClick={onNext}
+          title="Next turn (→)"
+        >
+          Next &gt;
+        </button>
+        <span className="turn-nav-indicator">
+          Turn {currentTurn} / {maxTurn}
+        </span>
+        <div className="replay-speeds">
+          {SPEEDS.map(s => (
+            <button
+              key={s}
+              className={`replay-speed-btn ${speed === s ? 'active' : ''}`}
+              onClick={() => setSpeed(s)}
+            >
+              {s}x
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="replay-scrubber">
+        <input
+          type="range"
+          className="replay-range"
+          min={minTurn}
+          max={maxTurn}
+          value={currentTurn}
+          disabled={isAnimating}
+          onChange={e => seek(parseInt(e.target.value))}
+          aria-label="Replay position"
+        />
+        <div className="replay-markers">
+          {markers.map((marker, i) => (
+            <button
+              key={i}
+              className="replay-marker"
+              style={{
+                left: `${((marker.turn - minTurn) / span) * 100}%`,
+                background: SEVERITY_COLORS[marker.severity] || 'var(--text-secondary)',
+              }}
+              title={`Turn ${marker.turn}: ${marker.label}`}
+              onClick={() => seek(marker.turn)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="replay-shortcuts">
+        ← → step · space play/pause · Home/End jump
+      </div>
+    </div>
+  )
+}
+
+export default ReplayControls
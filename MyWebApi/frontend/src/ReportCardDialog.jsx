@@ -0,0 +1,64 @@
+import { useEffect, useMemo, useState } from 'react'
+import { buildReportCardSvg, svgToPngBlob } from './reportCard'
+import { downloadFile, exportFilename } from './exportData'
+
+// Preview of the shareable report card with PNG/SVG downloads
+function ReportCardDialog({ card, onClose }) {
+  const [pngError, setPngError] = useState(null)
+  const [rendering, setRendering] = useState(false)
+
+  const svg = useMemo(() => buildReportCardSvg(card), [card])
+  const previewSrc = useMemo(() => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`, [svg])
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKey)
+    return () => window.removeEventListener('keydown', handleKey)
+  }, [onClose])
+
+  const downloadSvg = () => {
+    downloadFile(exportFilename(card.player, 'report-card', 'svg'), svg, 'image/svg+xml')
+  }
+
+  const downloadPng = async () => {
+    setRendering(true)
+    setPngError(null)
+    try {
+      const blob = await svgToPngBlob(svg)
+      downloadFile(exportFilename(card.player, 'report-card', 'png'), blob)
+    } catch (err) {
+      setPngError(err.message)
+    } finally {
+      setRendering(false)
+    }
+  }
+
+  return (
+    <div className="report-card-backdrop" onClick={onClose}>
+      <div
+        className="report-card-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Report card"
+        onClick={e => e.stopPropagation()}
+      >
+        <div className="report-card-header">
+          <h3 className="report-card-title">Report Card</h3>
+          <button className="compare-clear-btn" onClick={onClose}>Close</button>
+        </div>
+        <img className="report-card-preview" src={previewSrc} alt={`Report card for ${card.player}`} />
+        <div className="report-card-actions">
+          <button className="export-menu-btn" onClick={downloadPng} disabled={rendering}>
+            {rendering ? 'Rendering...' : 'Download PNG'}
+          </button>
+          <button className="export-menu-btn" onClick={downloadSvg}>Download SVG</button>
+          {pngError && <span className="report-card-error">{pngError}</span>}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ReportCardDialog
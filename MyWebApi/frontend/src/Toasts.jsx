@@ -0,0 +1,39 @@
+import { useEffect } from 'react'
+
+const TOAST_DURATION_MS = 8000
+
+function Toast({ toast, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(() => onDismiss(toast.id), TOAST_DURATION_MS)
+    return () => clearTimeout(timer)
+  }, [toast.id, onDismiss])
+
+  return (
+    <div className="toast">
+      <span className="toast-message">{toast.message}</span>
+      {toast.action && (
+        <button
+          className="toast-action"
+          onClick={() => {
+            toast.action.onClick()
+            onDismiss(toast.id)
+          }}
+        >
+          {toast.action.label}
+        </button>
+      )}
+      <button className="toast-close" aria-label="Dismiss" onClick={() => onDismiss(toast.id)}>×</button>
+    </div>
+  )
+}
+
+// Bottom-right stack of toasts; each dismisses itself after a few seconds
+function Toasts({ toasts, onDismiss }) {
+  return (
+    <div className="toast-stack" aria-live="polite">
+      {toasts.map(toast => <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />)}
+    </div>
+  )
+}
+
+export default Toasts
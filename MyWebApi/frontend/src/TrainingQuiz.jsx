@@ -0,0 +1,388 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import GameStateVisualization from './GameStateVisualization'
+import AnalysisProgress from './AnalysisProgress'
+import { useBotReview } from './botReview'
+import { formatViolationType } from './violationFormat'
+import { clueTouches, clueColor } from './variants'
+import { isAbortError } from './api'
+import { trackDuration, ANALYSIS_CANCELLED } from './progress'
+import { navigate, gamePath } from './routing'
+import {
+  TRAINING_TYPES, TRAINING_GAMES, useTrainingScores, scoreRate, weakestType, loadTrainingGames,
+  buildPuzzles, sameMove, describeMove, judgeMove,
+} from './training'
+
+const RANKS = [1, 2, 3, 4, 5]
+const MAX_CLUES = 8
+
+// Per-type hit rate, with how many puzzles of each type are loaded
+function ScoreBoard({ scores, counts, onReset }) {
+  const hasScores = TRAINING_TYPES.some(type => scores[type]?.attempts)
+
+  return (
+    <div className="training-scores">
+      {TRAINING_TYPES.map(type => {
+        const score = scores[type]
+        const rate = scoreRate(score)
+        return (
+          <div key={type} className="training-score">
+            <span className="training-score-type">{formatViolationType(type)}</span>
+            <span className="training-score-value">
+              {rate === null ? '—' : `${Math.round(rate * 100)}%`}
+            </span>
+            <div className="training-score-bar" aria-hidden="true">
+              <div className="training-score-fill" style={{ width: `${(rate ?? 0) * 100}%` }} />
+            </div>
+            <span className="training-score-meta">
+              {score?.attempts ? `${score.correct} of ${score.attempts} right` : 'Not tried yet'}
+              {counts && ` · ${counts[type]} puzzles`}
+            </span>
+          </div>
+        )
+      })}
+      {hasScores && (
+        <button className="analysis-cancel-btn training-reset-btn" onClick={onReset}>Reset scores</button>
+      )}
+    </div>
+  )
+}
+
+// Play, discard or clue picker for the acting player. Only legal moves are enabled:
+// no discards at 8 clues, no clues at 0, no clue that touches nothing.
+function MovePicker({ puzzle, move, onChange, disabled }) {
+  const { state, actor, players, variant } = puzzle
+  const hand = state.hands[actor]
+  const isPicked = (candidate) => sameMove(move, candidate)
+  const moveButton = (candidate, label, { enabled = true, title, style, className = '' } = {}) => (
+    <button
+      key={`${candidate.type}:${candidate.target}:${candidate.value}`}
+      className={`training-move-btn ${className} ${isPicked(candidate) ? 'active' : ''}`}
+      aria-pressed={isPicked(candidate)}
+      disabled={disabled || !enabled}
+      title={title}
+      style={style}
+      onClick={() => onChange(candidate)}
+    >
+      {label}
+    </button>
+  )
+
+  // Slot 1 is the newest card, like the board's hand order
+  const slots = [...hand].reverse()
+
+  return (
+    <div className="training-moves" role="group" aria-label="Your move">
+      <div className="training-move-row">
+        <span className="filter-label">Play</span>
+        {slots.map((card, i) => moveButton({ type: 0, target: card.deckIndex, value: 0 }, i + 1, { title: `Play slot ${i + 1}` }))}
+      </div>
+      <div className="training-move-row">
+        <span className="filter-label">Discard</span>
+        {slots.map((card, i) => moveButton({ type: 1, target: card.deckIndex, value: 0 }, i + 1, {
+          enabled: state.clueTokens < MAX_CLUES,
+          title: state.clueTokens < MAX_CLUES ? `Discard slot ${i + 1}` : 'No discarding at 8 clues',
+        }))}
+      </div>
+      {state.hands.map((teammateHand, target) => {
+        if (target === actor) return null
+        const touches = (clue) => teammateHand.some(card => clueTouches(variant, clue, card))
+        const clueOptions = (clue, label, style, className) => moveButton(clue, label, {
+          enabled: state.clueTokens > 0 && touches(clue),
+          title: state.clueTokens === 0 ? 'No clues left' : touches(clue) ? undefined : 'Touches no cards',
+          style,
+          className,
+        })
+        return (
+          <div key={target} className="training-move-row">
+            <span className="filter-label">Clue {players[target] || `Player ${target + 1}`}</span>
+            {variant.clueColors.map((color, value) => clueOptions(
+              { type: 2, target, value },
+              <>
+                <span className="suit-glyph" aria-hidden="true">{color.symbol}</span>
+                {color.name}
+              </>,
+              { '--suit-color': clueColor(variant, value) },
+              'color-clue',
+            ))}
+            {RANKS.map(rank => clueOptions({ type: 3, target, value: rank }, rank))}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+// Answer, violation and the bot's ranked candidates, shown after submitting
+function PuzzleReveal({ puzzle, answer, botTurn }) {
+  const { verdict, move } = answer
+  const candidates = botTurn?.candidates ?? []
+
+  return (
+    <div className={`training-reveal ${verdict.correct ? 'correct' : 'incorrect'}`} aria-live="polite">
+      <div className="training-verdict">
+        {verdict.correct ? '✓ Good call' : '✗ Not quite'}
+        <span className="training-verdict-basis">
+          {verdict.basis === 'bot' ? 'Scored against the bot\'s pick' : 'No bot review, so any move but the played one counts'}
+        </span>
+      </div>
+      <dl className="training-answers">
+        <dt>Your move</dt>
+        <dd>{describeMove(move, puzzle)}</dd>
+        {verdict.botMove && (
+          <>
+            <dt>Bot</dt>
+            <dd>{describeMove(verdict.botMove, puzzle)}</dd>
+          </>
+        )}
+        <dt>Played</dt>
+        <dd>{describeMove(puzzle.actual, puzzle)}</dd>
+      </dl>
+      <p className="training-violation">
+        <span className="violation-type">{formatViolationType(puzzle.violation.type)}</span>
+        {puzzle.violation.description}
+      </p>
+      {candidates.length > 0 && (
+        <ol className="training-candidates" aria-label="Bot candidates, best first">
+          {candidates.map((candidate, i) => (
+            <li key={i} className={`training-candidate ${candidate.isBot ? 'is-bot' : ''}`}>
+              <span className="bot-candidate-rank">#{candidate.cascadeRank}</span>
+              <span className="bot-candidate-desc">{candidate.description}</span>
+              <span className="bot-candidate-markers">
+                {candidate.isBot && <span className="bot-marker">BOT</span>}
+                {candidate.isActual && <span className="actual-marker">PLAYED</span>}
+                {sameMove(move, candidate.action) && <span className="training-you-marker">YOU</span>}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  )
+}
+
+function Puzzle({ puzzle, position, total, onScore, onNext }) {
+  const botReview = useBotReview(puzzle.gameId)
+  const [move, setMove] = useState(null)
+  const [answer, setAnswer] = useState(null)
+  const botTurn = botReview.data?.turns?.find(t => t.turn === puzzle.turn) ?? null
+  const actorName = puzzle.players[puzzle.actor] || `Player ${puzzle.actor + 1}`
+
+  const submit = () => {
+    const verdict = judgeMove(move, puzzle, botTurn)
+    setAnswer({ move, verdict })
+    onScore(puzzle.violation.type, verdict.correct)
+  }
+
+  const openGame = () => {
+    navigate(gamePath(puzzle.gameId, puzzle.violation.turn), {
+      state: { from: window.location.pathname + window.location.search },
+    })
+  }
+
+  return (
+    <div className="training-puzzle">
+      <div className="training-puzzle-header">
+        <span className="training-puzzle-count">Puzzle {position} of {total}</span>
+        <span>Game #{puzzle.gameId} · Turn {puzzle.turn}</span>
+        <span className="training-puzzle-actor">You are <strong>{actorName}</strong>. What would you do?</span>
+      </div>
+
+      <GameStateVisualization
+        state={puzzle.state}
+        players={puzzle.players}
+        currentPlayerOverride={puzzle.actor}
+        previousAction={puzzle.turn >= 2 ? puzzle.actions[puzzle.turn - 2] : null}
+        currentTurn={puzzle.turn}
+        actions={puzzle.actions}
+        states={puzzle.states}
+        variant={puzzle.variant}
+        perspective={puzzle.actor}
+      />
+
+      <MovePicker puzzle={puzzle} move={move} onChange={setMove} disabled={answer !== null} />
+
+      {!answer && botReview.loading && (
+        <AnalysisProgress
+          kind="botReview"
+          label="Loading the bot's answer..."
+          detail="Pick your move meanwhile; it's scored against the bot's recommendation"
+          spinnerSize={24}
+          onCancel={botReview.cancel}
+        />
+      )}
+      {!answer && botReview.error && (
+        <p className="period-note">
+          {botReview.error === ANALYSIS_CANCELLED ? 'Bot review cancelled' : `Bot review unavailable: ${botReview.error}`}.
+          This puzzle is scored against the move that was played.
+          <button className="analysis-retry-btn" onClick={botReview.retry}>Retry</button>
+        </p>
+      )}
+
+      {answer && <PuzzleReveal puzzle={puzzle} answer={answer} botTurn={botTurn} />}
+
+      <div className="training-actions">
+        {!answer ? (
+          <>
+            <button className="search-btn" onClick={submit} disabled={!move || botReview.loading}>
+              Check answer
+            </button>
+            <button className="history-progress-btn" onClick={onNext}>Skip</button>
+          </>
+        ) : (
+          <>
+            <button className="search-btn" onClick={onNext}>Next puzzle</button>
+            <button className="history-progress-btn" onClick={openGame}>Open in game review</button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// "What would you do?" quiz over the player's recent missed saves, missed
+// finesses and misread saves
+function TrainingQuiz({ player, games }) {
+  const { scores, record, reset } = useTrainingScores()
+  // { status: 'loading' | 'done' | 'error', done, total, analyses, failed, error }
+  const [load, setLoad] = useState(null)
+  const [includeTeammates, setIncludeTeammates] = useState(false)
+  const [typeFilter, setTypeFilter] = useState('all')
+  const [index, setIndex] = useState(0)
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const gameIds = games.slice(0, TRAINING_GAMES).map(g => g.id)
+
+  const findPuzzles = async () => {
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+    setLoad({ status: 'loading', done: 0, total: gameIds.length })
+    setIndex(0)
+    try {
+      const result = await trackDuration('trainingPuzzles', loadTrainingGames(gameIds, {
+        signal: controller.signal,
+        onProgress: done => setLoad(prev => ({ ...prev, done })),
+      }))
+      setLoad({ status: 'done', ...result })
+    } catch (err) {
+      if (isAbortError(err)) return
+      setLoad({ status: 'error', error: err.message })
+    }
+  }
+
+  const cancel = () => {
+    controllerRef.current?.abort()
+    setLoad({ status: 'error', error: ANALYSIS_CANCELLED })
+  }
+
+  const puzzles = useMemo(() => {
+    if (load?.status !== 'done') return []
+    return load.analyses.flatMap(analysis => buildPuzzles(analysis, { player, includeTeammates }))
+  }, [load, player, includeTeammates])
+
+  const counts = useMemo(() => Object.fromEntries(
+    TRAINING_TYPES.map(type => [type, puzzles.filter(p => p.violation.type === type).length])
+  ), [puzzles])
+
+  const deck = typeFilter === 'all' ? puzzles : puzzles.filter(p => p.violation.type === typeFilter)
+  const puzzle = deck.length > 0 ? deck[index % deck.length] : null
+  const weakest = weakestType(scores, counts)
+
+  const chooseType = (type) => {
+    setTypeFilter(type)
+    setIndex(0)
+  }
+
+  return (
+    <div className="training-quiz">
+      <ScoreBoard scores={scores} counts={load?.status === 'done' ? counts : null} onReset={reset} />
+
+      <div className="filter-row training-controls">
+        <button
+          className="search-btn"
+          onClick={findPuzzles}
+          disabled={gameIds.length === 0 || load?.status === 'loading'}
+        >
+          {load?.status === 'done' ? 'Reload puzzles' : `Find puzzles in the last ${gameIds.length} games`}
+        </button>
+        <label className="training-toggle">
+          <input
+            type="checkbox"
+            checked={includeTeammates}
+            onChange={e => {
+              setIncludeTeammates(e.target.checked)
+              setIndex(0)
+            }}
+          />
+          Include teammates&apos; mistakes
+        </label>
+        {load?.status === 'done' && (
+          <div className="filter-group">
+            <span className="filter-label">Drill</span>
+            <div className="filter-chips">
+              {['all', ...TRAINING_TYPES].map(type => (
+                <button
+                  key={type}
+                  className={`filter-chip ${typeFilter === type ? 'active' : ''}`}
+                  aria-pressed={typeFilter === type}
+                  disabled={type !== 'all' && counts[type] === 0}
+                  onClick={() => chooseType(type)}
+                >
+                  {type === 'all' ? 'All' : formatViolationType(type)}
+                </button>
+              ))}
+            </div>
+            {weakest && (
+              <button className="history-progress-btn" onClick={() => chooseType(weakest)}>
+                🎯 Weakest: {formatViolationType(weakest)}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {gameIds.length === 0 && <p className="period-note">Load some games first; puzzles come from the player&apos;s history.</p>}
+
+      {load?.status === 'loading' && (
+        <div className="period-progress">
+          <AnalysisProgress
+            kind="trainingPuzzles"
+            label="Looking for puzzles..."
+            detail={`${load.done} of ${load.total} games analyzed`}
+            spinnerSize={32}
+            onCancel={cancel}
+          />
+        </div>
+      )}
+      {load?.status === 'error' && (
+        <p className="period-note period-note-error">
+          {load.error === ANALYSIS_CANCELLED ? 'Puzzle search cancelled.' : `Puzzle search failed: ${load.error}`}
+        </p>
+      )}
+      {load?.status === 'done' && load.failed > 0 && (
+        <p className="period-note">{load.failed} of {gameIds.length} games couldn&apos;t be analyzed and were skipped.</p>
+      )}
+      {load?.status === 'done' && puzzles.length === 0 && (
+        <p className="period-note">
+          No missed saves, missed finesses or misread saves in these games
+          {includeTeammates ? '' : ` by ${player}`}. Nothing to drill here.
+        </p>
+      )}
+
+      {puzzle && (
+        <Puzzle
+          key={`${puzzle.key}:${index}`}
+          puzzle={puzzle}
+          position={(index % deck.length) + 1}
+          total={deck.length}
+          onScore={record}
+          onNext={() => setIndex(i => i + 1)}
+        />
+      )}
+    </div>
+  )
+}
+
+export default TrainingQuiz
@@ -0,0 +1,163 @@
+import { Fragment, useState, useMemo } from 'react'
+import { ClassificationBadge } from './BotAnalysisPanel'
+import { CLASSIFICATION_CONFIG } from './botReview'
+import { getSeverityClass, getSeverityIcon, formatViolationType } from './violationFormat'
+import { STANDARD_VARIANT, clueLabel, clueColor } from './variants'
+import { handleListKeyDown, onActivateKey } from './a11y'
+import { noteTarget, describeNoteTarget } from './reviewNotes'
+import { NoteThread } from './NoteThread'
+import { SEVERITIES, buildTimelineRows, filterTimelineRows, worstSeverity } from './timeline'
+
+const ACTION_NAMES = {
+  0: 'Play',
+  1: 'Discard',
+  2: 'Color Clue',
+  3: 'Rank Clue'
+}
+
+// One row per action, annotated with its rule violations and the bot's verdict
+function TurnTimeline({ game, violations, botTurns, botLoading, botError, selectedTurn, onSelectTurn, variant = STANDARD_VARIANT, review }) {
+  const [filterPlayer, setFilterPlayer] = useState('')
+  const [filterSeverity, setFilterSeverity] = useState('')
+  const [filterClassification, setFilterClassification] = useState('')
+
+  const rows = useMemo(() => buildTimelineRows(game, violations, botTurns), [game, violations, botTurns])
+
+  const filteredRows = filterTimelineRows(rows, {
+    player: filterPlayer,
+    severity: filterSeverity,
+    classification: filterClassification,
+  })
+
+  const hasFilters = filterPlayer || filterSeverity || filterClassification
+
+  return (
+    <details className="timeline-details" open>
+      <summary className="timeline-summary">
+        Turn Timeline ({game.actions?.length || 0} actions)
+        {botLoading && <span className="timeline-bot-status">bot review loading...</span>}
+        {botError && <span className="timeline-bot-status">bot review unavailable</span>}
+      </summary>
+
+      <div className="timeline-filters">
+        <select
+          className="timeline-filter-select"
+          value={filterPlayer}
+          onChange={e => setFilterPlayer(e.target.value)}
+        >
+          <option value="">All players</option>
+          {game.players.map(p => <option key={p} value={p}>{p}</option>)}
+        </select>
+        <select
+          className="timeline-filter-select"
+          value={filterSeverity}
+          onChange={e => setFilterSeverity(e.target.value)}
+        >
+          <option value="">Any severity</option>
+          {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        <select
+          className="timeline-filter-select"
+          value={filterClassification}
+          onChange={e => setFilterClassification(e.target.value)}
+          disabled={!botTurns}
+        >
+          <option value="">Any bot verdict</option>
+          {Object.entries(CLASSIFICATION_CONFIG).map(([key, cfg]) => (
+            <option key={key} value={key}>{cfg.label}</option>
+          ))}
+        </select>
+        <span className="timeline-filter-count">
+          {filteredRows.length} / {rows.length}
+        </span>
+        {hasFilters && (
+          <button
+            className="bot-filter-clear"
+            onClick={() => { setFilterPlayer(''); setFilterSeverity(''); setFilterClassification('') }}
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      <div className="timeline-content" role="group" aria-label="Turns" onKeyDown={handleListKeyDown}>
+        {filteredRows.map(({ turn, action, player, violations: turnViolations, bot }) => {
+          const worst = worstSeverity(turnViolations)
+          const turnNotes = review?.notesForTurn(turn) || []
+          const isSelected = selectedTurn === turn
+          return (
+            <Fragment key={turn}>
+              <div
+                className={`timeline-action ${worst ? `has-violation ${getSeverityClass(worst)}` : ''} ${isSelected ? 'selected' : ''}`}
+                data-nav-item
+                tabIndex={0}
+                role="button"
+                aria-current={isSelected ? 'step' : undefined}
+                onClick={() => onSelectTurn(turn)}
+                onKeyDown={onActivateKey(() => onSelectTurn(turn))}
+                title="Show board at this turn"
+              >
+                <div className="timeline-action-main">
+                  <span className="action-turn">{turn}</span>
+                  <span className="action-player">{player}</span>
+                  <span className="action-type">{ACTION_NAMES[action.type] || 'Unknown'}</span>
+                  {action.type <= 1 && (
+                    <span className="action-target">slot {action.target + 1}</span>
+                  )}
+                  {action.type === 2 && (
+                    <span className="action-target" style={{ color: clueColor(variant, action.value) }}>
+                      {variant.clueColors[action.value] && (
+                        <span className="suit-glyph" aria-hidden="true">{variant.clueColors[action.value].symbol}</span>
+                      )}
+                      {clueLabel(variant, action)} to P{action.target + 1}
+                    </span>
+                  )}
+                  {action.type === 3 && (
+                    <span className="action-target">
+                      {action.value} to P{action.target + 1}
+                    </span>
+                  )}
+                  {bot && <ClassificationBadge classification={bot.classification} />}
+                </div>
+                {(turnViolations.length > 0 || (bot?.botRecommendation && bot.classification !== 'correct')) && (
+                  <div className="timeline-annotations">
+                    {turnViolations.map((v, i) => (
+                      <span
+                        key={i}
+                        className={`timeline-violation ${getSeverityClass(v.severity)}`}
+                        title={v.description}
+                      >
+                        {getSeverityIcon(v.severity)} {formatViolationType(v.type)}
+                      </span>
+                    ))}
+                    {bot?.botRecommendation && bot.classification !== 'correct' && (
+                      <span className="timeline-bot-rec">
+                        Bot: {bot.botRecommendation}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </div>
+              {review && (turnNotes.length > 0 || isSelected) && (
+                <div className="timeline-notes">
+                  <NoteThread
+                    notes={turnNotes}
+                    onAdd={isSelected ? text => review.addNote(noteTarget.turn(turn), text) : undefined}
+                    onRemove={review.removeNote}
+                    label="turn note"
+                    showTarget={note => describeNoteTarget(note.target)}
+                  />
+                </div>
+              )}
+            </Fragment>
+          )
+        })}
+        {filteredRows.length === 0 && (
+          <p className="timeline-empty">No turns match these filters</p>
+        )}
+      </div>
+    </details>
+  )
+}
+
+export default TurnTimeline
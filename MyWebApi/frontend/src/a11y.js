@@ -0,0 +1,34 @@
+// Keyboard support for the review lists: arrow keys move focus between the
+// [data-nav-item] elements of a list, Enter/Space activate the focused one.
+
+const NAV_ITEM = '[data-nav-item]'
+
+/**
+ * onKeyDown for a list container. Only keys pressed on an item itself are
+ * handled, so controls inside an expanded item keep their own arrow keys.
+ */
+export function handleListKeyDown(event) {
+  if (!event.target.matches?.(NAV_ITEM)) return
+  const items = [...event.currentTarget.querySelectorAll(NAV_ITEM)]
+  const index = items.indexOf(event.target)
+  let next
+  switch (event.key) {
+    case 'ArrowDown': next = Math.min(items.length - 1, index + 1); break
+    case 'ArrowUp': next = Math.max(0, index - 1); break
+    case 'Home': next = 0; break
+    case 'End': next = items.length - 1; break
+    default: return
+  }
+  // Claimed, so the replay's window-level shortcuts leave it alone
+  event.preventDefault()
+  items[next].focus()
+}
+
+// onKeyDown for an element with role="button" (or "option"): Enter and Space
+// do what a click does
+export const onActivateKey = (action) => (event) => {
+  if (event.target !== event.currentTarget) return
+  if (event.key !== 'Enter' && event.key !== ' ') return
+  event.preventDefault()
+  action(event)
+}
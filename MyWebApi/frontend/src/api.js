@@ -0,0 +1,173 @@
+import { cacheGet, cacheSet, isFresh } from './apiCache'
+
+// Shared client for the analytics backend and the bot review service.
+//
+// - Identical concurrent requests share one fetch; it is only aborted once
+//   every caller has cancelled.
+// - Every call accepts an AbortSignal; cancelled calls reject with an
+//   ApiError of kind 'aborted' (see isAbortError).
+// - Responses are cached in memory and IndexedDB: game analyses never expire,
+//   history and per-player profiles expire after a TTL.
+
+export const API_URL = import.meta.env.VITE_API_URL || 'https://hanab-analytics-api.azurewebsites.net'
+export const BOT_API_URL = import.meta.env.VITE_BOT_API_URL || 'http://localhost:3001'
+
+const MINUTE = 60 * 1000
+const HISTORY_TTL = 5 * MINUTE
+const PROFILE_TTL = 6 * 60 * MINUTE
+const BOT_REVIEW_TTL = 24 * 60 * MINUTE
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ kind?: 'http' | 'network' | 'parse' | 'aborted', status?: number | null, url?: string | null }} details
+   */
+  constructor(message, { kind = 'http', status = null, url = null } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.kind = kind
+    this.status = status
+    this.url = url
+  }
+}
+
+export const isAbortError = (err) => err instanceof ApiError && err.kind === 'aborted'
+
+const abortError = (url) => new ApiError('Request cancelled', { kind: 'aborted', url })
+
+async function fetchJson(url, fallbackMessage, controller) {
+  let response
+  try {
+    response = await fetch(url, { signal: controller.signal })
+  } catch {
+    if (controller.signal.aborted) throw abortError(url)
+    throw new ApiError(fallbackMessage, { kind: 'network', url })
+  }
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '')
+    throw new ApiError(text || fallbackMessage, { status: response.status, url })
+  }
+
+  try {
+    return await response.json()
+  } catch {
+    if (controller.signal.aborted) throw abortError(url)
+    throw new ApiError(fallbackMessage, { kind: 'parse', url })
+  }
+}
+
+// url -> { promise, controller, subscribers }
+const inFlight = new Map()
+
+function request(url, fallbackMessage, signal) {
+  if (signal?.aborted) return Promise.reject(abortError(url))
+
+  let entry = inFlight.get(url)
+  if (!entry) {
+    const controller = new AbortController()
+    entry = { controller, subscribers: 0 }
+    entry.promise = fetchJson(url, fallbackMessage, controller).finally(() => {
+      if (inFlight.get(url) === entry) inFlight.delete(url)
+    })
+    inFlight.set(url, entry)
+  }
+  const shared = entry
+  shared.subscribers++
+
+  return new Promise((resolve, reject) => {
+    let settled = false
+    const settle = (callback, value) => {
+      if (settled) return
+      settled = true
+      signal?.removeEventListener('abort', onAbort)
+      shared.subscribers--
+      callback(value)
+    }
+    const onAbort = () => {
+      settle(reject, abortError(url))
+      // Last interested caller gone: cancel the underlying request
+      if (shared.subscribers === 0) {
+        if (inFlight.get(url) === shared) inFlight.delete(url)
+        shared.controller.abort()
+      }
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    shared.promise.then(value => settle(resolve, value), err => settle(reject, err))
+  })
+}
+
+const memoryCache = new Map()
+
+async function cachedRequest(key, url, fallbackMessage, { ttl, signal, force = false }) {
+  if (!force) {
+    const memory = memoryCache.get(key)
+    if (memory && isFresh(memory)) return memory.value
+
+    const stored = await cacheGet(key)
+    if (signal?.aborted) throw abortError(url)
+    if (stored) {
+      memoryCache.set(key, stored)
+      return stored.value
+    }
+  }
+
+  const value = await request(url, fallbackMessage, signal)
+  const entry = { value, expiresAt: ttl === null ? null : Date.now() + ttl }
+  memoryCache.set(key, entry)
+  cacheSet(key, entry)
+  return value
+}
+
+const userKey = (username) => encodeURIComponent(username.toLowerCase())
+
+// Optional date range (ISO timestamps, `to` exclusive) for the per-player analyses
+const rangeQuery = (from, to) =>
+  `${from ? `&from=${encodeURIComponent(from)}` : ''}${to ? `&to=${encodeURIComponent(to)}` : ''}`
+const rangeKey = (from, to) => (from || to ? `:${from || ''}:${to || ''}` : '')
+
+export function getHistory(username, { page = 0, size = 100, signal, force } = {}) {
+  return cachedRequest(
+    `history:${userKey(username)}:${page}:${size}`,
+    `${API_URL}/hanabi/history/${encodeURIComponent(username)}?page=${page}&size=${size}`,
+    'Failed to fetch game history',
+    { ttl: HISTORY_TTL, signal, force }
+  )
+}
+
+export function getCriticalTrends(username, { from, to, signal, force } = {}) {
+  return cachedRequest(
+    `critical-trends:${userKey(username)}${rangeKey(from, to)}`,
+    `${API_URL}/hanabi/history/${encodeURIComponent(username)}/critical-trends?size=50&level=2${rangeQuery(from, to)}`,
+    'Failed to fetch critical trends',
+    { ttl: PROFILE_TTL, signal, force }
+  )
+}
+
+export function getPlaystyle(username, { from, to, signal, force } = {}) {
+  return cachedRequest(
+    `playstyle:${userKey(username)}${rangeKey(from, to)}`,
+    `${API_URL}/hanabi/history/${encodeURIComponent(username)}/playstyle?size=50&level=2${rangeQuery(from, to)}`,
+    'Failed to fetch playstyle profile',
+    { ttl: PROFILE_TTL, signal, force }
+  )
+}
+
+// A finished game never changes, so its analysis is cached indefinitely
+export function getGameAnalysis(gameId, { signal } = {}) {
+  return cachedRequest(
+    `analysis:${gameId}`,
+    `${API_URL}/hanabi/game/${gameId}/analysis`,
+    'Failed to load game analysis',
+    { ttl: null, signal }
+  )
+}
+
+export function getBotReview(gameId, { signal } = {}) {
+  return cachedRequest(
+    `bot-review:${gameId}`,
+    `${BOT_API_URL}/api/review/${gameId}?level=5`,
+    'Failed to load bot analysis',
+    { ttl: BOT_REVIEW_TTL, signal }
+  )
+}
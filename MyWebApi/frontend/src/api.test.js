@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+
+// api.js keeps the in-flight requests and the memory cache at module level,
+// so every test gets a fresh copy. IndexedDB is unavailable here, which
+// leaves the memory cache as the only cache layer.
+let api
+
+// Stand-in for fetch: each call waits until the test responds to it, and
+// rejects like the real one when its signal aborts
+let calls
+beforeEach(async () => {
+  calls = []
+  vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+    calls.push({
+      url,
+      signal,
+      respond: (body) => resolve({ ok: true, json: async () => body }),
+      fail: (status, text) => resolve({ ok: false, status, text: async () => text }),
+    })
+    signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+  })))
+  vi.resetModules()
+  api = await import('./api')
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.useRealTimers()
+})
+
+// Let pending promise callbacks run
+const flush = () => new Promise(resolve => setTimeout(resolve, 0))
+
+// Make a request and answer its fetch with `body`
+async function fetchAnswered(promise, body) {
+  await flush()
+  calls.at(-1).respond(body)
+  return promise
+}
+
+describe('request sharing', () => {
+  it('sends identical concurrent requests once', async () => {
+    const first = api.getHistory('alice')
+    const second = api.getHistory('alice')
+    await flush()
+    expect(calls).toHaveLength(1)
+
+    calls[0].respond({ rows: [1] })
+    expect(await first).toEqual({ rows: [1] })
+    expect(await second).toEqual({ rows: [1] })
+  })
+
+  it('keeps the shared request going while another caller still waits', async () => {
+    const controller = new AbortController()
+    const cancelled = api.getHistory('alice', { signal: controller.signal })
+    const waiting = api.getHistory('alice')
+    await flush()
+
+    controller.abort()
+    await expect(cancelled).rejects.toSatisfy(api.isAbortError)
+    expect(calls[0].signal.aborted).toBe(false)
+
+    calls[0].respond({ rows: [1] })
+    expect(await waiting).toEqual({ rows: [1] })
+  })
+
+  it('aborts the shared request once every caller has cancelled', async () => {
+    const first = new AbortController()
+    const second = new AbortController()
+    const requests = [
+      api.getHistory('alice', { signal: first.signal }),
+      api.getHistory('alice', { signal: second.signal }),
+    ]
+    await flush()
+
+    first.abort()
+    second.abort()
+    for (const request of requests) await expect(request).rejects.toSatisfy(api.isAbortError)
+    expect(calls[0].signal.aborted).toBe(true)
+
+    // A later request starts over instead of joining the aborted one
+    api.getHistory('alice')
+    await flush()
+    expect(calls).toHaveLength(2)
+  })
+
+  it('rejects an already aborted call without fetching', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    await expect(api.getHistory('alice', { signal: controller.signal })).rejects.toSatisfy(api.isAbortError)
+    expect(calls).toHaveLength(0)
+  })
+})
+
+describe('response cache', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2024-05-01T12:00:00Z'))
+  })
+
+  it('serves a profile from memory until its TTL runs out', async () => {
+    expect(await fetchAnswered(api.getCriticalTrends('alice'), { games: 1 })).toEqual({ games: 1 })
+
+    vi.setSystemTime(new Date('2024-05-01T17:59:59Z'))
+    expect(await api.getCriticalTrends('Alice')).toEqual({ games: 1 })
+    expect(calls).toHaveLength(1)
+
+    vi.setSystemTime(new Date('2024-05-01T18:00:01Z'))
+    expect(await fetchAnswered(api.getCriticalTrends('alice'), { games: 2 })).toEqual({ games: 2 })
+    expect(calls).toHaveLength(2)
+  })
+
+  it('expires history after five minutes', async () => {
+    await fetchAnswered(api.getHistory('alice'), { rows: [1] })
+
+    vi.setSystemTime(new Date('2024-05-01T12:04:00Z'))
+    await api.getHistory('alice')
+    expect(calls).toHaveLength(1)
+
+    vi.setSystemTime(new Date('2024-05-01T12:06:00Z'))
+    await fetchAnswered(api.getHistory('alice'), { rows: [2] })
+    expect(calls).toHaveLength(2)
+  })
+
+  it('keeps game analyses indefinitely', async () => {
+    await fetchAnswered(api.getGameAnalysis(42), { turns: [] })
+
+    vi.setSystemTime(new Date('2025-05-01T12:00:00Z'))
+    expect(await api.getGameAnalysis(42)).toEqual({ turns: [] })
+    expect(calls).toHaveLength(1)
+  })
+
+  it('refetches a fresh entry when forced and caches the new response', async () => {
+    await fetchAnswered(api.getPlaystyle('alice'), { games: 1 })
+
+    expect(await fetchAnswered(api.getPlaystyle('alice', { force: true }), { games: 2 })).toEqual({ games: 2 })
+    expect(calls).toHaveLength(2)
+    expect(await api.getPlaystyle('alice')).toEqual({ games: 2 })
+    expect(calls).toHaveLength(2)
+  })
+
+  it('does not cache failures', async () => {
+    const failed = api.getHistory('alice')
+    await flush()
+    calls[0].fail(503, 'Service unavailable')
+    await expect(failed).rejects.toMatchObject({ name: 'ApiError', kind: 'http', status: 503, message: 'Service unavailable' })
+
+    expect(await fetchAnswered(api.getHistory('alice'), { rows: [1] })).toEqual({ rows: [1] })
+    expect(calls).toHaveLength(2)
+  })
+})
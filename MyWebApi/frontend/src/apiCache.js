@@ -0,0 +1,59 @@
+// Persistent response cache backed by IndexedDB.
+// Entries are { value, expiresAt } where expiresAt === null never expires.
+// Every operation degrades to a no-op when IndexedDB is unavailable (private mode, old browsers).
+
+const DB_NAME = 'hanabi-analytics'
+const DB_VERSION = 1
+const STORE = 'responses'
+
+let dbPromise = null
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE)
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => resolve(null)
+    })
+  }
+  return dbPromise
+}
+
+async function withStore(mode, operation) {
+  const db = await openDb()
+  if (!db) return null
+  return new Promise((resolve) => {
+    try {
+      const req = operation(db.transaction(STORE, mode).objectStore(STORE))
+      req.onsuccess = () => resolve(req.result ?? null)
+      req.onerror = () => resolve(null)
+    } catch {
+      resolve(null)
+    }
+  })
+}
+
+export const isFresh = (entry) => entry.expiresAt === null || entry.expiresAt > Date.now()
+
+export async function cacheGet(key) {
+  const entry = await withStore('readonly', store => store.get(key))
+  if (!entry) return null
+  if (!isFresh(entry)) {
+    cacheDelete(key)
+    return null
+  }
+  return entry
+}
+
+export function cacheSet(key, entry) {
+  return withStore('readwrite', store => store.put(entry, key))
+}
+
+export function cacheDelete(key) {
+  return withStore('readwrite', store => store.delete(key))
+}
@@ -0,0 +1,54 @@
+import { STANDARD_VARIANT, suitOf } from './variants'
+
+// Text version of a board for screen readers, e.g.
+//   "Turn 12, 3 clues, 1 strike, 20 cards in deck, score 8. Stacks R3 Y1 G0 B2 P2.
+//    Trash: R1 B4. Alice's hand, newest to chop: R2, Y3 clued, ..."
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+const cardName = (variant, card) => `${suitOf(variant, card.suitIndex)?.abbreviation ?? '?'}${card.rank}`
+
+// What the viewer knows about one of their own cards
+function hiddenCardName(variant, info) {
+  if (!info) return 'unknown'
+  const suit = info.colors.length === 1 ? suitOf(variant, info.colors[0]) : null
+  const rank = info.ranks.length === 1 ? info.ranks[0] : null
+  if (suit && rank) return `${suit.name} ${rank}`
+  if (suit) return `clued ${suit.name}`
+  if (rank) return `clued ${rank}`
+  return 'clued'
+}
+
+/**
+ * @param {object} state board state (see GameState.cs)
+ * @param {object} options
+ * @param {string[]} [options.players]
+ * @param {number} [options.currentPlayer]
+ * @param {number} [options.deckRemaining]
+ * @param {number|null} [options.viewAs] player whose own cards stay hidden
+ * @param {Map|null} [options.clueKnowledge] buildClueKnowledge() result when viewing as a player
+ */
+export function describeBoard(state, { variant = STANDARD_VARIANT, players, currentPlayer, deckRemaining, viewAs = null, clueKnowledge = null } = {}) {
+  const stacks = state.playStacks
+    .map((height, suitIndex) => `${suitOf(variant, suitIndex)?.abbreviation ?? '?'}${height}`)
+    .join(' ')
+  const trash = (state.discardPile || []).map(card => cardName(variant, card)).join(' ')
+
+  const hands = state.hands.map((hand, playerIndex) => {
+    const name = players?.[playerIndex] || `Player ${playerIndex + 1}`
+    const cards = [...hand].reverse().map(card => {
+      if (viewAs === playerIndex) return hiddenCardName(variant, clueKnowledge?.get(card.deckIndex))
+      return `${cardName(variant, card)}${card.hasAnyClue ? ' clued' : ''}`
+    })
+    const current = playerIndex === currentPlayer ? ', current player' : ''
+    return `${name}'s hand${current}, newest to chop: ${cards.join(', ')}.`
+  })
+
+  return [
+    `Turn ${state.turn}, ${plural(state.clueTokens, 'clue')}, ${plural(state.strikes, 'strike')}` +
+      `${deckRemaining !== undefined ? `, ${plural(deckRemaining, 'card')} in deck` : ''}, score ${state.score}.`,
+    `Stacks ${stacks}.`,
+    trash ? `Trash: ${trash}.` : 'Trash empty.',
+    ...hands,
+  ].join(' ')
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect, useRef } from 'react'
+import { getBotReview, isAbortError } from './api'
+import { trackDuration, ANALYSIS_CANCELLED } from './progress'
+
+export const CLASSIFICATION_CONFIG = {
+  correct:    { label: 'Correct',    color: 'var(--mint)',  bg: 'rgba(6, 255, 165, 0.15)' },
+  good:       { label: 'Good',       color: 'var(--cyan)',  bg: 'rgba(58, 134, 255, 0.15)' },
+  inaccuracy: { label: 'Inaccuracy', color: 'var(--gold)',  bg: 'rgba(255, 190, 11, 0.15)' },
+  mistake:    { label: 'Mistake',    color: 'var(--flame)', bg: 'rgba(255, 159, 28, 0.15)' },
+  blunder:    { label: 'Blunder',    color: 'var(--rose)',  bg: 'rgba(255, 0, 110, 0.15)' },
+  unknown:    { label: 'Unknown',    color: 'var(--text-muted)', bg: 'rgba(72, 79, 88, 0.15)' },
+}
+
+// Fetch the bot review for a game; shared by the bot panel and the turn timeline.
+// cancel() aborts a running review, retry() fetches it again after a failure.
+export function useBotReview(gameId) {
+  const [attempt, setAttempt] = useState(0)
+  const [result, setResult] = useState({ key: null, data: null, error: null })
+  const controllerRef = useRef(null)
+  const key = gameId ? `${gameId}:${attempt}` : null
+
+  useEffect(() => {
+    if (!key) return
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    trackDuration('botReview', getBotReview(gameId, { signal: controller.signal }))
+      .then(data => setResult({ key, data, error: null }))
+      .catch(err => {
+        if (!isAbortError(err)) setResult({ key, data: null, error: err.message })
+      })
+
+    return () => controller.abort()
+  }, [gameId, key])
+
+  const cancel = () => {
+    controllerRef.current?.abort()
+    setResult({ key, data: null, error: ANALYSIS_CANCELLED })
+  }
+  const retry = () => setAttempt(a => a + 1)
+
+  const current = result.key === key ? result : null
+  return {
+    data: current?.data ?? null,
+    error: current?.error ?? null,
+    loading: Boolean(gameId) && !current,
+    cancel,
+    retry,
+  }
+}
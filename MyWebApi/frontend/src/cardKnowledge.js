@@ -0,0 +1,92 @@
+import { STANDARD_VARIANT, clueTouches, copiesOfCard } from './variants'
+
+// Per-card clue knowledge, rebuilt by replaying clues from the action log.
+//
+// states[i] is the board before action i (states[0] = initial deal), so clue i
+// touches the cards in states[i].hands[target].
+
+const RANKS = [1, 2, 3, 4, 5]
+
+const allIdentities = (variant) =>
+  variant.suits.flatMap((_, suitIndex) => RANKS.map(rank => ({ suitIndex, rank })))
+
+const emptyKnowledge = (variant) => ({
+  identities: allIdentities(variant),      // suit/rank pairs still possible from clues
+  colors: variant.suits.map((_, i) => i),  // suit indices still possible from clues
+  ranks: [...RANKS],                       // ranks still possible from clues
+  positiveColor: null,                     // clue color index of the last color clue that touched it
+  positiveRank: null,
+  negativeColors: [],
+  negativeRanks: [],
+})
+
+/**
+ * Replay every clue before `turn` (1-indexed, board shown before action `turn`)
+ * and return a Map of deckIndex -> clue knowledge for every card clued or
+ * negatively clued so far. Cards never touched by any clue map to nothing.
+ *
+ * Clues narrow the possible identities through the variant's touch rules, so
+ * a red clue leaves a card red or rainbow, and a rank clue says nothing about
+ * the rank of a pink card.
+ */
+export function buildClueKnowledge(actions, states, turn, variant = STANDARD_VARIANT) {
+  const knowledge = new Map()
+  const lastAction = Math.min(turn - 1, actions?.length || 0)
+
+  for (let i = 0; i < lastAction; i++) {
+    const action = actions[i]
+    if (action.type !== 2 && action.type !== 3) continue
+    const hand = states?.[i]?.hands?.[action.target]
+    if (!hand) continue
+
+    const isColor = action.type === 2
+    for (const card of hand) {
+      const info = knowledge.get(card.deckIndex) || emptyKnowledge(variant)
+      const touched = clueTouches(variant, action, card)
+      info.identities = info.identities.filter(id => clueTouches(variant, action, id) === touched)
+
+      if (touched) {
+        if (isColor) info.positiveColor = action.value
+        else info.positiveRank = action.value
+      } else {
+        const negatives = isColor ? info.negativeColors : info.negativeRanks
+        if (!negatives.includes(action.value)) negatives.push(action.value)
+      }
+      info.colors = info.colors.filter(suitIndex => info.identities.some(id => id.suitIndex === suitIndex))
+      info.ranks = RANKS.filter(rank => info.identities.some(id => id.rank === rank))
+      knowledge.set(card.deckIndex, info)
+    }
+  }
+
+  return knowledge
+}
+
+/**
+ * Identities a player can still attribute to one of their own cards: the clue
+ * possibilities minus identities whose every copy is visible to that player
+ * (play stacks, trash and teammates' hands).
+ */
+export function possibleIdentities(info, state, holderIndex, variant = STANDARD_VARIANT) {
+  const base = info || emptyKnowledge(variant)
+  const visible = {}
+  const see = (suitIndex, rank) => {
+    const key = `${suitIndex}:${rank}`
+    visible[key] = (visible[key] || 0) + 1
+  }
+
+  state.playStacks.forEach((height, suitIndex) => {
+    for (let rank = 1; rank <= height; rank++) see(suitIndex, rank)
+  })
+  for (const card of state.discardPile || []) see(card.suitIndex, card.rank)
+  state.hands.forEach((hand, playerIndex) => {
+    if (playerIndex === holderIndex) return
+    for (const card of hand) see(card.suitIndex, card.rank)
+  })
+
+  const fromClues = base.identities
+  const remaining = fromClues.filter(({ suitIndex, rank }) =>
+    (visible[`${suitIndex}:${rank}`] || 0) < copiesOfCard(variant.suits[suitIndex], rank)
+  )
+  // Conflicting information (e.g. a misread) can eliminate everything; fall back to clues alone
+  return remaining.length > 0 ? remaining : fromClues
+}
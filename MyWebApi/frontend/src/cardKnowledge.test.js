@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { buildClueKnowledge, possibleIdentities } from './cardKnowledge'
+
+// Two players, standard 5 suits (R Y G B P). Cards are { deckIndex, suitIndex, rank }.
+const card = (deckIndex, suitIndex, rank) => ({ deckIndex, suitIndex, rank })
+const aliceHand = [card(0, 0, 1), card(1, 1, 2), card(2, 0, 5)]
+const bobHand = [card(3, 2, 1), card(4, 3, 3), card(5, 4, 1)]
+const board = (overrides = {}) => ({
+  playStacks: [0, 0, 0, 0, 0],
+  discardPile: [],
+  hands: [aliceHand, bobHand],
+  ...overrides,
+})
+
+const RED = { type: 2, target: 0, value: 0 }
+const FIVE = { type: 3, target: 0, value: 5 }
+const BOB_DISCARD = { type: 1, target: 3, value: 0 }
+const actions = [BOB_DISCARD, RED, BOB_DISCARD, FIVE]
+const states = [board(), board(), board(), board()]
+
+describe('buildClueKnowledge', () => {
+  it('only replays actions before the turn', () => {
+    expect(buildClueKnowledge(actions, states, 1).size).toBe(0)
+    // Turn 2 is the board before the red clue
+    expect(buildClueKnowledge(actions, states, 2).size).toBe(0)
+    expect(buildClueKnowledge(actions, states, 3).size).toBe(3)
+  })
+
+  it('narrows touched cards to the clued color', () => {
+    const red1 = buildClueKnowledge(actions, states, 3).get(0)
+    expect(red1.colors).toEqual([0])
+    expect(red1.ranks).toEqual([1, 2, 3, 4, 5])
+    expect(red1.positiveColor).toBe(0)
+    expect(red1.negativeColors).toEqual([])
+  })
+
+  it('records negative information on untouched cards', () => {
+    const yellow2 = buildClueKnowledge(actions, states, 3).get(1)
+    expect(yellow2.colors).toEqual([1, 2, 3, 4])
+    expect(yellow2.positiveColor).toBeNull()
+    expect(yellow2.negativeColors).toEqual([0])
+  })
+
+  it('combines color and rank clues', () => {
+    const knowledge = buildClueKnowledge(actions, states, 5)
+    expect(knowledge.get(2).identities).toEqual([{ suitIndex: 0, rank: 5 }])
+    expect(knowledge.get(0).identities).toEqual([1, 2, 3, 4].map(rank => ({ suitIndex: 0, rank })))
+    expect(knowledge.get(1).negativeRanks).toEqual([5])
+  })
+
+  it('leaves cards in other hands alone', () => {
+    expect(buildClueKnowledge(actions, states, 5).has(3)).toBe(false)
+  })
+
+  it('stops at the end of the action log', () => {
+    expect(buildClueKnowledge(actions, states, 99).get(2).identities).toHaveLength(1)
+  })
+})
+
+describe('possibleIdentities', () => {
+  it('keeps every identity of an unclued card with nothing visible', () => {
+    const empty = board({ hands: [aliceHand, []] })
+    expect(possibleIdentities(null, empty, 0)).toHaveLength(25)
+  })
+
+  it('drops identities whose every copy is visible', () => {
+    // Blue 5 has one copy; once it's in the trash the holder can rule it out
+    const state = board({ hands: [aliceHand, []], discardPile: [card(9, 3, 5)] })
+    const left = possibleIdentities(null, state, 0)
+    expect(left).toHaveLength(24)
+    expect(left).not.toContainEqual({ suitIndex: 3, rank: 5 })
+  })
+
+  it('counts stacks, trash and teammates but not the holder\'s own hand', () => {
+    // Green 1: one on the stack, one in the trash, one in Bob's hand = all three copies
+    const state = board({ playStacks: [0, 0, 1, 0, 0], discardPile: [card(9, 2, 1)] })
+    expect(possibleIdentities(null, state, 0)).not.toContainEqual({ suitIndex: 2, rank: 1 })
+    // Seen from Bob, his own Green 1 doesn't count
+    expect(possibleIdentities(null, state, 1)).toContainEqual({ suitIndex: 2, rank: 1 })
+  })
+
+  it('falls back to clue information when visibility rules out everything', () => {
+    const info = buildClueKnowledge(actions, states, 5).get(2)
+    const state = board({ discardPile: [card(9, 0, 5)] })
+    expect(possibleIdentities(info, state, 0)).toEqual([{ suitIndex: 0, rank: 5 }])
+  })
+})
@@ -0,0 +1,69 @@
+import { getPlaystyle, isAbortError } from './api'
+
+// Loading, ranking and sorting for the multi-player playstyle comparison
+
+// Each profile is a 30-60s analysis on the backend, so only a few run at once
+const CONCURRENT_PROFILES = 2
+
+// Comma-separated names, trimmed, without blanks or case-insensitive repeats
+export const parsePlayers = (text) => {
+  const seen = new Set()
+  return text.split(',').map(n => n.trim()).filter(name => {
+    const key = name.toLowerCase()
+    if (!name || seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Fetch the playstyle profiles of `names`, a few at a time, reporting each as it
+ * settles. Aborting rejects with the abort error and starts no further requests.
+ * @param {(name: string, result: { status: 'done', profile: object } | { status: 'error', error: string }) => void} onResult
+ */
+export async function loadComparisonProfiles(names, { signal, onResult }) {
+  let next = 0
+
+  const worker = async () => {
+    while (next < names.length) {
+      const name = names[next++]
+      try {
+        const profile = await getPlaystyle(name, { signal })
+        onResult(name, { status: 'done', profile })
+      } catch (err) {
+        if (isAbortError(err)) throw err
+        onResult(name, { status: 'error', error: err.message })
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENT_PROFILES, names.length) }, worker))
+}
+
+// Lowest and highest value in a column, for rates where that means best/worst
+export function columnExtremes(rows, rate) {
+  if (!rate.better) return null
+  const values = rows.map(r => r.profile.rates?.[rate.key]).filter(v => typeof v === 'number')
+  if (values.length < 2) return null
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  if (min === max) return null
+  return rate.better === 'lower' ? { best: min, worst: max } : { best: max, worst: min }
+}
+
+// Rows ({ name, profile }) ordered by `sort.key`: 'player', 'games' or a rate key.
+// Missing values sort as the lowest.
+export function sortComparisonRows(rows, sort) {
+  const value = (row) => {
+    if (sort.key === 'player') return row.name.toLowerCase()
+    if (sort.key === 'games') return row.profile.gamesAnalyzed ?? -1
+    return row.profile.rates?.[sort.key] ?? -Infinity
+  }
+  const dir = sort.dir === 'asc' ? 1 : -1
+  return [...rows].sort((a, b) => (value(a) > value(b) ? dir : value(a) < value(b) ? -dir : 0))
+}
+
+// Clicking the sorted column flips it; a new column starts A-Z for names, highest first otherwise
+export const nextSort = (prev, key) => prev.key === key
+  ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' }
+  : { key, dir: key === 'player' ? 'asc' : 'desc' }
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { getPlaystyle, ApiError } from './api'
+import { parsePlayers, loadComparisonProfiles, columnExtremes, sortComparisonRows, nextSort } from './comparison'
+
+vi.mock('./api', async (importOriginal) => ({ ...(await importOriginal()), getPlaystyle: vi.fn() }))
+
+const row = (name, gamesAnalyzed, rates) => ({ name, profile: { gamesAnalyzed, rates } })
+
+describe('parsePlayers', () => {
+  it('trims names and drops blanks and repeats, ignoring case', () => {
+    expect(parsePlayers(' alice, Bob,, ALICE ,carol ')).toEqual(['alice', 'Bob', 'carol'])
+  })
+})
+
+describe('loadComparisonProfiles', () => {
+  // Resolvable stand-in for each request, in the order they were made
+  let pending
+  beforeEach(() => {
+    pending = []
+    getPlaystyle.mockReset()
+    getPlaystyle.mockImplementation((name, { signal }) => new Promise((resolve, reject) => {
+      pending.push({ name, resolve, reject })
+      signal?.addEventListener('abort', () => reject(new ApiError('Request cancelled', { kind: 'aborted' })))
+    }))
+  })
+  const settle = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  it('runs two requests at a time and reports each result', async () => {
+    const results = []
+    const done = loadComparisonProfiles(['a', 'b', 'c', 'd'], { onResult: (name, r) => results.push([name, r]) })
+    await settle()
+    expect(pending.map(p => p.name)).toEqual(['a', 'b'])
+
+    pending[1].resolve({ gamesAnalyzed: 5 })
+    await settle()
+    expect(pending.map(p => p.name)).toEqual(['a', 'b', 'c'])
+
+    pending[0].reject(new Error('Backend down'))
+    pending[2].resolve({ gamesAnalyzed: 7 })
+    await settle()
+    pending[3].resolve({ gamesAnalyzed: 9 })
+    await done
+
+    expect(results).toEqual([
+      ['b', { status: 'done', profile: { gamesAnalyzed: 5 } }],
+      ['a', { status: 'error', error: 'Backend down' }],
+      ['c', { status: 'done', profile: { gamesAnalyzed: 7 } }],
+      ['d', { status: 'done', profile: { gamesAnalyzed: 9 } }],
+    ])
+  })
+
+  it('stops starting requests once aborted', async () => {
+    const controller = new AbortController()
+    const onResult = vi.fn()
+    const done = loadComparisonProfiles(['a', 'b', 'c'], { signal: controller.signal, onResult })
+    await settle()
+    controller.abort()
+    await expect(done).rejects.toMatchObject({ kind: 'aborted' })
+    await settle()
+    expect(pending.map(p => p.name)).toEqual(['a', 'b'])
+    expect(onResult).not.toHaveBeenCalled()
+  })
+})
+
+describe('columnExtremes', () => {
+  const rows = [row('a', 10, { errorRate: 0.1 }), row('b', 10, { errorRate: 0.3 }), row('c', 10, {})]
+
+  it('finds the best and worst value for rates with a better direction', () => {
+    expect(columnExtremes(rows, { key: 'errorRate', better: 'lower' })).toEqual({ best: 0.1, worst: 0.3 })
+    expect(columnExtremes(rows, { key: 'errorRate', better: 'higher' })).toEqual({ best: 0.3, worst: 0.1 })
+  })
+
+  it('has nothing to mark for style rates, ties or a single value', () => {
+    expect(columnExtremes(rows, { key: 'errorRate', better: null })).toBeNull()
+    expect(columnExtremes([row('a', 1, { x: 1 }), row('b', 1, { x: 1 })], { key: 'x', better: 'lower' })).toBeNull()
+    expect(columnExtremes(rows.slice(1), { key: 'errorRate', better: 'lower' })).toBeNull()
+  })
+})
+
+describe('sortComparisonRows', () => {
+  const rows = [row('bob', 30, { playRate: 0.2 }), row('Alice', 50, {}), row('carol', 10, { playRate: 0.4 })]
+  const names = (sort) => sortComparisonRows(rows, sort).map(r => r.name)
+
+  it('sorts by name ignoring case, games or a rate', () => {
+    expect(names({ key: 'player', dir: 'asc' })).toEqual(['Alice', 'bob', 'carol'])
+    expect(names({ key: 'games', dir: 'desc' })).toEqual(['Alice', 'bob', 'carol'])
+    expect(names({ key: 'playRate', dir: 'desc' })).toEqual(['carol', 'bob', 'Alice'])
+  })
+
+  it('sorts missing rates as the lowest', () => {
+    expect(names({ key: 'playRate', dir: 'asc' })).toEqual(['Alice', 'bob', 'carol'])
+  })
+
+  it('does not reorder the input', () => {
+    sortComparisonRows(rows, { key: 'player', dir: 'asc' })
+    expect(rows.map(r => r.name)).toEqual(['bob', 'Alice', 'carol'])
+  })
+})
+
+describe('nextSort', () => {
+  it('flips the sorted column and starts new columns in their natural order', () => {
+    expect(nextSort({ key: 'player', dir: 'asc' }, 'player')).toEqual({ key: 'player', dir: 'desc' })
+    expect(nextSort({ key: 'player', dir: 'asc' }, 'playRate')).toEqual({ key: 'playRate', dir: 'desc' })
+    expect(nextSort({ key: 'playRate', dir: 'desc' }, 'player')).toEqual({ key: 'player', dir: 'asc' })
+  })
+})
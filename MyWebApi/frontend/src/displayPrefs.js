@@ -0,0 +1,60 @@
+import { useSyncExternalStore } from 'react'
+
+// Display preferences for the board renderers, kept in localStorage:
+//   { palette: 'standard' | 'deuteranopia' | 'protanopia', glyphs: bool, patterns: bool }
+//
+// They're applied as attributes on <html>; the suit colors, glyphs and pattern
+// overlays are all CSS (see "Display Preferences" in App.css), so switching
+// doesn't re-render any board.
+
+const STORAGE_KEY = 'hanabi-analytics:display'
+const CHANGE_EVENT = 'hanabi:display-prefs'
+
+export const PALETTES = [
+  { value: 'standard', label: 'Standard colors' },
+  { value: 'deuteranopia', label: 'Deuteranopia-safe', desc: 'Red and green told apart by brightness and hue (green-weak)' },
+  { value: 'protanopia', label: 'Protanopia-safe', desc: 'Reds shifted to orange so they don\'t fade to dark (red-weak)' },
+]
+
+export const DEFAULT_DISPLAY_PREFS = { palette: 'standard', glyphs: false, patterns: false }
+
+function readPrefs() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    const prefs = { ...DEFAULT_DISPLAY_PREFS, ...stored }
+    if (!PALETTES.some(p => p.value === prefs.palette)) prefs.palette = DEFAULT_DISPLAY_PREFS.palette
+    return prefs
+  } catch {
+    return DEFAULT_DISPLAY_PREFS
+  }
+}
+
+// useSyncExternalStore needs the same object back until something changes
+let current = readPrefs()
+
+export function applyDisplayPrefs(prefs = current) {
+  const root = document.documentElement
+  root.dataset.palette = prefs.palette
+  root.toggleAttribute('data-suit-glyphs', prefs.glyphs)
+  root.toggleAttribute('data-suit-patterns', prefs.patterns)
+}
+
+export function setDisplayPrefs(changes) {
+  current = { ...current, ...changes }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(current))
+  } catch {
+    // Storage full or disabled: the choice lasts until the page is closed
+  }
+  applyDisplayPrefs(current)
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+function subscribe(callback) {
+  window.addEventListener(CHANGE_EVENT, callback)
+  return () => window.removeEventListener(CHANGE_EVENT, callback)
+}
+
+export function useDisplayPrefs() {
+  return useSyncExternalStore(subscribe, () => current)
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { readFileSync } from 'node:fs'
+
+const STORAGE_KEY = 'hanabi-analytics:display'
+
+// displayPrefs.js reads storage on load, so each test loads a fresh copy
+// against an in-memory localStorage and a bare <html> element
+let storage
+let root
+const loadPrefs = async (stored) => {
+  if (stored !== undefined) storage.set(STORAGE_KEY, typeof stored === 'string' ? stored : JSON.stringify(stored))
+  vi.resetModules()
+  return import('./displayPrefs')
+}
+
+beforeEach(() => {
+  storage = new Map()
+  root = { dataset: {}, attributes: new Set() }
+  root.toggleAttribute = (name, force) => (force ? root.attributes.add(name) : root.attributes.delete(name))
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+  })
+  vi.stubGlobal('document', { documentElement: root })
+  vi.stubGlobal('window', new EventTarget())
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('stored preferences', () => {
+  it('start from the defaults', async () => {
+    const { applyDisplayPrefs, DEFAULT_DISPLAY_PREFS } = await loadPrefs()
+    applyDisplayPrefs()
+    expect(DEFAULT_DISPLAY_PREFS).toEqual({ palette: 'standard', glyphs: false, patterns: false })
+    expect(root.dataset.palette).toBe('standard')
+    expect([...root.attributes]).toEqual([])
+  })
+
+  it('are applied as attributes on <html>', async () => {
+    const { applyDisplayPrefs } = await loadPrefs({ palette: 'protanopia', patterns: true })
+    applyDisplayPrefs()
+    expect(root.dataset.palette).toBe('protanopia')
+    expect([...root.attributes]).toEqual(['data-suit-patterns'])
+  })
+
+  it('fall back to the standard palette for one that no longer exists', async () => {
+    const { applyDisplayPrefs } = await loadPrefs({ palette: 'tritanopia', glyphs: true })
+    applyDisplayPrefs()
+    expect(root.dataset.palette).toBe('standard')
+    expect([...root.attributes]).toEqual(['data-suit-glyphs'])
+  })
+
+  it('fall back to the defaults when unreadable', async () => {
+    const { applyDisplayPrefs } = await loadPrefs('{not json')
+    applyDisplayPrefs()
+    expect(root.dataset.palette).toBe('standard')
+  })
+})
+
+describe('setDisplayPrefs', () => {
+  it('merges, saves, applies and announces the change', async () => {
+    const { setDisplayPrefs } = await loadPrefs({ glyphs: true })
+    const listener = vi.fn()
+    window.addEventListener('hanabi:display-prefs', listener)
+
+    setDisplayPrefs({ palette: 'deuteranopia' })
+    expect(JSON.parse(storage.get(STORAGE_KEY))).toEqual({ palette: 'deuteranopia', glyphs: true, patterns: false })
+    expect(root.dataset.palette).toBe('deuteranopia')
+    expect([...root.attributes]).toEqual(['data-suit-glyphs'])
+    expect(listener).toHaveBeenCalledTimes(1)
+
+    setDisplayPrefs({ glyphs: false })
+    expect([...root.attributes]).toEqual([])
+  })
+
+  it('still applies the choice when storage is full', async () => {
+    const { setDisplayPrefs } = await loadPrefs()
+    localStorage.setItem = () => { throw new Error('QuotaExceededError') }
+    setDisplayPrefs({ palette: 'protanopia' })
+    expect(root.dataset.palette).toBe('protanopia')
+  })
+})
+
+describe('palettes', () => {
+  const css = readFileSync(new URL('./App.css', import.meta.url), 'utf8')
+  // --suit-* overrides in the palette's :root block
+  const overrides = (palette) => {
+    const block = css.match(new RegExp(`:root\\[data-palette='${palette}'\\] \\{([^}]*)\\}`))
+    return block && Object.fromEntries([...block[1].matchAll(/(--suit-[\w-]+):\s*([^;]+);/g)].map(m => [m[1], m[2].trim()]))
+  }
+
+  it('have a stylesheet block for every colorblind palette, overriding the same suits', async () => {
+    const { PALETTES } = await loadPrefs()
+    const palettes = PALETTES.filter(p => p.value !== 'standard').map(p => overrides(p.value))
+    expect(palettes.every(Boolean)).toBe(true)
+    const [first, ...rest] = palettes.map(p => Object.keys(p).sort())
+    expect(first).toEqual(expect.arrayContaining(['--suit-red', '--suit-yellow', '--suit-green', '--suit-blue', '--suit-purple']))
+    for (const suits of rest) expect(suits).toEqual(first)
+  })
+
+  it('give every suit its own color', async () => {
+    const { PALETTES } = await loadPrefs()
+    for (const { value } of PALETTES.filter(p => p.value !== 'standard')) {
+      const colors = Object.values(overrides(value)).map(c => c.toLowerCase())
+      expect(new Set(colors).size).toBe(colors.length)
+    }
+  })
+})
@@ -0,0 +1,147 @@
+import { getScoreTier, getGamePlayers } from './gameFilters'
+import { PLAYSTYLE_DIMENSIONS } from './playstyle'
+
+// CSV/JSON export of dashboard data.
+//
+// Column keys are a stable contract for spreadsheets built on top of these
+// files: add new columns at the end, never rename or reorder existing ones.
+// CSV files are just the column keys and the rows, so spreadsheets read them
+// as-is; JSON files also document the columns and the export settings.
+
+const DIMENSION_LABELS = Object.fromEntries(PLAYSTYLE_DIMENSIONS.map(d => [d.key, d.axis]))
+
+export const EXPORT_DATASETS = {
+  games: {
+    label: 'Games',
+    description: 'Game history rows matching the current filters, newest first',
+    columns: [
+      { key: 'game_id', description: 'hanab.live game ID', value: g => g.id },
+      { key: 'date_time', description: 'Game end time as reported by hanab.live', value: g => g.dateTime },
+      { key: 'num_players', description: 'Number of players', value: g => g.numPlayers },
+      { key: 'score', description: 'Final score (0 = strikeout)', value: g => g.score },
+      { key: 'score_tier', description: 'perfect | excellent | good | average | low', value: g => getScoreTier(g.score) },
+      { key: 'players', description: 'Player names separated by "; "', value: g => getGamePlayers(g).join('; ') },
+      { key: 'seed', description: 'Deal seed', value: g => g.seed },
+    ],
+  },
+  criticalTrend: {
+    label: 'Critical trend',
+    description: 'Critical mistakes per analyzed game, oldest first',
+    columns: [
+      { key: 'game_index', description: '1-based position in the series', value: d => d.game },
+      { key: 'game_id', description: 'hanab.live game ID', value: d => d.gameId },
+      { key: 'critical_count', description: 'Critical violations in the game', value: d => d.criticals },
+      { key: 'rolling_avg', description: 'Rolling average of critical_count over the trailing window', value: d => d.rollingAvg },
+      { key: 'score', description: 'Final score', value: d => d.score },
+    ],
+  },
+  partners: {
+    label: 'Partners',
+    description: 'Per-partner results over the filtered games, most games first',
+    columns: [
+      { key: 'partner', description: 'Partner name', value: p => p.name },
+      { key: 'games', description: 'Games played together', value: p => p.games },
+      { key: 'avg_score', description: 'Average score excluding strikeouts (blank if none)', value: p => numberOrBlank(p.avgScore) },
+      { key: 'strikeout_rate_pct', description: 'Percentage of games scoring 0', value: p => Number(p.strikeoutRate) },
+      { key: 'win_rate_pct', description: 'Percentage of games scoring 25', value: p => Number(p.winRate) },
+      { key: 'best_score', description: 'Best score together', value: p => p.bestScore },
+      { key: 'avg_critical_mistakes', description: 'Average critical mistakes in analyzed games together (blank if none)', value: p => numberOrBlank(p.avgMistakes) },
+    ],
+  },
+  playstyle: {
+    label: 'Playstyle',
+    description: 'Playstyle rates and radar dimensions, one row per player and metric',
+    columns: [
+      { key: 'player', description: 'Player name', value: r => r.player },
+      { key: 'kind', description: 'rate (raw per-action/per-game rate) | dimension (0-100 radar score)', value: r => r.kind },
+      { key: 'metric', description: 'API field name, e.g. playRate or accuracy', value: r => r.metric },
+      { key: 'label', description: 'Radar axis label (dimensions only)', value: r => r.label },
+      { key: 'value', description: 'Metric value', value: r => r.value },
+      { key: 'games_analyzed', description: 'Games the profile was computed from', value: r => r.gamesAnalyzed },
+    ],
+  },
+  scoreDistribution: {
+    label: 'Score distribution',
+    description: 'Number of filtered games at each non-zero score',
+    columns: [
+      { key: 'score', description: 'Final score', value: d => d.score },
+      { key: 'games', description: 'Number of games', value: d => d.count },
+    ],
+  },
+}
+
+function numberOrBlank(value) {
+  const n = Number(value)
+  return Number.isFinite(n) ? n : ''
+}
+
+// Flatten playstyle responses into long-format rows for the playstyle dataset
+export function playstyleRows(profiles) {
+  const rows = []
+  for (const { player, profile } of profiles) {
+    if (!profile) continue
+    Object.entries(profile.rates || {}).forEach(([metric, value]) => {
+      rows.push({ player, kind: 'rate', metric, label: '', value, gamesAnalyzed: profile.gamesAnalyzed })
+    })
+    Object.entries(profile.dimensions || {}).forEach(([metric, value]) => {
+      rows.push({ player, kind: 'dimension', metric, label: DIMENSION_LABELS[metric] || '', value, gamesAnalyzed: profile.gamesAnalyzed })
+    })
+  }
+  return rows
+}
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function toCsv(datasetKey, rows) {
+  const { columns } = EXPORT_DATASETS[datasetKey]
+  const lines = [
+    columns.map(c => c.key).join(','),
+    ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(',')),
+  ]
+  return lines.join('\n') + '\n'
+}
+
+export function toJson(datasetKey, rows, meta) {
+  const dataset = EXPORT_DATASETS[datasetKey]
+  return JSON.stringify({
+    dataset: datasetKey,
+    description: dataset.description,
+    ...meta,
+    columns: Object.fromEntries(dataset.columns.map(c => [c.key, c.description])),
+    rows: rows.map(row => Object.fromEntries(dataset.columns.map(c => [c.key, c.value(row) ?? null]))),
+  }, null, 2)
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Revoke after the click has been handled; some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+// e.g. hanabi-alice-games-2024-05-01.csv
+export function exportFilename(player, name, extension, date = new Date()) {
+  const safePlayer = String(player || 'export').replace(/[^\w-]+/g, '_')
+  return `hanabi-${safePlayer}-${name}-${date.toISOString().slice(0, 10)}.${extension}`
+}
+
+export function exportDataset(datasetKey, format, rows, { player, ...meta }) {
+  const now = new Date()
+  const filename = exportFilename(player, datasetKey, format, now)
+  if (format === 'csv') {
+    downloadFile(filename, toCsv(datasetKey, rows), 'text/csv;charset=utf-8')
+  } else {
+    const fullMeta = { player, generated: now.toISOString(), row_count: rows.length, ...meta }
+    downloadFile(filename, toJson(datasetKey, rows, fullMeta), 'application/json')
+  }
+}
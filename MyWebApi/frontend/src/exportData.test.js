@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import { EXPORT_DATASETS, toCsv, toJson, playstyleRows, exportFilename } from './exportData'
+
+const game = {
+  id: 42,
+  dateTime: '2024-05-01T10:00:00Z',
+  numPlayers: 3,
+  score: 23,
+  users: 'alice, Bob "the bot", carol',
+  seed: 'p3v0s1,x',
+}
+
+describe('toCsv', () => {
+  it('is the column keys, then one line per row', () => {
+    const [header, row, ...rest] = toCsv('games', [game]).split('\n')
+    expect(header).toBe('game_id,date_time,num_players,score,score_tier,players,seed')
+    expect(row).toBe('42,2024-05-01T10:00:00Z,3,23,excellent,"alice; Bob ""the bot""; carol","p3v0s1,x"')
+    expect(rest).toEqual([''])
+  })
+
+  it('has only the header line without rows', () => {
+    expect(toCsv('games', [])).toBe('game_id,date_time,num_players,score,score_tier,players,seed\n')
+  })
+
+  it('quotes cells with line breaks and leaves missing values blank', () => {
+    const csv = toCsv('scoreDistribution', [{ score: 'a\nb', count: null }, { score: 'c\rd', count: undefined }])
+    expect(csv).toBe('score,games\n"a\nb",\n"c\rd",\n')
+  })
+})
+
+describe('toJson', () => {
+  it('keys rows by column and keeps meta at the top level', () => {
+    const json = JSON.parse(toJson('partners', [{
+      name: 'Bob', games: 3, avgScore: 'n/a', strikeoutRate: '33.3', winRate: '0', bestScore: 22, avgMistakes: undefined,
+    }], { player: 'alice', filters: { tier: 'good' } }))
+    expect(json.dataset).toBe('partners')
+    expect(json.player).toBe('alice')
+    expect(json.filters).toEqual({ tier: 'good' })
+    expect(Object.keys(json.columns)).toEqual(EXPORT_DATASETS.partners.columns.map(c => c.key))
+    expect(json.rows).toEqual([{
+      partner: 'Bob', games: 3, avg_score: '', strikeout_rate_pct: 33.3, win_rate_pct: 0, best_score: 22, avg_critical_mistakes: '',
+    }])
+  })
+})
+
+describe('playstyleRows', () => {
+  it('flattens rates and dimensions and skips missing profiles', () => {
+    const rows = playstyleRows([
+      { player: 'alice', profile: { gamesAnalyzed: 50, rates: { playRate: 0.4 }, dimensions: { accuracy: 80 } } },
+      { player: 'bob', profile: null },
+    ])
+    expect(rows).toHaveLength(2)
+    expect(rows[0]).toEqual({ player: 'alice', kind: 'rate', metric: 'playRate', label: '', value: 0.4, gamesAnalyzed: 50 })
+    expect(rows[1]).toMatchObject({ kind: 'dimension', metric: 'accuracy', value: 80 })
+  })
+})
+
+describe('exportFilename', () => {
+  it('makes the player name filesystem-safe', () => {
+    expect(exportFilename('Jörg B/2', 'games', 'csv', new Date('2024-05-01T12:00:00Z')))
+      .toBe('hanabi-J_rg_B_2-games-2024-05-01.csv')
+    expect(exportFilename(null, 'partners', 'json', new Date('2024-05-01T12:00:00Z')))
+      .toBe('hanabi-export-partners-2024-05-01.json')
+  })
+})
@@ -0,0 +1,136 @@
+// Filtering and sorting over loaded game history rows
+
+// Score tier classification
+export const getScoreTier = (score) => {
+  if (score === 25) return 'perfect'
+  if (score >= 22) return 'excellent'
+  if (score >= 18) return 'good'
+  if (score >= 12) return 'average'
+  return 'low'
+}
+
+export const SCORE_TIERS = [
+  { value: 'perfect', label: 'Perfect (25)' },
+  { value: 'excellent', label: 'Excellent (22-24)' },
+  { value: 'good', label: 'Good (18-21)' },
+  { value: 'average', label: 'Average (12-17)' },
+  { value: 'low', label: 'Low (0-11)' },
+]
+
+// Player names from the comma-separated `users` field
+export const getGamePlayers = (game) =>
+  game.users.split(', ').map(p => p.trim()).filter(Boolean)
+
+export const DEFAULT_FILTERS = {
+  playerCounts: [],   // empty = any
+  minScore: '',
+  maxScore: '',
+  tier: '',
+  dateFrom: '',       // yyyy-mm-dd, inclusive
+  dateTo: '',         // yyyy-mm-dd, inclusive
+  partners: '',       // comma-separated names, all must be in the game
+  seed: '',
+  outcome: 'all',     // all | strikeouts | perfects
+}
+
+export const SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest first' },
+  { value: 'oldest', label: 'Oldest first' },
+  { value: 'score-desc', label: 'Highest score' },
+  { value: 'score-asc', label: 'Lowest score' },
+  { value: 'players', label: 'Player count' },
+]
+
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(key =>
+    Array.isArray(DEFAULT_FILTERS[key])
+      ? filters[key].length > 0
+      : filters[key] !== DEFAULT_FILTERS[key]
+  )
+
+// Names in the `partners` filter, as typed
+export const partnerList = (text) =>
+  text.split(',').map(n => n.trim()).filter(Boolean)
+
+// `partners` filter text with `name` added, unless it's already there (any case)
+export function addPartner(text, name) {
+  const names = partnerList(text)
+  const trimmed = name.trim()
+  if (!trimmed || names.some(n => n.toLowerCase() === trimmed.toLowerCase())) return names.join(', ')
+  return [...names, trimmed].join(', ')
+}
+
+export const removePartner = (text, name) =>
+  partnerList(text).filter(n => n !== name).join(', ')
+
+// Short labels for the active filters, for places that show filtered stats
+// away from the filter bar (the report card)
+export function describeFilters(filters) {
+  const labels = []
+  if (filters.playerCounts.length > 0) {
+    labels.push(`${[...filters.playerCounts].sort((a, b) => a - b).join('/')} players`)
+  }
+  if (filters.minScore !== '' && filters.maxScore !== '') labels.push(`score ${filters.minScore}-${filters.maxScore}`)
+  else if (filters.minScore !== '') labels.push(`score ≥ ${filters.minScore}`)
+  else if (filters.maxScore !== '') labels.push(`score ≤ ${filters.maxScore}`)
+  if (filters.tier) labels.push(SCORE_TIERS.find(t => t.value === filters.tier)?.label ?? filters.tier)
+  if (filters.outcome === 'strikeouts') labels.push('strikeouts only')
+  if (filters.outcome === 'perfects') labels.push('perfect games only')
+  if (filters.dateFrom && filters.dateTo) labels.push(`${filters.dateFrom} to ${filters.dateTo}`)
+  else if (filters.dateFrom) labels.push(`since ${filters.dateFrom}`)
+  else if (filters.dateTo) labels.push(`until ${filters.dateTo}`)
+  const partners = partnerList(filters.partners)
+  if (partners.length > 0) labels.push(`with ${partners.join(', ')}`)
+  if (filters.seed.trim()) labels.push(`seed "${filters.seed.trim()}"`)
+  return labels
+}
+
+const parseNames = (text) => partnerList(text).map(n => n.toLowerCase())
+
+const startOfDay = (dateString) => new Date(`${dateString}T00:00:00`).getTime()
+const endOfDay = (dateString) => new Date(`${dateString}T23:59:59.999`).getTime()
+
+export function applyGameFilters(games, filters) {
+  const partners = parseNames(filters.partners)
+  const seed = filters.seed.trim().toLowerCase()
+  const minScore = filters.minScore === '' ? null : Number(filters.minScore)
+  const maxScore = filters.maxScore === '' ? null : Number(filters.maxScore)
+  const from = filters.dateFrom ? startOfDay(filters.dateFrom) : null
+  const to = filters.dateTo ? endOfDay(filters.dateTo) : null
+
+  return games.filter(game => {
+    if (filters.playerCounts.length > 0 && !filters.playerCounts.includes(game.numPlayers)) return false
+    if (minScore !== null && game.score < minScore) return false
+    if (maxScore !== null && game.score > maxScore) return false
+    if (filters.tier && getScoreTier(game.score) !== filters.tier) return false
+    if (filters.outcome === 'strikeouts' && game.score !== 0) return false
+    if (filters.outcome === 'perfects' && game.score !== 25) return false
+    if (seed && !(game.seed || '').toLowerCase().includes(seed)) return false
+
+    if (from !== null || to !== null) {
+      const time = new Date(game.dateTime).getTime()
+      if (Number.isNaN(time)) return false
+      if (from !== null && time < from) return false
+      if (to !== null && time > to) return false
+    }
+
+    if (partners.length > 0) {
+      const players = getGamePlayers(game).map(p => p.toLowerCase())
+      if (!partners.every(name => players.includes(name))) return false
+    }
+
+    return true
+  })
+}
+
+export function sortGames(games, sort) {
+  const byDate = (a, b) => new Date(a.dateTime) - new Date(b.dateTime)
+  switch (sort) {
+    case 'oldest': return [...games].sort(byDate)
+    case 'score-desc': return [...games].sort((a, b) => b.score - a.score || byDate(b, a))
+    case 'score-asc': return [...games].sort((a, b) => a.score - b.score || byDate(b, a))
+    case 'players': return [...games].sort((a, b) => a.numPlayers - b.numPlayers || byDate(b, a))
+    // History arrives newest first
+    default: return games
+  }
+}
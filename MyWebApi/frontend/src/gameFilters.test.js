@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest'
+import {
+  getScoreTier, getGamePlayers, DEFAULT_FILTERS, hasActiveFilters, applyGameFilters, sortGames,
+  partnerList, addPartner, removePartner, describeFilters,
+} from './gameFilters'
+
+const game = (id, overrides = {}) => ({
+  id,
+  score: 20,
+  numPlayers: 3,
+  users: 'alice, Bob, carol',
+  seed: 'p3v0s12',
+  dateTime: '2024-03-10T12:00:00',
+  ...overrides,
+})
+
+const filtered = (games, changes) => applyGameFilters(games, { ...DEFAULT_FILTERS, ...changes }).map(g => g.id)
+
+describe('getScoreTier', () => {
+  it('puts tier boundaries in the higher tier', () => {
+    expect([25, 24, 22, 21, 18, 17, 12, 11, 0].map(getScoreTier)).toEqual([
+      'perfect', 'excellent', 'excellent', 'good', 'good', 'average', 'average', 'low', 'low',
+    ])
+  })
+})
+
+describe('getGamePlayers', () => {
+  it('splits the users field', () => {
+    expect(getGamePlayers(game(1))).toEqual(['alice', 'Bob', 'carol'])
+  })
+})
+
+describe('hasActiveFilters', () => {
+  it('is false for the defaults and true for any change', () => {
+    expect(hasActiveFilters(DEFAULT_FILTERS)).toBe(false)
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, playerCounts: [2] })).toBe(true)
+    expect(hasActiveFilters({ ...DEFAULT_FILTERS, outcome: 'perfects' })).toBe(true)
+  })
+})
+
+describe('applyGameFilters', () => {
+  const games = [
+    game(1, { score: 25, numPlayers: 2 }),
+    game(2, { score: 0, users: 'alice, dave', seed: 'p2v0s99' }),
+    game(3, { score: 18, dateTime: '2024-03-11T00:00:00' }),
+    game(4, { score: 11, dateTime: 'not a date' }),
+  ]
+
+  it('keeps everything with the defaults', () => {
+    expect(filtered(games, {})).toEqual([1, 2, 3, 4])
+  })
+
+  it('filters by player count, score range and tier', () => {
+    expect(filtered(games, { playerCounts: [2] })).toEqual([1])
+    expect(filtered(games, { minScore: '11', maxScore: '20' })).toEqual([3, 4])
+    expect(filtered(games, { tier: 'good' })).toEqual([3])
+  })
+
+  it('filters by outcome', () => {
+    expect(filtered(games, { outcome: 'strikeouts' })).toEqual([2])
+    expect(filtered(games, { outcome: 'perfects' })).toEqual([1])
+  })
+
+  it('treats date bounds as whole days and drops undated games', () => {
+    expect(filtered(games, { dateFrom: '2024-03-10', dateTo: '2024-03-10' })).toEqual([1, 2])
+    expect(filtered(games, { dateFrom: '2024-03-11' })).toEqual([3])
+  })
+
+  it('requires every partner, ignoring case and spacing', () => {
+    expect(filtered(games, { partners: 'BOB' })).toEqual([1, 3, 4])
+    expect(filtered(games, { partners: ' alice ,  dave ' })).toEqual([2])
+    expect(filtered(games, { partners: 'bob, dave' })).toEqual([])
+  })
+
+  it('matches seeds by substring', () => {
+    expect(filtered(games, { seed: 'S99' })).toEqual([2])
+  })
+})
+
+describe('sortGames', () => {
+  const games = [
+    game(1, { score: 10, dateTime: '2024-03-12T00:00:00' }),
+    game(2, { score: 20, dateTime: '2024-03-11T00:00:00', numPlayers: 2 }),
+    game(3, { score: 20, dateTime: '2024-03-10T00:00:00' }),
+  ]
+  const ids = (sort) => sortGames(games, sort).map(g => g.id)
+
+  it('sorts by date, score and player count, newest first on ties', () => {
+    expect(ids('newest')).toEqual([1, 2, 3])
+    expect(ids('oldest')).toEqual([3, 2, 1])
+    expect(ids('score-desc')).toEqual([2, 3, 1])
+    expect(ids('score-asc')).toEqual([1, 2, 3])
+    expect(ids('players')).toEqual([2, 1, 3])
+  })
+
+  it('does not reorder the input', () => {
+    sortGames(games, 'oldest')
+    expect(games.map(g => g.id)).toEqual([1, 2, 3])
+  })
+})
+
+describe('partner list editing', () => {
+  it('parses the comma-separated text', () => {
+    expect(partnerList(' alice, ,Bob ')).toEqual(['alice', 'Bob'])
+    expect(partnerList('')).toEqual([])
+  })
+
+  it('adds names once, ignoring case', () => {
+    expect(addPartner('', 'alice')).toBe('alice')
+    expect(addPartner('alice', ' Bob ')).toBe('alice, Bob')
+    expect(addPartner('alice, Bob', 'BOB')).toBe('alice, Bob')
+    expect(addPartner('alice', '  ')).toBe('alice')
+  })
+
+  it('removes a name and keeps the rest', () => {
+    expect(removePartner('alice, Bob, carol', 'Bob')).toBe('alice, carol')
+    expect(removePartner('alice', 'alice')).toBe('')
+  })
+})
+
+describe('describeFilters', () => {
+  const labels = (changes) => describeFilters({ ...DEFAULT_FILTERS, ...changes })
+
+  it('is empty without active filters', () => {
+    expect(labels({})).toEqual([])
+  })
+
+  it('labels each active filter', () => {
+    expect(labels({
+      playerCounts: [4, 2],
+      minScore: '18',
+      tier: 'excellent',
+      outcome: 'perfects',
+      dateFrom: '2024-01-01',
+      partners: 'Bob, carol',
+      seed: ' p3v0 ',
+    })).toEqual([
+      '2/4 players', 'score ≥ 18', 'Excellent (22-24)', 'perfect games only', 'since 2024-01-01', 'with Bob, carol', 'seed "p3v0"',
+    ])
+  })
+
+  it('joins both ends of score and date ranges', () => {
+    expect(labels({ minScore: '10', maxScore: '20', dateFrom: '2024-01-01', dateTo: '2024-02-01' }))
+      .toEqual(['score 10-20', '2024-01-01 to 2024-02-01'])
+    expect(labels({ maxScore: '5', dateTo: '2024-02-01', outcome: 'strikeouts' }))
+      .toEqual(['score ≤ 5', 'strikeouts only', 'until 2024-02-01'])
+  })
+})
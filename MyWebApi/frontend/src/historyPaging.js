@@ -0,0 +1,32 @@
+import { getHistory } from './api'
+
+// Paging through a player's full game history, HISTORY_PAGE_SIZE games at a time
+
+export const HISTORY_PAGE_SIZE = 100
+
+// A short page means the end, even when total_rows says otherwise
+export const hasMorePages = ({ page, totalRows, exhausted }) =>
+  !exhausted && (page + 1) * HISTORY_PAGE_SIZE < totalRows
+
+// Games played since the first page shift later pages; skip the duplicates
+export function appendNewGames(games, rows) {
+  const seen = new Set(games.map(g => g.id))
+  return [...games, ...rows.filter(g => !seen.has(g.id))]
+}
+
+/**
+ * Fetch the page after `page`, or keep going until everything is loaded when `all` is set.
+ * onPage runs after each page, so the list grows while the rest loads.
+ * @param {(rows: object[], progress: { page: number, totalRows: number, exhausted: boolean }) => void} onPage
+ */
+export async function loadHistoryPages(username, { page, totalRows, all = false, signal, onPage }) {
+  do {
+    page++
+    const data = await getHistory(username, { page, size: HISTORY_PAGE_SIZE, signal })
+    const rows = data.rows || []
+    totalRows = data.total_rows || totalRows
+    const exhausted = rows.length < HISTORY_PAGE_SIZE
+    onPage(rows, { page, totalRows, exhausted })
+    if (exhausted) break
+  } while (all && hasMorePages({ page, totalRows, exhausted: false }))
+}
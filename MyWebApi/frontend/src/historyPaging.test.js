@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { getHistory } from './api'
+import { HISTORY_PAGE_SIZE, hasMorePages, appendNewGames, loadHistoryPages } from './historyPaging'
+
+vi.mock('./api', async (importOriginal) => ({ ...(await importOriginal()), getHistory: vi.fn() }))
+
+// A history of `total` games, newest first, served a page at a time
+const serveHistory = (total) => getHistory.mockImplementation(async (username, { page, size }) => ({
+  total_rows: total,
+  rows: Array.from({ length: Math.max(0, Math.min(size, total - page * size)) }, (_, i) => ({ id: total - page * size - i })),
+}))
+
+describe('hasMorePages', () => {
+  it('is true while pages remain before total_rows', () => {
+    expect(hasMorePages({ page: 0, totalRows: 250, exhausted: false })).toBe(true)
+    expect(hasMorePages({ page: 1, totalRows: 250, exhausted: false })).toBe(true)
+    expect(hasMorePages({ page: 2, totalRows: 250, exhausted: false })).toBe(false)
+    expect(hasMorePages({ page: 1, totalRows: 200, exhausted: false })).toBe(false)
+  })
+
+  it('is false once a short page came back', () => {
+    expect(hasMorePages({ page: 0, totalRows: 250, exhausted: true })).toBe(false)
+  })
+})
+
+describe('appendNewGames', () => {
+  it('appends rows, skipping games already loaded', () => {
+    const games = [{ id: 5 }, { id: 4 }]
+    expect(appendNewGames(games, [{ id: 4 }, { id: 3 }])).toEqual([{ id: 5 }, { id: 4 }, { id: 3 }])
+    expect(games).toHaveLength(2)
+  })
+})
+
+describe('loadHistoryPages', () => {
+  beforeEach(() => {
+    getHistory.mockReset()
+  })
+
+  it('fetches only the next page by default', async () => {
+    serveHistory(350)
+    const onPage = vi.fn()
+    await loadHistoryPages('alice', { page: 0, totalRows: 350, onPage })
+
+    expect(getHistory).toHaveBeenCalledTimes(1)
+    expect(getHistory).toHaveBeenCalledWith('alice', expect.objectContaining({ page: 1, size: HISTORY_PAGE_SIZE }))
+    expect(onPage).toHaveBeenCalledWith(expect.any(Array), { page: 1, totalRows: 350, exhausted: false })
+  })
+
+  it('keeps going to the last page with `all` and reports each page', async () => {
+    serveHistory(350)
+    const pages = []
+    await loadHistoryPages('alice', { page: 0, totalRows: 350, all: true, onPage: (rows, progress) => pages.push([rows.length, progress]) })
+
+    expect(pages).toEqual([
+      [100, { page: 1, totalRows: 350, exhausted: false }],
+      [100, { page: 2, totalRows: 350, exhausted: false }],
+      [50, { page: 3, totalRows: 350, exhausted: true }],
+    ])
+  })
+
+  it('stops at a full last page without fetching an empty one', async () => {
+    serveHistory(300)
+    await loadHistoryPages('alice', { page: 0, totalRows: 300, all: true, onPage: () => {} })
+    expect(getHistory.mock.calls.map(([, { page }]) => page)).toEqual([1, 2])
+  })
+
+  it('follows a total_rows that grew since the first page', async () => {
+    serveHistory(250)
+    const onPage = vi.fn()
+    await loadHistoryPages('alice', { page: 0, totalRows: 150, all: true, onPage })
+    expect(getHistory).toHaveBeenCalledTimes(2)
+    expect(onPage).toHaveBeenLastCalledWith(expect.any(Array), { page: 2, totalRows: 250, exhausted: true })
+  })
+
+  it('stops at the first short page even if total_rows says there is more', async () => {
+    getHistory.mockResolvedValue({ total_rows: 1000, rows: [{ id: 1 }] })
+    const onPage = vi.fn()
+    await loadHistoryPages('alice', { page: 0, totalRows: 1000, all: true, onPage })
+    expect(getHistory).toHaveBeenCalledTimes(1)
+    expect(onPage).toHaveBeenCalledWith([{ id: 1 }], { page: 1, totalRows: 1000, exhausted: true })
+  })
+
+  it('passes the signal on and stops at the first failure', async () => {
+    const failure = new Error('Failed to fetch game history')
+    getHistory.mockResolvedValueOnce({ total_rows: 500, rows: Array.from({ length: 100 }, (_, i) => ({ id: i })) })
+    getHistory.mockRejectedValueOnce(failure)
+    const { signal } = new AbortController()
+    const onPage = vi.fn()
+
+    await expect(loadHistoryPages('alice', { page: 0, totalRows: 500, all: true, signal, onPage })).rejects.toBe(failure)
+    expect(getHistory).toHaveBeenCalledTimes(2)
+    expect(getHistory.mock.calls.every(([, options]) => options.signal === signal)).toBe(true)
+    expect(onPage).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,35 @@
+// Labels for the fields of the playstyle profile returned by
+// /hanabi/history/{user}/playstyle (see PlaystyleModels.cs)
+
+// Radar dimensions, 0-100 percentile scores. Skill dimensions are already
+// inverted so higher is better; style dimensions have no better direction.
+export const PLAYSTYLE_DIMENSIONS = [
+  { key: 'accuracy', axis: 'Error/Move', desc: 'Fewer strikes and critical discards per move', better: 'higher' },
+  { key: 'teamwork', axis: 'Saves Cards', desc: 'Saves teammates\' critical/unique cards before they discard', better: 'higher' },
+  { key: 'technique', axis: 'Reads Finesses', desc: 'Recognizes and responds to prompts and finesses', better: 'higher' },
+  { key: 'misreadSaves', axis: 'Misreads Saves', desc: 'Fewer times misreading a save clue as a play clue', better: 'higher' },
+  { key: 'boldness', axis: 'Plays Often', desc: 'Proportion of turns spent playing cards', better: null },
+  { key: 'efficiency', axis: 'Clues Often', desc: 'Proportion of turns spent giving clues', better: null },
+  { key: 'discardFrequency', axis: 'Discards Often', desc: 'Proportion of turns spent discarding', better: null },
+  { key: 'cleanClues', axis: 'Clean Clues', desc: 'Fewer clues that touch trash cards (Good Touch Principle)', better: 'higher' },
+  { key: 'colorPreference', axis: 'Color Clues', desc: 'Proportion of clues that are color clues vs rank clues', better: null },
+]
+
+// Raw rates. `better` is the direction of a good value; style rates
+// (how often you play, clue, discard) have none.
+export const PLAYSTYLE_RATES = [
+  { key: 'playRate', label: 'Play rate', percent: true, better: null },
+  { key: 'clueRate', label: 'Clue rate', percent: true, better: null },
+  { key: 'discardRate', label: 'Discard rate', percent: true, better: null },
+  { key: 'colorClueRate', label: 'Color clues', percent: true, better: null },
+  { key: 'errorRate', label: 'Errors / action', percent: true, better: 'lower' },
+  { key: 'missedSavesPerGame', label: 'Missed saves / game', percent: false, better: 'lower' },
+  { key: 'missedTechPerGame', label: 'Missed tech / game', percent: false, better: 'lower' },
+  { key: 'misreadSavesPerGame', label: 'Misread saves / game', percent: false, better: 'lower' },
+  { key: 'goodTouchPerClue', label: 'Bad touch / clue', percent: true, better: 'lower' },
+]
+
+export const formatRate = (rate, value) => {
+  if (value === null || value === undefined) return '—'
+  return rate.percent ? `${(value * 100).toFixed(1)}%` : value.toFixed(2)
+}
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react'
+
+// Durations of past analyses, kept in localStorage so the ETA for the next one
+// reflects how fast this backend has actually been:
+//   { [kind]: [ms, ...] }   most recent last, at most MAX_SAMPLES per kind
+
+const STORAGE_KEY = 'hanabi-analytics:durations'
+const MAX_SAMPLES = 10
+// Anything faster was a cache hit and says nothing about the backend
+const MIN_RECORDED_MS = 1000
+
+export const ANALYSIS_CANCELLED = 'cancelled'
+
+function readDurations() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function recordDuration(kind, ms) {
+  if (ms < MIN_RECORDED_MS) return
+  const durations = readDurations()
+  durations[kind] = [...(durations[kind] || []), Math.round(ms)].slice(-MAX_SAMPLES)
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(durations))
+  } catch {
+    // Storage full or disabled: the ETA just stays unavailable
+  }
+}
+
+// Median of the recorded durations, or null before the first real run
+export function estimateDuration(kind) {
+  const samples = [...(readDurations()[kind] || [])].sort((a, b) => a - b)
+  if (samples.length === 0) return null
+  const mid = Math.floor(samples.length / 2)
+  return samples.length % 2 ? samples[mid] : (samples[mid - 1] + samples[mid]) / 2
+}
+
+// Resolves/rejects like `promise`, recording how long it took when it succeeds
+export function trackDuration(kind, promise) {
+  const start = Date.now()
+  return promise.then(value => {
+    recordDuration(kind, Date.now() - start)
+    return value
+  })
+}
+
+// 75000 -> "1:15"
+export function formatDuration(ms) {
+  const seconds = Math.max(0, Math.round(ms / 1000))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Progress bar fraction and ETA text for an analysis `elapsed` ms in.
+// The bar never shows finished while the request is still running.
+export function progressStatus(elapsed, estimate) {
+  if (!estimate) return { fraction: null, eta: 'no estimate yet' }
+  return {
+    fraction: Math.min(elapsed / estimate, 0.95),
+    eta: elapsed < estimate ? `about ${formatDuration(estimate - elapsed)} left` : 'taking longer than usual',
+  }
+}
+
+// Milliseconds since the calling component mounted, updated every second
+export function useElapsed() {
+  const [startedAt] = useState(() => Date.now())
+  const [now, setNow] = useState(startedAt)
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  return now - startedAt
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { estimateDuration, trackDuration, formatDuration, progressStatus } from './progress'
+
+const STORAGE_KEY = 'hanabi-analytics:durations'
+
+// In-memory localStorage for the node test environment
+let storage
+beforeEach(() => {
+  storage = new Map()
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => storage.get(key) ?? null,
+    setItem: (key, value) => storage.set(key, String(value)),
+  })
+  vi.useFakeTimers({ toFake: ['Date'] })
+  vi.setSystemTime(0)
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.useRealTimers()
+})
+
+const saveDurations = (durations) => storage.set(STORAGE_KEY, JSON.stringify(durations))
+
+// A request that takes `ms` to settle
+async function track(kind, ms, { fail = false } = {}) {
+  let settle
+  const request = new Promise((resolve, reject) => {
+    settle = () => (fail ? reject(new Error('Failed')) : resolve('value'))
+  })
+  const tracked = trackDuration(kind, request)
+  vi.setSystemTime(Date.now() + ms)
+  settle()
+  return tracked
+}
+
+describe('estimateDuration', () => {
+  it('is null before any run of that kind', () => {
+    expect(estimateDuration('playstyle')).toBeNull()
+    saveDurations({ criticalTrends: [30000] })
+    expect(estimateDuration('playstyle')).toBeNull()
+  })
+
+  it('is the median of the recorded durations', () => {
+    saveDurations({ playstyle: [40000, 10000, 90000] })
+    expect(estimateDuration('playstyle')).toBe(40000)
+    saveDurations({ playstyle: [40000, 10000, 90000, 20000] })
+    expect(estimateDuration('playstyle')).toBe(30000)
+  })
+
+  it('ignores unreadable storage', () => {
+    storage.set(STORAGE_KEY, '{not json')
+    expect(estimateDuration('playstyle')).toBeNull()
+  })
+})
+
+describe('trackDuration', () => {
+  it('passes the result through and records how long it took', async () => {
+    expect(await track('playstyle', 42000)).toBe('value')
+    expect(estimateDuration('playstyle')).toBe(42000)
+  })
+
+  it('skips cache hits and failures', async () => {
+    await track('playstyle', 300)
+    await expect(track('playstyle', 42000, { fail: true })).rejects.toThrow('Failed')
+    expect(estimateDuration('playstyle')).toBeNull()
+  })
+
+  it('keeps the ten most recent durations per kind', async () => {
+    for (let i = 1; i <= 12; i++) await track('playstyle', i * 1000)
+    await track('criticalTrends', 5000)
+    expect(JSON.parse(storage.get(STORAGE_KEY))).toEqual({
+      playstyle: [3000, 4000, 5000, 6000, 7000, 8000, 9000, 10000, 11000, 12000],
+      criticalTrends: [5000],
+    })
+  })
+
+  it('still resolves when storage is full', async () => {
+    localStorage.setItem = () => { throw new Error('QuotaExceededError') }
+    expect(await track('playstyle', 42000)).toBe('value')
+  })
+})
+
+describe('formatDuration', () => {
+  it('is minutes and zero-padded seconds', () => {
+    expect(formatDuration(75000)).toBe('1:15')
+    expect(formatDuration(5400)).toBe('0:05')
+    expect(formatDuration(0)).toBe('0:00')
+    expect(formatDuration(-2000)).toBe('0:00')
+  })
+})
+
+describe('progressStatus', () => {
+  it('has no bar or ETA without an estimate', () => {
+    expect(progressStatus(12000, null)).toEqual({ fraction: null, eta: 'no estimate yet' })
+  })
+
+  it('counts down to the estimate', () => {
+    expect(progressStatus(15000, 60000)).toEqual({ fraction: 0.25, eta: 'about 0:45 left' })
+  })
+
+  it('never shows a finished bar while still running', () => {
+    expect(progressStatus(59000, 60000).fraction).toBe(0.95)
+    expect(progressStatus(90000, 60000)).toEqual({ fraction: 0.95, eta: 'taking longer than usual' })
+  })
+})
@@ -0,0 +1,42 @@
+// Playback rules for the full-game replay (see ReplayControls.jsx)
+
+// Autoplay delay between turns at 1x speed (animations run on top of this)
+export const BASE_STEP_MS = 1500
+export const SPEEDS = [0.5, 1, 2, 4]
+
+// Play/pause: pausing stops in place; pressing play at the end starts over from the deal
+export const togglePlayback = ({ isPlaying, atEnd, minTurn }) =>
+  isPlaying ? { playing: false, seekTo: null } : { playing: true, seekTo: atEnd ? minTurn : null }
+
+/**
+ * Schedule the next autoplay step, once the current step's animation has settled.
+ * @returns {(() => void) | undefined} cancels the pending step
+ */
+export function scheduleAutoplayStep({ isPlaying, isAnimating, speed, onNext }) {
+  if (!isPlaying || isAnimating) return undefined
+  const timer = setTimeout(onNext, BASE_STEP_MS / speed)
+  return () => clearTimeout(timer)
+}
+
+/**
+ * The replay command for a key: ←/→ step, space play/pause, Home/End jump.
+ * Returns null for keys the replay doesn't use; a step that can't happen right
+ * now (mid-animation, or already at that end) still claims the key.
+ * @returns {{ type: 'prev' | 'next' | 'toggle' | 'none' } | { type: 'seek', turn: number } | null}
+ */
+export function replayKeyCommand(key, { currentTurn, minTurn, maxTurn, isAnimating }) {
+  switch (key) {
+    case 'ArrowLeft':
+      return { type: !isAnimating && currentTurn > minTurn ? 'prev' : 'none' }
+    case 'ArrowRight':
+      return { type: !isAnimating && currentTurn < maxTurn ? 'next' : 'none' }
+    case ' ':
+      return { type: 'toggle' }
+    case 'Home':
+      return { type: 'seek', turn: minTurn }
+    case 'End':
+      return { type: 'seek', turn: maxTurn }
+    default:
+      return null
+  }
+}
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { BASE_STEP_MS, togglePlayback, scheduleAutoplayStep, replayKeyCommand } from './replay'
+
+describe('togglePlayback', () => {
+  it('pauses in place while playing', () => {
+    expect(togglePlayback({ isPlaying: true, atEnd: false, minTurn: 1 })).toEqual({ playing: false, seekTo: null })
+  })
+
+  it('plays from the current turn', () => {
+    expect(togglePlayback({ isPlaying: false, atEnd: false, minTurn: 1 })).toEqual({ playing: true, seekTo: null })
+  })
+
+  it('starts over from the deal at the end', () => {
+    expect(togglePlayback({ isPlaying: false, atEnd: true, minTurn: 1 })).toEqual({ playing: true, seekTo: 1 })
+  })
+})
+
+describe('scheduleAutoplayStep', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('steps once after the base delay divided by the speed', () => {
+    vi.useFakeTimers()
+    const onNext = vi.fn()
+    scheduleAutoplayStep({ isPlaying: true, isAnimating: false, speed: 2, onNext })
+
+    vi.advanceTimersByTime(BASE_STEP_MS / 2 - 1)
+    expect(onNext).not.toHaveBeenCalled()
+    vi.advanceTimersByTime(1)
+    expect(onNext).toHaveBeenCalledTimes(1)
+    vi.advanceTimersByTime(BASE_STEP_MS * 4)
+    expect(onNext).toHaveBeenCalledTimes(1)
+  })
+
+  it('waits while paused or animating', () => {
+    vi.useFakeTimers()
+    const onNext = vi.fn()
+    expect(scheduleAutoplayStep({ isPlaying: false, isAnimating: false, speed: 1, onNext })).toBeUndefined()
+    expect(scheduleAutoplayStep({ isPlaying: true, isAnimating: true, speed: 1, onNext })).toBeUndefined()
+
+    vi.advanceTimersByTime(BASE_STEP_MS * 4)
+    expect(onNext).not.toHaveBeenCalled()
+  })
+
+  it('never steps once cancelled', () => {
+    vi.useFakeTimers()
+    const onNext = vi.fn()
+    const cancel = scheduleAutoplayStep({ isPlaying: true, isAnimating: false, speed: 0.5, onNext })
+
+    vi.advanceTimersByTime(BASE_STEP_MS)
+    cancel()
+    vi.advanceTimersByTime(BASE_STEP_MS * 4)
+    expect(onNext).not.toHaveBeenCalled()
+  })
+})
+
+describe('replayKeyCommand', () => {
+  const at = (currentTurn, isAnimating = false) => ({ currentTurn, minTurn: 1, maxTurn: 40, isAnimating })
+
+  it('steps with the arrow keys', () => {
+    expect(replayKeyCommand('ArrowLeft', at(10))).toEqual({ type: 'prev' })
+    expect(replayKeyCommand('ArrowRight', at(10))).toEqual({ type: 'next' })
+  })
+
+  it('claims arrow keys without stepping past either end or mid-animation', () => {
+    expect(replayKeyCommand('ArrowLeft', at(1))).toEqual({ type: 'none' })
+    expect(replayKeyCommand('ArrowRight', at(40))).toEqual({ type: 'none' })
+    expect(replayKeyCommand('ArrowRight', at(10, true))).toEqual({ type: 'none' })
+  })
+
+  it('toggles playback with space and jumps with Home/End', () => {
+    expect(replayKeyCommand(' ', at(10))).toEqual({ type: 'toggle' })
+    expect(replayKeyCommand('Home', at(10))).toEqual({ type: 'seek', turn: 1 })
+    expect(replayKeyCommand('End', at(10))).toEqual({ type: 'seek', turn: 40 })
+  })
+
+  it('leaves other keys alone', () => {
+    expect(replayKeyCommand('Enter', at(10))).toBeNull()
+    expect(replayKeyCommand('a', at(10))).toBeNull()
+  })
+})
@@ -0,0 +1,149 @@
+// Shareable player report card, rendered as a standalone SVG string (no DOM capture,
+// no external fonts or images) and rasterized to PNG through a canvas.
+
+export const REPORT_WIDTH = 960
+export const REPORT_HEIGHT = 540
+
+const COLORS = {
+  background: '#0d1117',
+  panel: '#161b22',
+  grid: '#30363d',
+  text: '#f0f6fc',
+  muted: '#8b949e',
+  player: '#3a86ff',
+  partner: '#ff6b35',
+  trend: '#ff006e',
+  gold: '#ffbe0b',
+}
+
+const FONT = "'Segoe UI', Helvetica, Arial, sans-serif"
+
+const escapeXml = (text) =>
+  String(text ?? '').replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c])
+
+const round = (n) => Math.round(n * 10) / 10
+
+// Longest filter note that fits under the stat tiles
+const FILTER_NOTE_CHARS = 72
+
+function filterNote(filters, stats) {
+  if (!filters?.length) return ''
+  const text = `Stats over ${stats?.totalGames ?? 0} games: ${filters.join(' · ')}`
+  const fitted = text.length > FILTER_NOTE_CHARS ? `${text.slice(0, FILTER_NOTE_CHARS - 1)}…` : text
+  return `<text x="40" y="228" font-size="12" fill="${COLORS.muted}">${escapeXml(fitted)}</text>`
+}
+
+function radarPoint(cx, cy, radius, index, count, fraction) {
+  const angle = -Math.PI / 2 + (index * 2 * Math.PI) / count
+  return [round(cx + Math.cos(angle) * radius * fraction), round(cy + Math.sin(angle) * radius * fraction)]
+}
+
+function radar({ cx, cy, radius, dimensions, hasCompare }) {
+  const count = dimensions.length
+  const polygon = (fractions) =>
+    fractions.map((f, i) => radarPoint(cx, cy, radius, i, count, f).join(',')).join(' ')
+
+  const rings = [0.25, 0.5, 0.75, 1].map(f =>
+    `<polygon points="${polygon(dimensions.map(() => f))}" fill="none" stroke="${COLORS.grid}" stroke-width="1"/>`
+  )
+  const spokes = dimensions.map((_, i) => {
+    const [x, y] = radarPoint(cx, cy, radius, i, count, 1)
+    return `<line x1="${cx}" y1="${cy}" x2="${x}" y2="${y}" stroke="${COLORS.grid}" stroke-width="1"/>`
+  })
+  const labels = dimensions.map((d, i) => {
+    const [x, y] = radarPoint(cx, cy, radius + 22, i, count, 1)
+    const anchor = Math.abs(x - cx) < 4 ? 'middle' : x < cx ? 'end' : 'start'
+    const value = d.compareValue !== undefined
+      ? `${Math.round(d.value)} / ${Math.round(d.compareValue)}`
+      : `${Math.round(d.value)}`
+    return `<text x="${x}" y="${y}" text-anchor="${anchor}" font-size="13" fill="${COLORS.text}">${escapeXml(d.axis)}` +
+      `<tspan x="${x}" dy="15" font-size="12" fill="${COLORS.muted}">${value}</tspan></text>`
+  })
+  const clamp = (v) => Math.max(0, Math.min(100, v || 0)) / 100
+  const shapes = [
+    hasCompare
+      ? `<polygon points="${polygon(dimensions.map(d => clamp(d.compareValue)))}" fill="${COLORS.partner}" fill-opacity="0.15" stroke="${COLORS.partner}" stroke-width="2"/>`
+      : '',
+    `<polygon points="${polygon(dimensions.map(d => clamp(d.value)))}" fill="${COLORS.player}" fill-opacity="0.3" stroke="${COLORS.player}" stroke-width="2.5"/>`,
+  ]
+  return [...rings, ...spokes, ...shapes, ...labels].join('\n')
+}
+
+function sparkline({ x, y, width, height, values }) {
+  if (values.length < 2) {
+    return `<text x="${x}" y="${y + height / 2}" font-size="13" fill="${COLORS.muted}">Not enough analyzed games</text>`
+  }
+  const max = Math.max(1, ...values)
+  const step = width / (values.length - 1)
+  const points = values.map((v, i) => `${round(x + i * step)},${round(y + height - (v / max) * height)}`)
+  return [
+    `<line x1="${x}" y1="${y + height}" x2="${x + width}" y2="${y + height}" stroke="${COLORS.grid}" stroke-width="1"/>`,
+    `<polyline points="${points.join(' ')}" fill="none" stroke="${COLORS.trend}" stroke-width="2.5" stroke-linejoin="round"/>`,
+    `<text x="${x + width}" y="${y - 6}" text-anchor="end" font-size="11" fill="${COLORS.muted}">max ${round(max)}</text>`,
+  ].join('\n')
+}
+
+function statTile(x, y, label, value, color) {
+  return `<rect x="${x}" y="${y}" width="130" height="72" rx="10" fill="${COLORS.panel}" stroke="${COLORS.grid}"/>` +
+    `<text x="${x + 65}" y="${y + 36}" text-anchor="middle" font-size="26" font-weight="700" fill="${color}">${escapeXml(value)}</text>` +
+    `<text x="${x + 65}" y="${y + 58}" text-anchor="middle" font-size="11" fill="${COLORS.muted}" letter-spacing="1">${escapeXml(label.toUpperCase())}</text>`
+}
+
+/**
+ * @param {object} card
+ * @param {string} card.player
+ * @param {number} card.gamesAnalyzed
+ * @param {{ axis: string, value: number, compareValue?: number }[]} card.dimensions
+ * @param {string | null} card.compareName
+ * @param {{ avgScore: string, winRate: string, strikeoutRate: string, totalGames: number }} card.stats
+ * @param {string[]} [card.filters]  labels of the history filters behind `stats`, empty when unfiltered
+ * @param {number[]} card.trend  rolling critical-mistake averages, oldest first
+ */
+export function buildReportCardSvg({ player, gamesAnalyzed, dimensions, compareName, stats, filters, trend }) {
+  const hasCompare = Boolean(compareName) && dimensions.some(d => d.compareValue !== undefined)
+  const legend = hasCompare
+    ? `<rect x="40" y="430" width="12" height="12" fill="${COLORS.player}"/>` +
+      `<text x="58" y="441" font-size="13" fill="${COLORS.text}">${escapeXml(player)}</text>` +
+      `<rect x="200" y="430" width="12" height="12" fill="${COLORS.partner}"/>` +
+      `<text x="218" y="441" font-size="13" fill="${COLORS.text}">${escapeXml(compareName)}</text>`
+    : ''
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${REPORT_WIDTH}" height="${REPORT_HEIGHT}" viewBox="0 0 ${REPORT_WIDTH} ${REPORT_HEIGHT}" font-family="${FONT}">
+<rect width="${REPORT_WIDTH}" height="${REPORT_HEIGHT}" fill="${COLORS.background}"/>
+<rect x="0" y="0" width="${REPORT_WIDTH}" height="6" fill="${COLORS.gold}"/>
+<text x="40" y="70" font-size="36" font-weight="700" fill="${COLORS.text}">${escapeXml(player)}</text>
+<text x="40" y="98" font-size="15" fill="${COLORS.muted}">Hanabi playstyle report · ${gamesAnalyzed ?? 0} games analyzed</text>
+${statTile(40, 130, 'Avg Score', stats?.avgScore ?? '—', COLORS.gold)}
+${statTile(185, 130, 'Win Rate', `${stats?.winRate ?? '—'}%`, COLORS.text)}
+${statTile(330, 130, 'Strikeouts', `${stats?.strikeoutRate ?? '—'}%`, COLORS.trend)}
+${filterNote(filters, stats)}
+<text x="40" y="260" font-size="13" fill="${COLORS.muted}" letter-spacing="1">CRITICAL MISTAKES TREND</text>
+${sparkline({ x: 40, y: 285, width: 420, height: 110, values: trend })}
+${legend}
+<text x="40" y="${REPORT_HEIGHT - 24}" font-size="11" fill="${COLORS.muted}">Generated ${new Date().toISOString().slice(0, 10)}</text>
+${radar({ cx: 700, cy: 280, radius: 150, dimensions, hasCompare })}
+</svg>`
+}
+
+// Rasterize an SVG string; `scale` renders at a multiple of the SVG size for sharp output
+export function svgToPngBlob(svg, { width = REPORT_WIDTH, height = REPORT_HEIGHT, scale = 2 } = {}) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = width * scale
+      canvas.height = height * scale
+      const ctx = canvas.getContext('2d')
+      ctx.scale(scale, scale)
+      ctx.drawImage(image, 0, 0, width, height)
+      URL.revokeObjectURL(url)
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png')
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('Could not render report card'))
+    }
+    image.src = url
+  })
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { buildReportCardSvg, REPORT_WIDTH, REPORT_HEIGHT } from './reportCard'
+
+const dimensions = [
+  { axis: 'Clue Rate', value: 62.4 },
+  { axis: 'Discard Rate', value: 30 },
+  { axis: 'Risk', value: 120 },
+  { axis: 'Finesse', value: 0 },
+]
+
+const card = (overrides = {}) => ({
+  player: 'alice',
+  gamesAnalyzed: 48,
+  dimensions,
+  compareName: null,
+  stats: { avgScore: '21.3', winRate: '12.5', strikeoutRate: '4.0', totalGames: 200 },
+  filters: [],
+  trend: [1, 2.5, 1.5, 0.5],
+  ...overrides,
+})
+
+const polygons = (svg) => [...svg.matchAll(/<polygon points="([^"]+)"/g)].map(m => m[1].split(' '))
+
+describe('buildReportCardSvg', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2024-05-01T12:00:00Z'))
+  })
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('is a standalone SVG of the report size', () => {
+    const svg = buildReportCardSvg(card())
+    expect(svg.startsWith(`<svg xmlns="http://www.w3.org/2000/svg" width="${REPORT_WIDTH}" height="${REPORT_HEIGHT}"`)).toBe(true)
+    expect(svg).not.toMatch(/<image|href=|@import|url\(/)
+    expect(svg).toContain('Generated 2024-05-01')
+  })
+
+  it('shows the player, games analyzed and stat tiles', () => {
+    const svg = buildReportCardSvg(card())
+    expect(svg).toContain('>alice</text>')
+    expect(svg).toContain('48 games analyzed')
+    expect(svg).toContain('>21.3</text>')
+    expect(svg).toContain('>12.5%</text>')
+    expect(svg).toContain('>4.0%</text>')
+  })
+
+  it('escapes names', () => {
+    const svg = buildReportCardSvg(card({ player: 'a<b>&"c\'' }))
+    expect(svg).toContain('>a&lt;b&gt;&amp;&quot;c&apos;</text>')
+    expect(svg).not.toContain('a<b>')
+  })
+
+  it('falls back to dashes without stats', () => {
+    const svg = buildReportCardSvg(card({ stats: null, gamesAnalyzed: undefined }))
+    expect(svg).toContain('0 games analyzed')
+    expect(svg).toContain('>—</text>')
+    expect(svg).toContain('>—%</text>')
+  })
+
+  it('draws one radar ring per quarter, then the player shape with values clamped to 0-100', () => {
+    const shapes = polygons(buildReportCardSvg(card()))
+    // Four rings, then the player
+    expect(shapes).toHaveLength(5)
+    expect(shapes.every(points => points.length === dimensions.length)).toBe(true)
+    const [, , , outerRing, player] = shapes
+    // Risk (120) sits on the outer ring, Finesse (0) at the centre
+    expect(player[2]).toBe(outerRing[2])
+    expect(player[3]).toBe('700,280')
+  })
+
+  it('adds the partner shape and legend only when comparing', () => {
+    const compared = dimensions.map((d, i) => ({ ...d, compareValue: i * 10 }))
+    const svg = buildReportCardSvg(card({ dimensions: compared, compareName: 'bob' }))
+    expect(polygons(svg)).toHaveLength(6)
+    expect(svg).toContain('>bob</text>')
+    expect(svg).toContain('62 / 0')
+
+    // A partner name without partner values draws nothing extra
+    expect(polygons(buildReportCardSvg(card({ compareName: 'bob' })))).toHaveLength(5)
+  })
+
+  it('needs two points for the trend line', () => {
+    expect(buildReportCardSvg(card())).toContain('<polyline')
+    const svg = buildReportCardSvg(card({ trend: [3] }))
+    expect(svg).not.toContain('<polyline')
+    expect(svg).toContain('Not enough analyzed games')
+  })
+
+  it('notes the history filters behind the stats', () => {
+    expect(buildReportCardSvg(card())).not.toContain('Stats over')
+    const svg = buildReportCardSvg(card({ filters: ['3 players', 'with bob'], stats: { ...card().stats, totalGames: 12 } }))
+    expect(svg).toContain('>Stats over 12 games: 3 players · with bob</text>')
+  })
+
+  it('shortens a long filter note', () => {
+    const svg = buildReportCardSvg(card({ filters: ['with ' + 'someone, '.repeat(20)] }))
+    const note = svg.match(/>(Stats over [^<]*)</)[1]
+    expect(note).toHaveLength(72)
+    expect(note.endsWith('…')).toBe(true)
+  })
+})
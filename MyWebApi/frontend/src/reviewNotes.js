@@ -0,0 +1,149 @@
+import { useState } from 'react'
+import { downloadFile } from './exportData'
+import { formatViolationType } from './violationFormat'
+
+// Review notes attached to turns, violations and bot candidates of a game,
+// kept in localStorage per game ID and shareable as a review file:
+//   { format: 'hanabi-review', version: 1, gameId, reviewer, exportedAt, notes: [note] }
+// where note = { id, target, text, author, createdAt }.
+
+const NOTES_KEY = (gameId) => `hanabi-analytics:review:${gameId}`
+const REVIEWER_KEY = 'hanabi-analytics:reviewer'
+const REVIEW_FORMAT = 'hanabi-review'
+const REVIEW_VERSION = 1
+
+// Note targets. Violations have no ID of their own, so turn + type + player stands in.
+export const noteTarget = {
+  turn: (turn) => `turn:${turn}`,
+  violation: (violation) => `violation:${violation.turn}:${violation.type}:${violation.player}`,
+  candidate: (turn, candidate) => `candidate:${turn}:${candidate.description}`,
+}
+
+const targetTurn = (target) => parseInt(target.split(':')[1])
+
+// Short label for where a note is attached, or null for a plain turn note
+export function describeNoteTarget(target) {
+  const [kind, , ...rest] = target.split(':')
+  if (kind === 'violation') return `${formatViolationType(rest[0])} (${rest.slice(1).join(':')})`
+  if (kind === 'candidate') return `Candidate: ${rest.join(':')}`
+  return null
+}
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+function writeJson(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {
+    // Storage full or disabled: notes last until the page is closed; export still works
+  }
+}
+
+const newNoteId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+const isNote = (note) =>
+  note && typeof note.target === 'string' && typeof note.text === 'string' && note.text.trim() !== ''
+
+// Review file contents for `notes`, the inverse of readReviewFile
+export function buildReviewFile(gameId, reviewer, notes, exportedAt = new Date()) {
+  return JSON.stringify({
+    format: REVIEW_FORMAT,
+    version: REVIEW_VERSION,
+    gameId,
+    reviewer,
+    exportedAt: exportedAt.toISOString(),
+    notes,
+  }, null, 2)
+}
+
+/**
+ * Read and check a review file for `gameId`.
+ * @returns {Promise<{ reviewer: string, notes: object[] }>}
+ */
+export async function readReviewFile(file, gameId) {
+  let review
+  try {
+    review = JSON.parse(await file.text())
+  } catch {
+    throw new Error(`${file.name} is not a review file (invalid JSON)`)
+  }
+  if (review?.format !== REVIEW_FORMAT || !Array.isArray(review.notes)) {
+    throw new Error(`${file.name} is not a review file`)
+  }
+  if (review.version > REVIEW_VERSION) {
+    throw new Error(`${file.name} was made by a newer version of this app`)
+  }
+  if (Number(review.gameId) !== Number(gameId)) {
+    throw new Error(`${file.name} is a review of game #${review.gameId}, not #${gameId}`)
+  }
+  const reviewer = typeof review.reviewer === 'string' ? review.reviewer : ''
+  const notes = review.notes.filter(isNote).map(note => ({
+    id: typeof note.id === 'string' ? note.id : newNoteId(),
+    target: note.target,
+    text: note.text,
+    author: typeof note.author === 'string' && note.author ? note.author : reviewer,
+    createdAt: note.createdAt || review.exportedAt || null,
+  }))
+  return { reviewer, notes }
+}
+
+// Notes for one game plus the local reviewer name
+export function useReviewNotes(gameId) {
+  const [store, setStore] = useState(() => ({ gameId, notes: readJson(NOTES_KEY(gameId), []) }))
+  const [reviewer, setReviewerState] = useState(() => readJson(REVIEWER_KEY, ''))
+
+  // Switching games reloads that game's notes
+  if (store.gameId !== gameId) {
+    setStore({ gameId, notes: readJson(NOTES_KEY(gameId), []) })
+  }
+  const notes = store.gameId === gameId ? store.notes : []
+
+  const saveNotes = (next) => {
+    setStore({ gameId, notes: next })
+    writeJson(NOTES_KEY(gameId), next)
+  }
+
+  const setReviewer = (name) => {
+    setReviewerState(name)
+    writeJson(REVIEWER_KEY, name)
+  }
+
+  const addNote = (target, text) => {
+    if (!text.trim()) return
+    saveNotes([...notes, { id: newNoteId(), target, text: text.trim(), author: reviewer, createdAt: new Date().toISOString() }])
+  }
+
+  const removeNote = (id) => saveNotes(notes.filter(note => note.id !== id))
+
+  const exportReview = () => {
+    const safeReviewer = (reviewer || 'review').replace(/[^\w-]+/g, '_')
+    downloadFile(`hanabi-game-${gameId}-${safeReviewer}.review.json`, buildReviewFile(gameId, reviewer, notes), 'application/json')
+  }
+
+  // Merges the file's notes into ours; notes already here (same ID) are kept as they are
+  const importReview = async (file) => {
+    const review = await readReviewFile(file, gameId)
+    const known = new Set(notes.map(note => note.id))
+    const added = review.notes.filter(note => !known.has(note.id))
+    saveNotes([...notes, ...added])
+    return { reviewer: review.reviewer, added: added.length }
+  }
+
+  return {
+    notes,
+    reviewer,
+    setReviewer,
+    notesFor: (target) => notes.filter(note => note.target === target),
+    notesForTurn: (turn) => notes.filter(note => targetTurn(note.target) === turn),
+    addNote,
+    removeNote,
+    exportReview,
+    importReview,
+  }
+}
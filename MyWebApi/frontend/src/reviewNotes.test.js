@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { buildReviewFile, readReviewFile, noteTarget, describeNoteTarget } from './reviewNotes'
+
+// Stand-in for the File from an <input type="file">
+const file = (text, name = 'review.json') => ({ name, text: async () => text })
+const reviewJson = (fields) => JSON.stringify({ format: 'hanabi-review', version: 1, gameId: 42, notes: [], ...fields })
+
+const violation = { turn: 7, type: 'BadDiscard', player: 'alice' }
+const notes = [
+  { id: 'a1', target: noteTarget.turn(3), text: 'Why not play slot 1?', author: 'bob', createdAt: '2024-05-01T10:00:00.000Z' },
+  { id: 'a2', target: noteTarget.violation(violation), text: 'Chop was a critical 4', author: 'carol', createdAt: '2024-05-01T10:05:00.000Z' },
+]
+
+describe('review files', () => {
+  it('round-trips notes through export and import', async () => {
+    const text = buildReviewFile(42, 'bob', notes, new Date('2024-05-02T00:00:00Z'))
+    expect(JSON.parse(text)).toMatchObject({ format: 'hanabi-review', version: 1, gameId: 42, exportedAt: '2024-05-02T00:00:00.000Z' })
+    expect(await readReviewFile(file(text), '42')).toEqual({ reviewer: 'bob', notes })
+  })
+
+  it('fills in missing note fields from the file', async () => {
+    const text = reviewJson({ reviewer: 'bob', exportedAt: '2024-05-02T00:00:00.000Z', notes: [{ target: 'turn:3', text: 'hi' }] })
+    const [note] = (await readReviewFile(file(text), 42)).notes
+    expect(note).toMatchObject({ target: 'turn:3', text: 'hi', author: 'bob', createdAt: '2024-05-02T00:00:00.000Z' })
+    expect(typeof note.id).toBe('string')
+  })
+
+  it('drops notes without a target or text', async () => {
+    const text = reviewJson({ notes: [{ target: 'turn:1', text: '  ' }, { text: 'no target' }, null, { target: 'turn:2', text: 'kept' }] })
+    const { reviewer, notes: read } = await readReviewFile(file(text), 42)
+    expect(reviewer).toBe('')
+    expect(read.map(n => n.text)).toEqual(['kept'])
+  })
+
+  it('rejects files that are not reviews of this game', async () => {
+    await expect(readReviewFile(file('{ nope'), 42)).rejects.toThrow('review.json is not a review file (invalid JSON)')
+    await expect(readReviewFile(file(JSON.stringify({ format: 'other', notes: [] })), 42)).rejects.toThrow('review.json is not a review file')
+    await expect(readReviewFile(file(reviewJson({ notes: 'x' })), 42)).rejects.toThrow('review.json is not a review file')
+    await expect(readReviewFile(file(reviewJson({ version: 2 })), 42)).rejects.toThrow('made by a newer version')
+    await expect(readReviewFile(file(reviewJson({ gameId: 43 })), 42)).rejects.toThrow('a review of game #43, not #42')
+  })
+})
+
+describe('describeNoteTarget', () => {
+  it('labels violation and candidate notes but not turn notes', () => {
+    expect(describeNoteTarget(noteTarget.turn(3))).toBeNull()
+    expect(describeNoteTarget(noteTarget.violation(violation))).toMatch(/\(alice\)$/)
+    expect(describeNoteTarget(noteTarget.candidate(5, { description: 'Play R1: slot 2' }))).toBe('Candidate: Play R1: slot 2')
+  })
+})
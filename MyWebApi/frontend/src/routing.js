@@ -0,0 +1,78 @@
+import { useMemo, useSyncExternalStore } from 'react'
+
+// Minimal client-side router on top of the History API.
+//
+// Supported routes:
+//   /                          dashboard for the default player
+//   /player/:name?view=...     dashboard for a player (view: all | charts | games | compare | train)
+//   /game/:id                  game detail
+//   /game/:id/turn/:n          game detail with the violation at turn n expanded
+
+const NAVIGATE_EVENT = 'hanabi:navigate'
+const VIEWS = ['all', 'charts', 'games', 'compare', 'train']
+
+export function parseRoute(pathname, search) {
+  const params = new URLSearchParams(search)
+  const view = VIEWS.includes(params.get('view')) ? params.get('view') : 'all'
+  let segments
+  try {
+    segments = pathname.split('/').filter(Boolean).map(decodeURIComponent)
+  } catch {
+    // Malformed escape such as /player/%E0
+    return { page: 'home', player: null, view, gameId: null, turn: null }
+  }
+
+  if (segments[0] === 'player' && segments[1]) {
+    return { page: 'player', player: segments[1], view, gameId: null, turn: null }
+  }
+
+  if (segments[0] === 'game' && /^\d+$/.test(segments[1] || '')) {
+    const turn = segments[2] === 'turn' && /^\d+$/.test(segments[3] || '')
+      ? parseInt(segments[3])
+      : null
+    return { page: 'game', player: null, view, gameId: parseInt(segments[1]), turn }
+  }
+
+  return { page: 'home', player: null, view, gameId: null, turn: null }
+}
+
+export function playerPath(name, view = 'all') {
+  const query = view && view !== 'all' ? `?view=${view}` : ''
+  return `/player/${encodeURIComponent(name)}${query}`
+}
+
+export function gamePath(gameId, turn = null) {
+  return turn != null ? `/game/${gameId}/turn/${turn}` : `/game/${gameId}`
+}
+
+// `state` is stored on the history entry and readable via window.history.state
+export function navigate(path, { replace = false, state = null } = {}) {
+  const current = window.location.pathname + window.location.search
+  if (path === current) return
+  if (replace) {
+    window.history.replaceState(state, '', path)
+  } else {
+    window.history.pushState(state, '', path)
+  }
+  window.dispatchEvent(new Event(NAVIGATE_EVENT))
+}
+
+function subscribe(callback) {
+  window.addEventListener('popstate', callback)
+  window.addEventListener(NAVIGATE_EVENT, callback)
+  return () => {
+    window.removeEventListener('popstate', callback)
+    window.removeEventListener(NAVIGATE_EVENT, callback)
+  }
+}
+
+const getLocationSnapshot = () => window.location.pathname + window.location.search
+
+// Current route, re-rendered on pushState/replaceState via navigate() and on back/forward
+export function useRoute() {
+  const location = useSyncExternalStore(subscribe, getLocationSnapshot)
+  return useMemo(() => {
+    const url = new URL(location, window.location.origin)
+    return parseRoute(url.pathname, url.search)
+  }, [location])
+}
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { parseRoute, playerPath, gamePath } from './routing'
+
+describe('parseRoute', () => {
+  it('reads the player and view', () => {
+    expect(parseRoute('/player/Alice', '?view=games')).toEqual({
+      page: 'player', player: 'Alice', view: 'games', gameId: null, turn: null,
+    })
+  })
+
+  it('decodes player names', () => {
+    expect(parseRoute('/player/J%C3%B6rg%20B', '').player).toBe('Jörg B')
+  })
+
+  it('falls back to the all view for unknown views', () => {
+    expect(parseRoute('/player/Alice', '?view=nope').view).toBe('all')
+  })
+
+  it('reads game IDs and deep-linked turns', () => {
+    expect(parseRoute('/game/123', '')).toMatchObject({ page: 'game', gameId: 123, turn: null })
+    expect(parseRoute('/game/123/turn/7', '')).toMatchObject({ page: 'game', gameId: 123, turn: 7 })
+    expect(parseRoute('/game/123/turn/x', '')).toMatchObject({ page: 'game', gameId: 123, turn: null })
+  })
+
+  it('treats unknown paths as home', () => {
+    expect(parseRoute('/', '').page).toBe('home')
+    expect(parseRoute('/game/abc', '').page).toBe('home')
+    expect(parseRoute('/player', '').page).toBe('home')
+  })
+
+  it('treats malformed escapes as home instead of throwing', () => {
+    expect(parseRoute('/player/%E0', '')).toEqual({
+      page: 'home', player: null, view: 'all', gameId: null, turn: null,
+    })
+  })
+})
+
+describe('paths', () => {
+  it('round-trip through parseRoute', () => {
+    const path = playerPath('Bob & Co', 'compare')
+    const [pathname, search] = path.split('?')
+    expect(parseRoute(pathname, `?${search}`)).toMatchObject({ player: 'Bob & Co', view: 'compare' })
+  })
+
+  it('leave the default view out of player paths', () => {
+    expect(playerPath('Alice')).toBe('/player/Alice')
+    expect(playerPath('Alice', 'all')).toBe('/player/Alice')
+  })
+
+  it('keep turn 0 in game paths', () => {
+    expect(gamePath(5)).toBe('/game/5')
+    expect(gamePath(5, null)).toBe('/game/5')
+    expect(gamePath(5, 0)).toBe('/game/5/turn/0')
+    expect(gamePath(5, 12)).toBe('/game/5/turn/12')
+  })
+})
@@ -0,0 +1,30 @@
+// Rows for the turn timeline: each action with its rule violations and the bot's verdict
+
+export const SEVERITIES = ['critical', 'warning', 'info']
+
+// One row per action; violations and bot turns are matched by 1-based turn number
+export function buildTimelineRows(game, violations, botTurns) {
+  const violationsByTurn = {}
+  for (const v of violations || []) {
+    (violationsByTurn[v.turn] ||= []).push(v)
+  }
+  const botByTurn = {}
+  for (const t of botTurns || []) botByTurn[t.turn] = t
+
+  return (game.actions || []).map((action, i) => ({
+    turn: i + 1,
+    action,
+    player: game.players[i % game.players.length],
+    violations: violationsByTurn[i + 1] || [],
+    bot: botByTurn[i + 1] || null,
+  }))
+}
+
+// Empty filter values match every row
+export const filterTimelineRows = (rows, { player, severity, classification }) => rows.filter(row =>
+  (!player || row.player === player) &&
+  (!severity || row.violations.some(v => v.severity === severity)) &&
+  (!classification || row.bot?.classification === classification)
+)
+
+export const worstSeverity = (violations) => SEVERITIES.find(s => violations.some(v => v.severity === s))
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { buildTimelineRows, filterTimelineRows, worstSeverity } from './timeline'
+
+const game = {
+  players: ['alice', 'bob', 'carol'],
+  actions: [
+    { type: 0, target: 0 },
+    { type: 2, target: 0, value: 1 },
+    { type: 1, target: 3 },
+    { type: 3, target: 1, value: 5 },
+  ],
+}
+
+const violations = [
+  { turn: 2, severity: 'warning', type: 'bad_touch' },
+  { turn: 2, severity: 'critical', type: 'discarded_critical' },
+  { turn: 4, severity: 'info', type: 'slow_play' },
+  // Past the last action: ignored
+  { turn: 9, severity: 'critical', type: 'misplay' },
+]
+
+const botTurns = [
+  { turn: 1, classification: 'correct' },
+  { turn: 2, classification: 'blunder', botRecommendation: 'Play slot 1' },
+  { turn: 4, classification: 'inaccuracy' },
+]
+
+describe('buildTimelineRows', () => {
+  it('has one row per action with its player in seat order', () => {
+    const rows = buildTimelineRows(game, violations, botTurns)
+    expect(rows.map(r => [r.turn, r.player, r.action])).toEqual([
+      [1, 'alice', game.actions[0]],
+      [2, 'bob', game.actions[1]],
+      [3, 'carol', game.actions[2]],
+      [4, 'alice', game.actions[3]],
+    ])
+  })
+
+  it('attaches every violation and the bot verdict for the same turn', () => {
+    const [first, second, third] = buildTimelineRows(game, violations, botTurns)
+    expect(first.violations).toEqual([])
+    expect(first.bot).toBe(botTurns[0])
+    expect(second.violations).toEqual([violations[0], violations[1]])
+    expect(second.bot).toBe(botTurns[1])
+    expect(third.violations).toEqual([])
+    expect(third.bot).toBeNull()
+  })
+
+  it('works before the bot review or violations arrive', () => {
+    const rows = buildTimelineRows(game, null, null)
+    expect(rows).toHaveLength(4)
+    expect(rows.every(r => r.violations.length === 0 && r.bot === null)).toBe(true)
+  })
+
+  it('is empty for a game without actions', () => {
+    expect(buildTimelineRows({ players: ['alice', 'bob'] }, violations, botTurns)).toEqual([])
+  })
+})
+
+describe('filterTimelineRows', () => {
+  const rows = buildTimelineRows(game, violations, botTurns)
+  const turns = (filters) => filterTimelineRows(rows, { player: '', severity: '', classification: '', ...filters }).map(r => r.turn)
+
+  it('keeps every row without filters', () => {
+    expect(turns({})).toEqual([1, 2, 3, 4])
+  })
+
+  it('filters by player, any violation severity and bot verdict', () => {
+    expect(turns({ player: 'alice' })).toEqual([1, 4])
+    expect(turns({ severity: 'critical' })).toEqual([2])
+    expect(turns({ severity: 'warning' })).toEqual([2])
+    expect(turns({ classification: 'inaccuracy' })).toEqual([4])
+  })
+
+  it('combines filters', () => {
+    expect(turns({ player: 'alice', severity: 'info' })).toEqual([4])
+    expect(turns({ player: 'bob', classification: 'correct' })).toEqual([])
+  })
+})
+
+describe('worstSeverity', () => {
+  it('is the most severe violation, or undefined without any', () => {
+    expect(worstSeverity([{ severity: 'info' }, { severity: 'critical' }, { severity: 'warning' }])).toBe('critical')
+    expect(worstSeverity([{ severity: 'info' }])).toBe('info')
+    expect(worstSeverity([])).toBeUndefined()
+  })
+})
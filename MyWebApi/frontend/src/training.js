@@ -0,0 +1,176 @@
+import { useState } from 'react'
+import { getGameAnalysis, isAbortError } from './api'
+import { getVariant, clueLabel } from './variants'
+
+// "What would you do?" puzzles built from the moments a player missed a save,
+// missed a finesse or misread a save. Scores per violation type are kept in
+// localStorage so the quiz can drill the weakest convention:
+//   { [type]: { attempts, correct } }
+
+export const TRAINING_TYPES = ['MissedSave', 'MissedFinesse', 'MisreadSave']
+
+// How many of the player's most recent games are searched for puzzles
+export const TRAINING_GAMES = 20
+const CONCURRENT_ANALYSES = 3
+
+const SCORES_KEY = 'hanabi-analytics:training'
+
+function readScores() {
+  try {
+    return JSON.parse(localStorage.getItem(SCORES_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+function writeScores(scores) {
+  try {
+    localStorage.setItem(SCORES_KEY, JSON.stringify(scores))
+  } catch {
+    // Storage full or disabled: scores last until the page is closed
+  }
+}
+
+export function useTrainingScores() {
+  const [scores, setScores] = useState(readScores)
+
+  // Build from the latest scores, so answers recorded in quick succession all count
+  const update = (change) => setScores(prev => {
+    const next = change(prev)
+    writeScores(next)
+    return next
+  })
+
+  const record = (type, correct) => update(prev => recordAttempt(prev, type, correct))
+
+  return { scores, record, reset: () => update(() => ({})) }
+}
+
+export function recordAttempt(scores, type, correct) {
+  const prev = scores[type] || { attempts: 0, correct: 0 }
+  return { ...scores, [type]: { attempts: prev.attempts + 1, correct: prev.correct + (correct ? 1 : 0) } }
+}
+
+export const scoreRate = (score) => score?.attempts ? score.correct / score.attempts : null
+
+// Type to drill next: untried types first, then the lowest hit rate.
+// Only types with at least one puzzle in `counts` qualify.
+export function weakestType(scores, counts) {
+  const candidates = TRAINING_TYPES.filter(type => counts[type] > 0)
+  if (candidates.length === 0) return null
+  const rank = (type) => scoreRate(scores[type]) ?? -1
+  return candidates.reduce((weakest, type) => rank(type) < rank(weakest) ? type : weakest)
+}
+
+/**
+ * Fetch the analyses of `gameIds`, a few at a time. Games that fail to load
+ * are counted and skipped; aborting rejects with the abort error.
+ * @returns {Promise<{ analyses: object[], failed: number }>} analyses in `gameIds` order
+ */
+export async function loadTrainingGames(gameIds, { signal, onProgress } = {}) {
+  const results = new Array(gameIds.length).fill(null)
+  let next = 0
+  let done = 0
+  let failed = 0
+
+  const worker = async () => {
+    while (next < gameIds.length) {
+      const index = next++
+      try {
+        results[index] = await getGameAnalysis(gameIds[index], { signal })
+      } catch (err) {
+        if (isAbortError(err)) throw err
+        failed++
+      }
+      onProgress?.(++done)
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENT_ANALYSES }, worker))
+  return { analyses: results.filter(Boolean), failed }
+}
+
+// The turn the violation's player had to decide on. Usually the violation's own
+// turn; a missed finesse is reported at the setup clue, so it's the finesse
+// player's next turn after that. Null if the game ended first.
+export function decisionTurn(violation, players, actionCount) {
+  const playerIndex = players.indexOf(violation.player)
+  let turn = violation.turn
+  if (playerIndex >= 0) {
+    while ((turn - 1) % players.length !== playerIndex) turn++
+  }
+  return turn <= actionCount ? turn : null
+}
+
+/**
+ * Puzzles from one game analysis: the board before the decision turn, seen by
+ * the player who acts on it, with the action they actually took.
+ * @param {object} analysis getGameAnalysis() result
+ * @param {object} options
+ * @param {string} options.player dashboard player
+ * @param {boolean} [options.includeTeammates] also use teammates' violations
+ */
+export function buildPuzzles(analysis, { player, includeTeammates = false }) {
+  const { game, states, violations } = analysis
+  if (!states || !violations || !game.players?.length) return []
+  const actions = game.actions || []
+  const variant = getVariant(analysis.variantName, { numSuits: states[0]?.playStacks.length })
+  const isPlayer = (name) => name?.toLowerCase() === player.toLowerCase()
+
+  return violations
+    .filter(v => TRAINING_TYPES.includes(v.type) && (includeTeammates || isPlayer(v.player)))
+    .map(violation => {
+      const turn = decisionTurn(violation, game.players, actions.length)
+      if (!turn || !states[turn - 1]) return null
+      return {
+        key: `${game.id}:${turn}:${violation.type}:${violation.player}`,
+        gameId: game.id,
+        turn,
+        violation,
+        actor: (turn - 1) % game.players.length,
+        state: states[turn - 1],
+        actual: actions[turn - 1],
+        players: game.players,
+        actions,
+        states,
+        variant,
+      }
+    })
+    .filter(Boolean)
+}
+
+export const isClue = (move) => move.type === 2 || move.type === 3
+
+// Play/discard moves match on the card, clues on receiver and value
+export const sameMove = (a, b) =>
+  Boolean(a && b) && a.type === b.type && a.target === b.target && (!isClue(a) || a.value === b.value)
+
+// Slot number of a card in a hand, counted from the newest card (slot 1)
+export const slotOf = (hand, deckIndex) => {
+  const index = hand.findIndex(card => card.deckIndex === deckIndex)
+  return index < 0 ? null : hand.length - index
+}
+
+// "Play slot 1", "Discard slot 4", "Red clue to Alice"
+export function describeMove(move, puzzle) {
+  if (!move) return 'No move'
+  const name = (index) => puzzle.players[index] || `Player ${index + 1}`
+  if (isClue(move)) return `${clueLabel(puzzle.variant, move)} clue to ${name(move.target)}`
+  const slot = slotOf(puzzle.state.hands[puzzle.actor], move.target)
+  const verb = move.type === 0 ? 'Play' : 'Discard'
+  return slot ? `${verb} slot ${slot}` : `${verb} a card`
+}
+
+/**
+ * Score an answer. With the bot review loaded the bot's recommendation is the
+ * answer; without it, anything but the move the violation was about counts.
+ * @param {object} move the user's move
+ * @param {object} puzzle
+ * @param {object|null} botTurn the bot review's entry for the puzzle turn
+ * @returns {{ correct: boolean, basis: 'bot' | 'actual', botMove: object|null }}
+ */
+export function judgeMove(move, puzzle, botTurn) {
+  const bot = botTurn?.candidates?.find(c => c.isBot)
+  if (bot) return { correct: sameMove(move, bot.action), basis: 'bot', botMove: bot.action }
+  return { correct: !sameMove(move, puzzle.actual), basis: 'actual', botMove: null }
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { useState } from 'react'
+import {
+  weakestType, scoreRate, decisionTurn, buildPuzzles, sameMove, slotOf, describeMove, judgeMove,
+  recordAttempt, useTrainingScores,
+} from './training'
+import { STANDARD_VARIANT } from './variants'
+
+// Lets useTrainingScores run outside a component (see its tests below)
+vi.mock('react', async (importOriginal) => ({ ...(await importOriginal()), useState: vi.fn() }))
+
+const players = ['alice', 'bob', 'carol']
+const hand = (...deckIndexes) => deckIndexes.map(deckIndex => ({ deckIndex, suitIndex: 0, rank: 1 }))
+const state = { playStacks: [0, 0, 0, 0, 0], hands: [hand(0, 1, 2, 3), hand(4, 5, 6, 7), hand(8, 9, 10, 11)] }
+const PLAY = (target) => ({ type: 0, target, value: 0 })
+const DISCARD = (target) => ({ type: 1, target, value: 0 })
+const COLOR = (target, value) => ({ type: 2, target, value })
+const RANK = (target, value) => ({ type: 3, target, value })
+
+describe('decisionTurn', () => {
+  it('uses the violation turn when it is the player\'s own', () => {
+    expect(decisionTurn({ turn: 4, player: 'alice' }, players, 9)).toBe(4)
+  })
+
+  it('moves on to the player\'s next turn, e.g. after a finesse setup clue', () => {
+    expect(decisionTurn({ turn: 2, player: 'alice' }, players, 9)).toBe(4)
+    expect(decisionTurn({ turn: 4, player: 'carol' }, players, 9)).toBe(6)
+  })
+
+  it('is null when the game ends first and leaves unknown players alone', () => {
+    expect(decisionTurn({ turn: 8, player: 'alice' }, players, 9)).toBeNull()
+    expect(decisionTurn({ turn: 5, player: 'dave' }, players, 9)).toBe(5)
+  })
+})
+
+describe('buildPuzzles', () => {
+  const actions = [PLAY(0), COLOR(0, 0), DISCARD(8), PLAY(3), RANK(0, 5), DISCARD(11), PLAY(2), DISCARD(7), PLAY(1)]
+  const analysis = {
+    game: { id: 42, players, actions },
+    states: actions.map(() => state),
+    violations: [
+      { turn: 2, type: 'MissedFinesse', player: 'alice' },
+      { turn: 6, type: 'MissedSave', player: 'Carol' },
+      { turn: 5, type: 'Misplay', player: 'bob' },
+      { turn: 8, type: 'MisreadSave', player: 'alice' },
+    ],
+  }
+
+  it('turns the player\'s training violations into puzzles at their decision turn', () => {
+    const [puzzle, ...rest] = buildPuzzles(analysis, { player: 'ALICE' })
+    expect(rest).toEqual([])
+    expect(puzzle).toMatchObject({ key: '42:4:MissedFinesse:alice', gameId: 42, turn: 4, actor: 0, actual: PLAY(3) })
+    expect(puzzle.state).toBe(state)
+    expect(puzzle.variant.suits).toHaveLength(5)
+  })
+
+  it('includes teammates on request', () => {
+    expect(buildPuzzles(analysis, { player: 'alice', includeTeammates: true }).map(p => p.key))
+      .toEqual(['42:4:MissedFinesse:alice', '42:6:MissedSave:Carol'])
+  })
+
+  it('returns nothing without states or violations', () => {
+    expect(buildPuzzles({ ...analysis, states: null }, { player: 'alice' })).toEqual([])
+  })
+})
+
+describe('moves', () => {
+  const puzzle = { players, actor: 0, state, variant: STANDARD_VARIANT, actual: DISCARD(0) }
+
+  it('counts slots from the newest card', () => {
+    expect(slotOf(state.hands[0], 3)).toBe(1)
+    expect(slotOf(state.hands[0], 0)).toBe(4)
+    expect(slotOf(state.hands[0], 9)).toBeNull()
+  })
+
+  it('compares plays by card and clues by receiver and value', () => {
+    expect(sameMove(PLAY(3), PLAY(3))).toBe(true)
+    expect(sameMove(PLAY(3), DISCARD(3))).toBe(false)
+    expect(sameMove(COLOR(1, 0), COLOR(1, 0))).toBe(true)
+    expect(sameMove(COLOR(1, 0), COLOR(1, 1))).toBe(false)
+    expect(sameMove(PLAY(3), null)).toBe(false)
+  })
+
+  it('describes moves by slot and clue', () => {
+    expect(describeMove(PLAY(3), puzzle)).toBe('Play slot 1')
+    expect(describeMove(DISCARD(0), puzzle)).toBe('Discard slot 4')
+    expect(describeMove(COLOR(1, 0), puzzle)).toBe('Red clue to bob')
+    expect(describeMove(RANK(2, 5), puzzle)).toBe('5 clue to carol')
+    expect(describeMove(null, puzzle)).toBe('No move')
+  })
+
+  it('judges against the bot when its review is loaded', () => {
+    const botTurn = { candidates: [{ isBot: false, action: DISCARD(0) }, { isBot: true, action: COLOR(1, 0) }] }
+    expect(judgeMove(COLOR(1, 0), puzzle, botTurn)).toEqual({ correct: true, basis: 'bot', botMove: COLOR(1, 0) })
+    expect(judgeMove(PLAY(3), puzzle, botTurn).correct).toBe(false)
+  })
+
+  it('otherwise accepts anything but the move that was made', () => {
+    expect(judgeMove(PLAY(3), puzzle, null)).toEqual({ correct: true, basis: 'actual', botMove: null })
+    expect(judgeMove(DISCARD(0), puzzle, { candidates: [] }).correct).toBe(false)
+  })
+})
+
+describe('weakestType', () => {
+  it('prefers untried types, then the lowest hit rate, among types with puzzles', () => {
+    const counts = { MissedSave: 2, MissedFinesse: 1, MisreadSave: 0 }
+    expect(weakestType({}, counts)).toBe('MissedSave')
+    expect(weakestType({ MissedSave: { attempts: 2, correct: 1 } }, counts)).toBe('MissedFinesse')
+    expect(weakestType({
+      MissedSave: { attempts: 4, correct: 1 },
+      MissedFinesse: { attempts: 2, correct: 1 },
+    }, counts)).toBe('MissedSave')
+    expect(weakestType({}, { MisreadSave: 0 })).toBeNull()
+  })
+
+  it('has no rate before the first attempt', () => {
+    expect(scoreRate(undefined)).toBeNull()
+    expect(scoreRate({ attempts: 4, correct: 3 })).toBe(0.75)
+  })
+})
+
+describe('recordAttempt', () => {
+  it('counts the attempt, and the hit when correct', () => {
+    const once = recordAttempt({}, 'MissedSave', true)
+    expect(once).toEqual({ MissedSave: { attempts: 1, correct: 1 } })
+    expect(recordAttempt(once, 'MissedSave', false)).toEqual({ MissedSave: { attempts: 2, correct: 1 } })
+    expect(recordAttempt(once, 'MisreadSave', false)).toEqual({
+      MissedSave: { attempts: 1, correct: 1 },
+      MisreadSave: { attempts: 1, correct: 0 },
+    })
+  })
+})
+
+describe('useTrainingScores', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  // One render of the hook, with React state and localStorage kept in plain variables
+  function useStubbedScores(stored) {
+    const storage = new Map(stored && [['hanabi-analytics:training', JSON.stringify(stored)]])
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value),
+    })
+    let state
+    useState.mockImplementation((init) => {
+      state = typeof init === 'function' ? init() : init
+      return [state, (update) => { state = typeof update === 'function' ? update(state) : update }]
+    })
+    const hook = useTrainingScores()
+    return { hook, state: () => state, saved: () => JSON.parse(storage.get('hanabi-analytics:training')) }
+  }
+
+  it('starts from the saved scores', () => {
+    const { hook } = useStubbedScores({ MissedSave: { attempts: 3, correct: 2 } })
+    expect(hook.scores).toEqual({ MissedSave: { attempts: 3, correct: 2 } })
+  })
+
+  it('counts every answer recorded before the next render, and saves them', () => {
+    const { hook, state, saved } = useStubbedScores({ MissedSave: { attempts: 1, correct: 0 } })
+    hook.record('MissedSave', true)
+    hook.record('MissedSave', true)
+    hook.record('MissedFinesse', false)
+
+    const expected = {
+      MissedSave: { attempts: 3, correct: 2 },
+      MissedFinesse: { attempts: 1, correct: 0 },
+    }
+    expect(state()).toEqual(expected)
+    expect(saved()).toEqual(expected)
+  })
+
+  it('resets to no scores', () => {
+    const { hook, state, saved } = useStubbedScores({ MissedSave: { attempts: 1, correct: 0 } })
+    hook.reset()
+    expect(state()).toEqual({})
+    expect(saved()).toEqual({})
+  })
+})
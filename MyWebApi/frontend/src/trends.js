@@ -0,0 +1,127 @@
+// Date ranges, rolling windows and period-over-period comparison for the trend charts
+
+const DAY = 24 * 60 * 60 * 1000
+
+// `games` limits to the most recent N loaded games, `days` to games finished in the last N days
+export const TREND_RANGES = [
+  { value: 'recent30', label: 'Last 30 games', games: 30 },
+  { value: 'recent100', label: 'Last 100 games', games: 100 },
+  { value: 'days7', label: 'Last 7 days', days: 7 },
+  { value: 'days30', label: 'Last 30 days', days: 30 },
+  { value: 'days90', label: 'Last 90 days', days: 90 },
+  { value: 'days365', label: 'Last year', days: 365 },
+  { value: 'all', label: 'All loaded games' },
+]
+
+export const ROLLING_WINDOWS = [5, 10, 20, 50]
+
+export const DEFAULT_TREND_SETTINGS = { range: 'recent30', window: 10 }
+
+const gameTime = (game) => new Date(game.dateTime).getTime()
+
+// Games in `range`, oldest first. Rows may be newest first (history) or oldest first
+// (critical trends); both come back chronological.
+export function gamesInTrendRange(rows, rangeValue, now = Date.now()) {
+  const range = TREND_RANGES.find(r => r.value === rangeValue) || TREND_RANGES[0]
+  const chronological = [...rows].sort((a, b) => gameTime(a) - gameTime(b))
+  if (range.games) return chronological.slice(-range.games)
+  if (range.days) return chronological.filter(g => gameTime(g) >= now - range.days * DAY)
+  return chronological
+}
+
+// Mean of `key` over each point and the window - 1 points before it
+export function withRollingAverage(points, key, window) {
+  return points.map((point, i) => {
+    const slice = points.slice(Math.max(0, i - window + 1), i + 1)
+    const avg = slice.reduce((sum, p) => sum + p[key], 0) / slice.length
+    return { ...point, rollingAvg: parseFloat(avg.toFixed(2)) }
+  })
+}
+
+// ── Period comparison ────────────────────────────────────────────────────────
+// Periods are { from, to } yyyy-mm-dd strings, both inclusive.
+
+export const PERIOD_PRESETS = [
+  { value: 'months', label: 'This month vs last month' },
+  { value: 'days30', label: 'Last 30 days vs the 30 before' },
+  { value: 'days90', label: 'Last 90 days vs the 90 before' },
+  { value: 'custom', label: 'Custom periods' },
+]
+
+const isoDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days)
+
+// { before, after } for a preset; custom starts from the months split
+export function presetPeriods(preset, now = new Date()) {
+  if (preset === 'days30' || preset === 'days90') {
+    const days = preset === 'days30' ? 30 : 90
+    return {
+      before: { from: isoDate(addDays(now, -2 * days + 1)), to: isoDate(addDays(now, -days)) },
+      after: { from: isoDate(addDays(now, -days + 1)), to: isoDate(now) },
+    }
+  }
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1)
+  return {
+    before: { from: isoDate(new Date(now.getFullYear(), now.getMonth() - 1, 1)), to: isoDate(addDays(monthStart, -1)) },
+    after: { from: isoDate(monthStart), to: isoDate(now) },
+  }
+}
+
+export const isValidPeriod = (period) => Boolean(period.from && period.to && period.from <= period.to)
+
+// Backend range: local midnight at the start of `from` up to (excluding) the day after `to`
+export const periodRange = (period) => ({
+  from: new Date(`${period.from}T00:00:00`).toISOString(),
+  to: addDays(new Date(`${period.to}T00:00:00`), 1).toISOString(),
+})
+
+export const inPeriod = (game, period) => {
+  const { from, to } = periodRange(period)
+  const time = gameTime(game)
+  return time >= new Date(from).getTime() && time < new Date(to).getTime()
+}
+
+// Score stats over the loaded history games in a period, using the same
+// definitions as the stat cards (strikeouts don't count towards the average)
+export function periodScoreStats(games, period) {
+  const scores = games.filter(g => inPeriod(g, period)).map(g => g.score)
+  const nonZero = scores.filter(s => s > 0)
+  return {
+    games: scores.length,
+    avgScore: nonZero.length > 0 ? nonZero.reduce((a, b) => a + b, 0) / nonZero.length : null,
+    strikeoutRate: scores.length > 0 ? (scores.filter(s => s === 0).length / scores.length) * 100 : null,
+  }
+}
+
+export const criticalsPerGame = (criticalTrends) => {
+  const games = criticalTrends?.games || []
+  return games.length > 0 ? games.reduce((sum, g) => sum + g.criticalCount, 0) / games.length : null
+}
+
+// Metrics shown in the comparison. `better` is the direction of improvement;
+// changes under `small` are flat, over `large` are big.
+export const PERIOD_METRICS = [
+  { key: 'avgScore', label: 'Avg score', better: 'higher', small: 0.25, large: 1.5, format: v => v.toFixed(1) },
+  { key: 'strikeoutRate', label: 'Strikeout rate', better: 'lower', small: 1, large: 5, format: v => `${v.toFixed(1)}%` },
+  { key: 'criticalsPerGame', label: 'Critical mistakes / game', better: 'lower', small: 0.05, large: 0.3, format: v => v.toFixed(2) },
+]
+
+// Playstyle dimensions are 0-100 percentiles
+export const DIMENSION_CHANGE = { small: 2, large: 10 }
+
+/**
+ * Direction and size of the change from `before` to `after`.
+ * @returns {{ delta: number, direction: 'up' | 'down' | 'flat', size: 'small' | 'medium' | 'large', verdict: 'better' | 'worse' | null } | null}
+ */
+export function describeChange(before, after, { better = null, small, large }) {
+  if (before === null || before === undefined || after === null || after === undefined) return null
+  const delta = after - before
+  const magnitude = Math.abs(delta)
+  if (magnitude < small) return { delta, direction: 'flat', size: 'small', verdict: null }
+  const direction = delta > 0 ? 'up' : 'down'
+  const size = magnitude >= large ? 'large' : 'medium'
+  const verdict = better ? ((direction === 'up') === (better === 'higher') ? 'better' : 'worse') : null
+  return { delta, direction, size, verdict }
+}
@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest'
+import {
+  gamesInTrendRange, withRollingAverage, presetPeriods, isValidPeriod, periodRange, inPeriod,
+  periodScoreStats, criticalsPerGame, describeChange,
+} from './trends'
+
+// Local-time timestamps, matching how periods are interpreted
+const local = (text) => new Date(text)
+
+describe('gamesInTrendRange', () => {
+  const rows = [
+    { id: 3, dateTime: '2024-03-20T10:00:00' },
+    { id: 1, dateTime: '2024-01-01T10:00:00' },
+    { id: 2, dateTime: '2024-03-01T10:00:00' },
+  ]
+  const ids = (range, now) => gamesInTrendRange(rows, range, now).map(g => g.id)
+
+  it('returns games oldest first', () => {
+    expect(ids('all')).toEqual([1, 2, 3])
+  })
+
+  it('limits by game count or by days before now', () => {
+    expect(gamesInTrendRange(rows, 'recent30')).toHaveLength(3)
+    expect(ids('days30', local('2024-03-25T00:00:00').getTime())).toEqual([2, 3])
+    expect(ids('days7', local('2024-03-25T00:00:00').getTime())).toEqual([3])
+  })
+
+  it('falls back to the first range for unknown values', () => {
+    expect(ids('nope')).toEqual([1, 2, 3])
+  })
+})
+
+describe('withRollingAverage', () => {
+  it('averages over the window, using fewer points at the start', () => {
+    const points = [{ v: 1 }, { v: 2 }, { v: 6 }, { v: 10 }]
+    expect(withRollingAverage(points, 'v', 3).map(p => p.rollingAvg)).toEqual([1, 1.5, 3, 6])
+  })
+})
+
+describe('presetPeriods', () => {
+  it('splits this month from last month', () => {
+    expect(presetPeriods('months', local('2024-03-15T12:00:00'))).toEqual({
+      before: { from: '2024-02-01', to: '2024-02-29' },
+      after: { from: '2024-03-01', to: '2024-03-15' },
+    })
+  })
+
+  it('rolls the month split back across the year', () => {
+    expect(presetPeriods('custom', local('2024-01-05T12:00:00')).before).toEqual({ from: '2023-12-01', to: '2023-12-31' })
+  })
+
+  it('makes two adjacent windows of equal length', () => {
+    expect(presetPeriods('days30', local('2024-03-31T12:00:00'))).toEqual({
+      before: { from: '2024-02-01', to: '2024-03-01' },
+      after: { from: '2024-03-02', to: '2024-03-31' },
+    })
+  })
+})
+
+describe('periods', () => {
+  const period = { from: '2024-03-01', to: '2024-03-31' }
+
+  it('needs both ends in order', () => {
+    expect(isValidPeriod(period)).toBe(true)
+    expect(isValidPeriod({ from: '2024-03-01', to: '2024-03-01' })).toBe(true)
+    expect(isValidPeriod({ from: '2024-03-02', to: '2024-03-01' })).toBe(false)
+    expect(isValidPeriod({ from: '', to: '2024-03-01' })).toBe(false)
+  })
+
+  it('sends the backend local midnight up to the day after the end', () => {
+    expect(periodRange(period)).toEqual({
+      from: local('2024-03-01T00:00:00').toISOString(),
+      to: local('2024-04-01T00:00:00').toISOString(),
+    })
+  })
+
+  it('includes the whole last day', () => {
+    expect(inPeriod({ dateTime: local('2024-03-31T23:59:00').toISOString() }, period)).toBe(true)
+    expect(inPeriod({ dateTime: local('2024-04-01T00:00:00').toISOString() }, period)).toBe(false)
+    expect(inPeriod({ dateTime: local('2024-02-29T23:59:00').toISOString() }, period)).toBe(false)
+  })
+
+  it('leaves strikeouts out of the average score', () => {
+    const games = [20, 0, 24, 25].map((score, i) => ({ score, dateTime: local(`2024-03-0${i + 1}T12:00:00`).toISOString() }))
+    expect(periodScoreStats(games, period)).toEqual({ games: 4, avgScore: 23, strikeoutRate: 25 })
+    expect(periodScoreStats(games, { from: '2024-05-01', to: '2024-05-02' })).toEqual({ games: 0, avgScore: null, strikeoutRate: null })
+  })
+
+  it('averages critical mistakes per game', () => {
+    expect(criticalsPerGame({ games: [{ criticalCount: 1 }, { criticalCount: 2 }] })).toBe(1.5)
+    expect(criticalsPerGame(null)).toBe(null)
+  })
+})
+
+describe('describeChange', () => {
+  const metric = { better: 'lower', small: 1, large: 5 }
+
+  it('is null when either side is missing', () => {
+    expect(describeChange(null, 3, metric)).toBe(null)
+    expect(describeChange(3, undefined, metric)).toBe(null)
+  })
+
+  it('calls changes under the small threshold flat', () => {
+    expect(describeChange(10, 10.5, metric)).toEqual({ delta: 0.5, direction: 'flat', size: 'small', verdict: null })
+  })
+
+  it('sizes the change and judges it by the better direction', () => {
+    expect(describeChange(10, 12, metric)).toEqual({ delta: 2, direction: 'up', size: 'medium', verdict: 'worse' })
+    expect(describeChange(10, 5, metric)).toEqual({ delta: -5, direction: 'down', size: 'large', verdict: 'better' })
+    expect(describeChange(10, 20, { ...metric, better: 'higher' }).verdict).toBe('better')
+  })
+
+  it('gives no verdict for metrics without a better direction', () => {
+    expect(describeChange(40, 60, { small: 2, large: 10 })).toEqual({ delta: 20, direction: 'up', size: 'large', verdict: null })
+  })
+})
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from 'react'
+
+// Calls onLoadMore whenever the returned sentinel ref scrolls near the viewport.
+// The observer is rebuilt when `enabled` or `resetKey` change, so a sentinel that
+// is still visible after a page loads triggers the next page straight away.
+export function useInfiniteScroll(onLoadMore, enabled, resetKey) {
+  const sentinelRef = useRef(null)
+  const callbackRef = useRef(onLoadMore)
+
+  useEffect(() => {
+    callbackRef.current = onLoadMore
+  })
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return
+    const observer = new IntersectionObserver(
+      entries => {
+        if (entries.some(entry => entry.isIntersecting)) callbackRef.current()
+      },
+      { rootMargin: '400px' }
+    )
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [enabled, resetKey])
+
+  return sentinelRef
+}
@@ -0,0 +1,20 @@
+import { useState, useCallback } from 'react'
+
+let nextToastId = 1
+
+// Non-blocking notifications: { id, message, action?: { label, onClick } }
+export function useToasts() {
+  const [toasts, setToasts] = useState([])
+
+  const dismissToast = useCallback((id) => {
+    setToasts(prev => prev.filter(t => t.id !== id))
+  }, [])
+
+  const showToast = useCallback((toast) => {
+    const id = nextToastId++
+    setToasts(prev => [...prev, { ...toast, id }])
+    return id
+  }, [])
+
+  return { toasts, showToast, dismissToast }
+}
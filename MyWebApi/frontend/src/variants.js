@@ -0,0 +1,142 @@
+// Variant descriptors: which suits a game uses, how to draw them, and which
+// cards a clue touches. Every board renderer goes through these so non-standard
+// games (6 suits, Rainbow, Black, ...) draw the same way everywhere.
+//
+// Names follow hanab.live: "No Variant", "6 Suits", "Rainbow (6 Suits)",
+// "Black & Rainbow (6 Suits)". Special suits replace the last standard suits.
+
+const RANKS = [1, 2, 3, 4, 5]
+
+/**
+ * Suit catalog.
+ * - multiColor: touched by every color clue, has no color clue of its own
+ * - noColors:   touched by no color clue and has none of its own
+ * - allRanks:   touched by every rank clue
+ * - noRanks:    touched by no rank clue
+ * - dark:       one copy of each rank, so every card is critical
+ */
+export const SUITS = {
+  Red: { abbreviation: 'R', color: '#ff4444', symbol: '◆' },
+  Yellow: { abbreviation: 'Y', color: '#ffdd44', symbol: '★' },
+  Green: { abbreviation: 'G', color: '#44dd44', symbol: '♣' },
+  Blue: { abbreviation: 'B', color: '#4488ff', symbol: '●' },
+  Purple: { abbreviation: 'P', color: '#aa44ff', symbol: '♠' },
+  Teal: { abbreviation: 'T', color: '#22cccc', symbol: '▲' },
+  Black: { abbreviation: 'K', color: '#3a3a44', symbol: '✖', dark: true },
+  Rainbow: { abbreviation: 'M', color: '#ff9944', symbol: '✺', multiColor: true },
+  Pink: { abbreviation: 'I', color: '#ff88cc', symbol: '♥', allRanks: true },
+  White: { abbreviation: 'W', color: '#e8e8f0', symbol: '○', noColors: true },
+  Brown: { abbreviation: 'N', color: '#a0672e', symbol: '■', noRanks: true },
+  Omni: { abbreviation: 'O', color: '#ff9944', symbol: '✦', multiColor: true, allRanks: true },
+  Null: { abbreviation: 'U', color: '#9a9aa8', symbol: '◌', noColors: true, noRanks: true },
+  'Dark Rainbow': { abbreviation: 'M', color: '#884422', symbol: '✹', multiColor: true, dark: true },
+  Gray: { abbreviation: 'A', color: '#707080', symbol: '◍', noColors: true, dark: true },
+  'Dark Pink': { abbreviation: 'I', color: '#b04c80', symbol: '❤', allRanks: true, dark: true },
+  'Dark Brown': { abbreviation: 'N', color: '#5c3a1a', symbol: '▰', noRanks: true, dark: true },
+}
+
+const STANDARD_SUITS = ['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Teal']
+
+const describeSuit = (name) => ({
+  name,
+  // CSS name for the suit's color and pattern variables (--suit-dark-rainbow, --pattern-dark-rainbow)
+  slug: name.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+  // Suits we don't know still get a distinct label, just no special clue rules
+  ...(SUITS[name] || { abbreviation: name.charAt(0).toUpperCase(), color: '#888888', symbol: '?' }),
+})
+
+// Suit names for a hanab.live variant name, or null if it isn't one we can parse
+export function suitNamesForVariant(variantName) {
+  if (!variantName || variantName === 'No Variant') return STANDARD_SUITS.slice(0, 5)
+  const match = variantName.match(/^(?:(.+) \()?([3-6]) Suits\)?$/)
+  if (!match) return null
+  const specials = match[1] ? match[1].split(' & ') : []
+  if (specials.some(name => !SUITS[name])) return null
+  const count = Number(match[2])
+  return [...STANDARD_SUITS.slice(0, count - specials.length), ...specials]
+}
+
+/**
+ * Descriptor for a game's variant.
+ *
+ * Exact suit names (e.g. from the bot review) win over the variant name; if
+ * neither is usable, the first `numSuits` standard suits stand in and
+ * `known` is false.
+ * @param {string} [variantName] hanab.live variant name
+ * @param {{ suitNames?: string[], numSuits?: number }} [hints]
+ */
+export function getVariant(variantName, { suitNames, numSuits } = {}) {
+  const fromName = suitNamesForVariant(variantName)
+  const known = Boolean(suitNames?.length) || (fromName !== null && (!numSuits || fromName.length === numSuits))
+  const names = suitNames?.length
+    ? suitNames
+    : known ? fromName : STANDARD_SUITS.slice(0, numSuits || 5)
+
+  const suits = names.map(describeSuit)
+  // Color clues available in this variant; a clue's value indexes this list
+  const clueColors = suits.filter(s => !s.multiColor && !s.noColors).map(({ name, slug, color, symbol }) => ({ name, slug, color, symbol }))
+  const deckSize = suits.reduce((sum, suit) =>
+    sum + RANKS.reduce((n, rank) => n + copiesOfCard(suit, rank), 0), 0)
+
+  return {
+    name: variantName || 'No Variant',
+    known,
+    suits,
+    clueColors,
+    deckSize,
+    maxScore: suits.length * RANKS.length,
+  }
+}
+
+export const STANDARD_VARIANT = getVariant('No Variant')
+
+// Copies of a card in the deck: dark suits have one of each rank
+export function copiesOfCard(suit, rank) {
+  if (suit?.dark) return 1
+  return rank === 1 ? 3 : rank === 5 ? 1 : 2
+}
+
+// Suit of a card, or null for an unknown suit index (hidden cards)
+export const suitOf = (variant, suitIndex) => variant.suits[suitIndex] ?? null
+
+/**
+ * Whether a clue touches a card. Works for anything with a suitIndex and a
+ * rank, so it applies to hypothetical identities as well as real cards.
+ * @param {{ type: number, value: number }} clue action type 2 (color) or 3 (rank)
+ */
+export function clueTouches(variant, clue, { suitIndex, rank }) {
+  const suit = suitOf(variant, suitIndex)
+  if (!suit) return false
+  if (clue.type === 2) {
+    if (suit.multiColor) return true
+    return !suit.noColors && variant.clueColors[clue.value]?.name === suit.name
+  }
+  if (suit.allRanks) return true
+  return !suit.noRanks && rank === clue.value
+}
+
+// "Red" / "3" for a clue action
+export function clueLabel(variant, clue) {
+  if (clue.type === 2) return variant.clueColors[clue.value]?.name ?? `Color ${clue.value + 1}`
+  return String(clue.value)
+}
+
+// CSS color for a suit or clue color: the active palette's override, else the catalog color
+export const suitColor = (suit) => `var(--suit-${suit.slug}, ${suit.color})`
+
+// Display color of a color clue's value
+export const clueColor = (variant, value) => {
+  const clue = variant.clueColors[value]
+  return clue ? suitColor(clue) : '#888888'
+}
+
+// Tint (and pattern overlay, when enabled) for an element drawn in a suit's color
+export const suitStyle = (suit) => (suit
+  ? { '--suit-color': suitColor(suit), '--suit-pattern': `var(--pattern-${suit.slug}, none)` }
+  : {})
+
+// Multi-color suits get a rainbow fill and dark suits a marked border (see "Variant Suits" in App.css)
+export function suitClass(suit) {
+  if (!suit) return ''
+  return [suit.multiColor && 'suit-multi', suit.dark && 'suit-dark'].filter(Boolean).join(' ')
+}
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest'
+import {
+  suitNamesForVariant, getVariant, STANDARD_VARIANT, copiesOfCard, suitOf, clueTouches, clueLabel, suitClass,
+} from './variants'
+
+const COLOR = (value) => ({ type: 2, value })
+const RANK = (value) => ({ type: 3, value })
+
+describe('suitNamesForVariant', () => {
+  it('reads standard and special-suit variant names', () => {
+    expect(suitNamesForVariant('No Variant')).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Purple'])
+    expect(suitNamesForVariant(undefined)).toHaveLength(5)
+    expect(suitNamesForVariant('6 Suits')).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Teal'])
+    expect(suitNamesForVariant('3 Suits')).toEqual(['Red', 'Yellow', 'Green'])
+    expect(suitNamesForVariant('Rainbow (5 Suits)')).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Rainbow'])
+    expect(suitNamesForVariant('Black & Rainbow (6 Suits)'))
+      .toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Black', 'Rainbow'])
+    expect(suitNamesForVariant('Dark Rainbow (6 Suits)')).toContain('Dark Rainbow')
+  })
+
+  it('gives up on names it cannot parse', () => {
+    expect(suitNamesForVariant('Up or Down (5 Suits)')).toBeNull()
+    expect(suitNamesForVariant('Rainbow-Ones (5 Suits)')).toBeNull()
+    expect(suitNamesForVariant('Rainbow (7 Suits)')).toBeNull()
+  })
+})
+
+describe('getVariant', () => {
+  it('describes the standard game', () => {
+    expect(STANDARD_VARIANT.known).toBe(true)
+    expect(STANDARD_VARIANT.deckSize).toBe(50)
+    expect(STANDARD_VARIANT.maxScore).toBe(25)
+    expect(STANDARD_VARIANT.clueColors.map(c => c.name)).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Purple'])
+  })
+
+  it('leaves special suits out of the color clues and counts dark suits once', () => {
+    const variant = getVariant('Black & Rainbow (6 Suits)')
+    expect(variant.clueColors.map(c => c.name)).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Black'])
+    expect(variant.deckSize).toBe(4 * 10 + 5 + 10)
+    expect(variant.maxScore).toBe(30)
+    expect(variant.suits.map(s => s.slug)).toEqual(['red', 'yellow', 'green', 'blue', 'black', 'rainbow'])
+    expect(getVariant('Dark Rainbow (6 Suits)').suits[5].slug).toBe('dark-rainbow')
+  })
+
+  it('prefers exact suit names over the variant name', () => {
+    const variant = getVariant('Something New', { suitNames: ['Red', 'Pink', 'Mystery'] })
+    expect(variant.known).toBe(true)
+    expect(variant.suits.map(s => s.name)).toEqual(['Red', 'Pink', 'Mystery'])
+    expect(variant.suits[2]).toMatchObject({ abbreviation: 'M', symbol: '?' })
+  })
+
+  it('falls back to standard suits when the name does not fit', () => {
+    const unknown = getVariant('Up or Down (6 Suits)', { numSuits: 6 })
+    expect(unknown.known).toBe(false)
+    expect(unknown.name).toBe('Up or Down (6 Suits)')
+    expect(unknown.suits).toHaveLength(6)
+
+    const mismatched = getVariant('Rainbow (5 Suits)', { numSuits: 6 })
+    expect(mismatched.known).toBe(false)
+    expect(mismatched.suits.map(s => s.name)).toEqual(['Red', 'Yellow', 'Green', 'Blue', 'Purple', 'Teal'])
+  })
+})
+
+describe('copiesOfCard', () => {
+  it('has three ones, one five and one of everything in dark suits', () => {
+    const red = { name: 'Red' }
+    expect([1, 2, 3, 4, 5].map(rank => copiesOfCard(red, rank))).toEqual([3, 2, 2, 2, 1])
+    expect(copiesOfCard({ dark: true }, 1)).toBe(1)
+  })
+})
+
+describe('clueTouches', () => {
+  const variant = getVariant('Rainbow & White & Brown & Pink (6 Suits)')
+  // Red, Yellow, Rainbow, White, Brown, Pink; color clues are Red, Yellow, Brown, Pink
+  const card = (suitName, rank) => ({ suitIndex: variant.suits.findIndex(s => s.name === suitName), rank })
+
+  it('has color clues only for ordinary suits', () => {
+    expect(variant.clueColors.map(c => c.name)).toEqual(['Red', 'Yellow', 'Brown', 'Pink'])
+  })
+
+  it('touches ordinary cards by their own color and rank', () => {
+    expect(clueTouches(variant, COLOR(0), card('Red', 3))).toBe(true)
+    expect(clueTouches(variant, COLOR(1), card('Red', 3))).toBe(false)
+    expect(clueTouches(variant, RANK(3), card('Red', 3))).toBe(true)
+    expect(clueTouches(variant, RANK(4), card('Red', 3))).toBe(false)
+  })
+
+  it('touches rainbow with every color and white with none', () => {
+    expect([0, 1, 2, 3].every(value => clueTouches(variant, COLOR(value), card('Rainbow', 2)))).toBe(true)
+    expect([0, 1, 2, 3].some(value => clueTouches(variant, COLOR(value), card('White', 2)))).toBe(false)
+    expect(clueTouches(variant, RANK(2), card('White', 2))).toBe(true)
+  })
+
+  it('touches brown with no rank and pink with every rank', () => {
+    expect(clueTouches(variant, RANK(2), card('Brown', 2))).toBe(false)
+    expect(clueTouches(variant, COLOR(2), card('Brown', 2))).toBe(true)
+    expect(clueTouches(variant, RANK(5), card('Pink', 2))).toBe(true)
+  })
+
+  it('touches nothing for an unknown suit', () => {
+    expect(clueTouches(variant, RANK(2), { suitIndex: -1, rank: 2 })).toBe(false)
+    expect(suitOf(variant, 9)).toBeNull()
+  })
+})
+
+describe('clueLabel', () => {
+  it('names color clues by the variant colors and rank clues by number', () => {
+    const variant = getVariant('Rainbow (6 Suits)')
+    expect(clueLabel(variant, COLOR(4))).toBe('Purple')
+    expect(clueLabel(variant, COLOR(7))).toBe('Color 8')
+    expect(clueLabel(variant, RANK(4))).toBe('4')
+  })
+})
+
+describe('suitClass', () => {
+  it('marks multi-color and dark suits', () => {
+    expect(suitClass(getVariant('Dark Rainbow (6 Suits)').suits[5])).toBe('suit-multi suit-dark')
+    expect(suitClass(STANDARD_VARIANT.suits[0])).toBe('')
+    expect(suitClass(null)).toBe('')
+  })
+})
@@ -0,0 +1,38 @@
+// Display helpers for rule violations returned by the analysis API
+
+export const getSeverityClass = (severity) => {
+  switch (severity) {
+    case 'critical': return 'severity-critical'
+    case 'warning': return 'severity-warning'
+    case 'info': return 'severity-info'
+    default: return ''
+  }
+}
+
+export const getSeverityIcon = (severity) => {
+  switch (severity) {
+    case 'critical': return '!!'
+    case 'warning': return '!'
+    case 'info': return 'i'
+    default: return '?'
+  }
+}
+
+export const formatViolationType = (type) => {
+  switch (type) {
+    // Phase 1
+    case 'Misplay': return 'Misplay'
+    case 'BadDiscard5': return 'Discarded 5'
+    case 'BadDiscardCritical': return 'Discarded Critical'
+    // Phase 2
+    case 'GoodTouchViolation': return 'Good Touch'
+    case 'MCVPViolation': return 'MCVP'
+    case 'MissedSave': return 'Missed Save'
+    case 'MisreadSave': return 'Misread Save'
+    // Phase 3
+    case 'MissedPrompt': return 'Missed Prompt'
+    case 'MissedFinesse': return 'Missed Finesse'
+    case 'BrokenFinesse': return 'Broken Finesse'
+    default: return type
+  }
+}
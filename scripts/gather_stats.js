@@ -1,191 +1,104 @@
 // Gather playstyle percentile tables from 100+ players via the backend API
-// Requires the backend to be running (each API call analyzes ~50 games, takes 30-60s)
+// Requires the backend to be running for collect (each API call analyzes ~50 games, takes 30-60s)
 //
-// Usage: node scripts/gather_stats.js [--api-url URL] [--delay-ms MS] [--target N]
-
-const args = process.argv.slice(2)
-function getArg(name, defaultVal) {
-  const idx = args.indexOf(name)
-  return idx >= 0 && idx + 1 < args.length ? args[idx + 1] : defaultVal
+// Usage: node scripts/gather_stats.js <command> [options]
+//
+//   discover     find player names in the --variants global game lists
+//   verify       check each player's last 100 games and select --target qualifying players
+//   collect      fetch each selected player's playstyle rates from the backend, over their
+//                games in the selected variants (and player-count bucket)
+//   percentiles  compute the percentile lookup tables (and bootstrap intervals)
+//   report       print the tables as text, or as the backend's C# source (--format csharp)
+//   violations   rank convention violations by frequency, as JSON or Markdown (--format markdown)
+//   run          discover through percentiles in one process, printing the text report
+//
+// Each stage reads the previous stage's JSON from stdin (or --in FILE) and writes
+// its own to stdout (or --out FILE); progress goes to stderr. Every output carries
+// the parameters of all stages before it, so the final artifact records how it was made:
+//
+//   node scripts/gather_stats.js discover --variants 0 --pages 20 \
+//     | node scripts/gather_stats.js verify --player-counts 2,3-4,5-6 --sample stratified \
+//     | node scripts/gather_stats.js collect --concurrency 4 --out players.json
+//   node scripts/gather_stats.js percentiles --in players.json --bootstrap 2000 --out stats.json
+//   node scripts/gather_stats.js report --in stats.json
+//   node scripts/gather_stats.js report --format csharp --in stats.json \
+//     --out MyWebApi/Controllers/HanabiController.Percentiles.cs
+//   node scripts/gather_stats.js violations --format markdown --in players.json --out violations.md
+//
+// Saving intermediate outputs means the percentile math can be rerun with other
+// --winsorize/--bootstrap/--weight-by-games settings without touching the network.
+// Run any command with --help for its options.
+//
+// discover, verify and collect save progress to the state file as it arrives.
+// After a crash or Ctrl-C, rerun the stage with --resume to skip work already
+// done, or --fresh to discard that stage's saved progress and start over.
+//
+// Exit codes: 0 on success, 1 when a stage fails, 2 on invalid arguments.
+//
+// Tests (offline, no dependencies): node --test scripts/gather_stats/test/
+
+const { UsageError, EXIT_FAILURE, EXIT_USAGE, log, parseOptions, formatOptions, readInput, writeOutput } = require('./gather_stats/cli')
+const { inOption, outOption } = require('./gather_stats/pipeline')
+
+const COMMANDS = ['discover', 'verify', 'collect', 'percentiles', 'report', 'violations', 'run']
+  .map(name => require(`./gather_stats/commands/${name}`))
+
+const SCRIPT = 'node scripts/gather_stats.js'
+
+function globalHelp() {
+  const width = Math.max(...COMMANDS.map(c => c.name.length)) + 2
+  return [
+    `Usage: ${SCRIPT} <command> [options]`,
+    '',
+    'Commands:',
+    ...COMMANDS.map(c => `  ${c.name.padEnd(width)}${c.summary}`),
+    '',
+    'Stages pipe JSON: each reads the previous stage\'s output from stdin or --in',
+    'and writes its own to stdout or --out.',
+    `Run "${SCRIPT} <command> --help" for a command's options.`,
+  ].join('\n')
 }
 
-const API_URL = getArg('--api-url', 'http://localhost:5191')
-const DELAY_MS = parseInt(getArg('--delay-ms', '5000'))
-const TARGET_PLAYERS = parseInt(getArg('--target', '100'))
-const DISCOVERY_DELAY_MS = 150
-
-async function fetchJSON(url) {
-  for (let attempt = 0; attempt < 3; attempt++) {
-    try {
-      const res = await fetch(url)
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      return res.json()
-    } catch (e) {
-      if (attempt < 2) await sleep(1000 * (attempt + 1))
-      else throw e
-    }
-  }
+const commandSpecs = (command) => [...command.options, ...(command.input ? [inOption] : []), outOption]
+
+function commandHelp(command) {
+  const input = command.input ? ` (reads ${command.input.join(' or ')} output)` : ''
+  return [
+    `Usage: ${SCRIPT} ${command.name} [options]`,
+    '',
+    `${command.summary}${input}`,
+    '',
+    'Options:',
+    formatOptions(commandSpecs(command)),
+  ].join('\n')
 }
 
-async function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
-
-async function main() {
-  console.log(`Backend: ${API_URL}`)
-  console.log(`Delay between API calls: ${DELAY_MS}ms`)
-  console.log(`Target players: ${TARGET_PLAYERS}`)
-
-  // Phase 1: Discover players via global No Variant game history
-  // Scan enough pages to find many unique players, then verify each via their history
-  const playerNames = new Set()
-  const PAGES_TO_FETCH = 50 // 50 pages × 100 games = 5000 games scanned
-
-  console.log('\n=== Phase 1: Discovering player names from global No Variant games ===')
-  for (let page = 0; page < PAGES_TO_FETCH; page++) {
-    try {
-      const data = await fetchJSON(`https://hanab.live/api/v1/variants/0?size=100&page=${page}`)
-      const games = data.rows || []
-      if (games.length === 0) {
-        console.log(`  page ${page}: no more games, stopping`)
-        break
-      }
-      for (const g of games) {
-        g.users.split(', ').forEach(u => playerNames.add(u.trim()))
-      }
-      console.log(`  page ${page}: ${games.length} games, ${playerNames.size} unique players so far`)
-      await sleep(DISCOVERY_DELAY_MS)
-    } catch (e) {
-      console.log(`  page ${page}: FAILED (${e.message})`)
-    }
-  }
-
-  console.log(`\nFound ${playerNames.size} unique player names`)
-
-  // Phase 1b: Verify each candidate has 50+ No Variant games via their history
-  const qualifying = []
-  console.log('\n=== Phase 1b: Verifying 50+ No Variant games ===')
-
-  for (const name of playerNames) {
-    if (qualifying.length >= TARGET_PLAYERS) break
-    try {
-      const data = await fetchJSON(`https://hanab.live/api/v1/history/${encodeURIComponent(name)}?size=100`)
-      const v0Count = (data.rows || []).filter(r => r.variant === 0).length
-      if (v0Count >= 50) {
-        qualifying.push(name)
-        console.log(`  ${name}: ${v0Count} v0 games - QUALIFIES (${qualifying.length}/${TARGET_PLAYERS})`)
-      }
-      await sleep(DISCOVERY_DELAY_MS)
-    } catch (e) {
-      console.log(`  ${name}: FAILED (${e.message})`)
-    }
-  }
-
-  console.log(`\n${qualifying.length} qualifying players`)
-
-  // Phase 2: Call backend playstyle API for each player
-  console.log('\n=== Phase 2: Fetching playstyle from backend API ===')
-  console.log(`  (each call analyzes ~50 games, expect 30-60s per player)\n`)
-
-  const allRates = []
-
-  for (let i = 0; i < qualifying.length; i++) {
-    const player = qualifying[i]
-    const url = `${API_URL}/hanabi/history/${encodeURIComponent(player)}/playstyle?size=50&level=2`
-    try {
-      const start = Date.now()
-      const data = await fetchJSON(url)
-      const elapsed = ((Date.now() - start) / 1000).toFixed(1)
-
-      if (data.gamesAnalyzed < 10 || data.totalActions === 0) {
-        console.log(`  [${i + 1}/${qualifying.length}] ${player}: only ${data.gamesAnalyzed} games, skipping (${elapsed}s)`)
-        continue
-      }
-
-      allRates.push({
-        name: player,
-        games: data.gamesAnalyzed,
-        playRate: data.rates.playRate,
-        discardRate: data.rates.discardRate,
-        clueRate: data.rates.clueRate,
-        errorRate: data.rates.errorRate,
-        missedSavesPerGame: data.rates.missedSavesPerGame,
-        missedTechPerGame: data.rates.missedTechPerGame,
-        misreadSavesPerGame: data.rates.misreadSavesPerGame,
-        goodTouchPerClue: data.rates.goodTouchPerClue,
-      })
-
-      console.log(`  [${i + 1}/${qualifying.length}] ${player}: ${data.gamesAnalyzed} games, ${elapsed}s`)
-    } catch (e) {
-      console.log(`  [${i + 1}/${qualifying.length}] ${player}: FAILED (${e.message})`)
-    }
-
-    if (i + 1 < qualifying.length) await sleep(DELAY_MS)
-  }
-
-  console.log(`\n${allRates.length} players with valid data`)
-
-  // Phase 3: Compute percentile tables
-  const rateKeys = [
-    { key: 'playRate', field: 'playRate', csharpName: 'PlayRatePercentiles' },
-    { key: 'discardRate', field: 'discardRate', csharpName: 'DiscardRatePercentiles' },
-    { key: 'clueRate', field: 'clueRate', csharpName: 'ClueRatePercentiles' },
-    { key: 'errorRate', field: 'errorRate', csharpName: 'ErrorRatePercentiles' },
-    { key: 'missedSavesPerGame', field: 'missedSavesPerGame', csharpName: 'MissedSavesPerGamePercentiles' },
-    { key: 'missedTechPerGame', field: 'missedTechPerGame', csharpName: 'MissedTechPerGamePercentiles' },
-    { key: 'misreadSavesPerGame', field: 'misreadSavesPerGame', csharpName: 'MisreadSavesPerGamePercentiles' },
-    { key: 'goodTouchPerClue', field: 'goodTouchPerClue', csharpName: 'GoodTouchPerCluePercentiles' },
-  ]
-
-  console.log('\n=== Per-Player Rates ===')
-  console.log(
-    'Player'.padEnd(22) +
-    'Games'.padStart(6) +
-    ' PlayR'.padStart(8) +
-    ' DiscR'.padStart(8) +
-    ' ClueR'.padStart(8) +
-    ' ErrR'.padStart(8) +
-    ' MSv/G'.padStart(8) +
-    ' MTch/G'.padStart(8) +
-    ' MRSv/G'.padStart(8) +
-    ' GT/Clu'.padStart(8)
-  )
-  console.log('-'.repeat(94))
-  for (const p of allRates.sort((a, b) => b.games - a.games)) {
-    console.log(
-      p.name.padEnd(22) +
-      String(p.games).padStart(6) +
-      p.playRate.toFixed(4).padStart(8) +
-      p.discardRate.toFixed(4).padStart(8) +
-      p.clueRate.toFixed(4).padStart(8) +
-      p.errorRate.toFixed(4).padStart(8) +
-      p.missedSavesPerGame.toFixed(2).padStart(8) +
-      p.missedTechPerGame.toFixed(2).padStart(8) +
-      p.misreadSavesPerGame.toFixed(2).padStart(8) +
-      p.goodTouchPerClue.toFixed(4).padStart(8)
-    )
-  }
-
-  if (allRates.length === 0) {
-    console.log('\nNo player data collected. Cannot compute percentiles.')
+async function main(argv) {
+  const [name, ...rest] = argv
+  if (!name) throw new UsageError('missing command')
+  if (name === '--help' || name === '-h') {
+    console.log(globalHelp())
     return
   }
+  const command = COMMANDS.find(c => c.name === name)
+  if (!command) throw new UsageError(`unknown command "${name}"; expected one of ${COMMANDS.map(c => c.name).join(', ')}`)
 
-  console.log('\n=== Distribution Summary ===')
-  for (const { key, field } of rateKeys) {
-    const vals = allRates.map(p => p[field]).sort((a, b) => a - b)
-    const n = vals.length
-    const pct = (p) => vals[Math.min(Math.floor(n * p), n - 1)]
-    console.log(`  ${key.padEnd(22)}: min=${vals[0].toFixed(4)} p25=${pct(0.25).toFixed(4)} p50=${pct(0.5).toFixed(4)} p75=${pct(0.75).toFixed(4)} max=${vals[n - 1].toFixed(4)}`)
-  }
-
-  console.log('\n=== Percentile Lookup Tables (paste into HanabiController.cs) ===')
-  for (const { key, field, csharpName } of rateKeys) {
-    const vals = allRates.map(p => p[field]).sort((a, b) => a - b)
-    const n = vals.length
-    const pcts = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0]
-    const table = pcts.map(p => vals[Math.min(Math.floor(n * p), n - 1)].toFixed(4))
-    console.log(`    private static readonly double[] ${csharpName} =`)
-    console.log(`        { ${table.join(', ')} };`)
+  const opts = parseOptions(rest, commandSpecs(command))
+  if (opts.help) {
+    console.log(commandHelp(command))
+    return
   }
+  const input = command.input ? await readInput(opts.in, command.input) : null
+  writeOutput(opts.out, await command.execute(opts, input))
 }
 
-main().catch(console.error)
+main(process.argv.slice(2)).catch(e => {
+  if (e instanceof UsageError) {
+    log(`error: ${e.message}`)
+    log(`Run with --help for usage.`)
+    process.exitCode = EXIT_USAGE
+  } else {
+    log(`error: ${e.message || e}`)
+    process.exitCode = EXIT_FAILURE
+  }
+})
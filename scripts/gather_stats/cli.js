@@ -0,0 +1,137 @@
+// Argument parsing, help text and JSON I/O shared by the gather_stats subcommands
+
+const fs = require('fs')
+
+// Bad invocation: reported with a pointer to --help and exit code 2
+class UsageError extends Error {}
+
+const EXIT_FAILURE = 1
+const EXIT_USAGE = 2
+
+// Progress goes to stderr so stdout carries only the stage's JSON output
+const log = (...args) => console.error(...args)
+
+const camelCase = (name) => name.replace(/-([a-z])/g, (_, c) => c.toUpperCase())
+
+function parseInteger(name, raw, { min = -Infinity, max = Infinity } = {}) {
+  if (!/^-?\d+$/.test(raw)) throw new UsageError(`--${name} must be an integer, got "${raw}"`)
+  const value = parseInt(raw, 10)
+  if (value < min || value > max) {
+    throw new UsageError(`--${name} must be ${max === Infinity ? `at least ${min}` : `between ${min} and ${max}`}, got ${value}`)
+  }
+  return value
+}
+
+function parseNumber(name, raw, { min = -Infinity, max = Infinity } = {}) {
+  const value = Number(raw)
+  if (raw.trim() === '' || !Number.isFinite(value)) throw new UsageError(`--${name} must be a number, got "${raw}"`)
+  if (value < min || value > max) throw new UsageError(`--${name} must be between ${min} and ${max}, got ${value}`)
+  return value
+}
+
+// Option specs: { name, type, default, help, ... }
+//   type 'string' | 'flag' | 'int' (min, max) | 'number' (min, max) |
+//        'choice' (choices) | 'custom' (parse(raw) -> value, may throw UsageError)
+function convert(spec, raw) {
+  switch (spec.type) {
+    case 'int': return parseInteger(spec.name, raw, spec)
+    case 'number': return parseNumber(spec.name, raw, spec)
+    case 'choice':
+      if (!spec.choices.includes(raw)) throw new UsageError(`--${spec.name} must be one of ${spec.choices.join(', ')}, got "${raw}"`)
+      return raw
+    case 'custom': return spec.parse(raw)
+    default: return raw
+  }
+}
+
+function parseOptions(argv, specs) {
+  const opts = { help: false }
+  for (const spec of specs) opts[camelCase(spec.name)] = spec.type === 'flag' ? false : spec.default ?? null
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (arg === '--help' || arg === '-h') {
+      opts.help = true
+      continue
+    }
+    if (!arg.startsWith('--')) throw new UsageError(`unexpected argument "${arg}"`)
+    const [name, inline] = arg.slice(2).split(/=(.*)/s)
+    const spec = specs.find(s => s.name === name)
+    if (!spec) throw new UsageError(`unknown option --${name}`)
+
+    if (spec.type === 'flag') {
+      if (inline !== undefined) throw new UsageError(`--${name} does not take a value`)
+      opts[camelCase(name)] = true
+      continue
+    }
+    const raw = inline ?? argv[++i]
+    if (raw === undefined || (inline === undefined && raw.startsWith('--'))) {
+      throw new UsageError(`--${name} needs a value`)
+    }
+    opts[camelCase(name)] = convert(spec, raw)
+  }
+  return opts
+}
+
+function formatOptions(specs) {
+  const rows = specs.map(spec => {
+    const value = spec.type === 'flag' ? '' : ` <${spec.metavar || (spec.type === 'choice' ? spec.choices.join('|') : spec.type === 'custom' || spec.type === 'string' ? 'value' : spec.type)}>`
+    const fallback = spec.default !== undefined && spec.default !== null && spec.type !== 'flag' ? ` (default: ${spec.default})` : ''
+    return [`  --${spec.name}${value}`, `${spec.help}${fallback}`]
+  })
+  const width = Math.max(...rows.map(([left]) => left.length)) + 2
+  return rows.map(([left, right]) => left.padEnd(width) + right).join('\n')
+}
+
+async function readStdin() {
+  const chunks = []
+  for await (const chunk of process.stdin) chunks.push(chunk)
+  return Buffer.concat(chunks).toString('utf8')
+}
+
+// Read the previous stage's output from --in FILE or stdin and check its stage
+async function readInput(file, expectedStages) {
+  let text
+  if (file) {
+    if (!fs.existsSync(file)) throw new UsageError(`input file ${file} does not exist`)
+    text = fs.readFileSync(file, 'utf8')
+  } else {
+    if (process.stdin.isTTY) {
+      throw new UsageError(`expects the output of "${expectedStages.join('" or "')}" on stdin or via --in FILE`)
+    }
+    text = await readStdin()
+  }
+
+  let input
+  try {
+    input = JSON.parse(text)
+  } catch (e) {
+    throw new Error(`${file || 'stdin'}: invalid JSON (${e.message})`)
+  }
+  if (!expectedStages.includes(input.stage)) {
+    throw new Error(`${file || 'stdin'}: expected output of "${expectedStages.join('" or "')}", got "${input.stage ?? 'unknown'}"`)
+  }
+  return input
+}
+
+// Write JSON (or preformatted text) to --out FILE or stdout
+function writeOutput(file, data) {
+  const text = typeof data === 'string' ? data : JSON.stringify(data, null, 2) + '\n'
+  if (file) {
+    fs.writeFileSync(file, text)
+    log(`Wrote ${file}`)
+  } else {
+    process.stdout.write(text)
+  }
+}
+
+module.exports = {
+  UsageError,
+  EXIT_FAILURE,
+  EXIT_USAGE,
+  log,
+  parseOptions,
+  formatOptions,
+  readInput,
+  writeOutput,
+}
@@ -0,0 +1,103 @@
+const { log } = require('../cli')
+const { createClient, runPool } = require('../http')
+const { openState, stateOptions } = require('../state')
+const { RATE_KEYS, VIOLATION_TYPES } = require('../stats')
+const { parseBuckets, recordOptions, concurrencyOption, checkRecordOptions, stageOutput, checkSchema } = require('../pipeline')
+
+const PLAYSTYLE_SIZE = 50
+const PLAYSTYLE_LEVEL = 2
+// Fewer analyzed games than this and the rates are too noisy to use
+const MIN_ANALYZED_GAMES = 10
+
+const options = [
+  { name: 'api-url', type: 'string', metavar: 'url', default: 'http://localhost:5191', help: 'Backend base URL' },
+  { name: 'delay-ms', type: 'int', min: 0, default: 5000, help: 'Minimum spacing between backend request starts' },
+  concurrencyOption,
+  ...recordOptions,
+  ...stateOptions,
+]
+
+// Playstyle over the games the player was selected for: the sampled variants
+// and, with player-count buckets, only games in the player's bucket
+function playstyleUrl(apiUrl, { name, bucket }, variants) {
+  const query = new URLSearchParams({ size: PLAYSTYLE_SIZE, level: PLAYSTYLE_LEVEL })
+  for (const variant of variants) query.append('variants', variant)
+  if (bucket) {
+    const [{ min, max }] = parseBuckets(bucket)
+    query.set('minPlayers', min)
+    query.set('maxPlayers', max)
+  }
+  return `${apiUrl.replace(/\/+$/, '')}/hanabi/history/${encodeURIComponent(name)}/playstyle?${query}`
+}
+
+async function execute(opts, input) {
+  checkSchema(input)
+  checkRecordOptions(opts)
+  const client = createClient({
+    hanabUrl: input.params.hanabUrl,
+    concurrency: opts.concurrency,
+    delayMs: opts.delayMs,
+    recordDir: opts.record,
+    replayDir: opts.replay,
+  })
+  const { data, save } = openState(opts, 'collect')
+  data.results ??= {}
+
+  log(`\n=== Fetching playstyle for ${input.players.length} players from ${opts.apiUrl} ===`)
+  const bucketNote = input.params.playerCountBuckets ? ' in the player\'s player-count bucket' : ''
+  log(`  (each call analyzes ~${PLAYSTYLE_SIZE} games of variants ${input.params.variants.join(', ')}${bucketNote}, expect 30-60s per player)\n`)
+
+  let completed = 0
+  const progress = () => `[${++completed}/${input.players.length}]`
+
+  await runPool(input.players, opts.concurrency, async (player) => {
+    const { name } = player
+    if (data.results[name]) {
+      log(`  ${progress()} ${name}: from state file`)
+      return
+    }
+    const url = playstyleUrl(opts.apiUrl, player, input.params.variants)
+    try {
+      const start = Date.now()
+      const body = await client.fetchJSON(url)
+      const elapsed = ((Date.now() - start) / 1000).toFixed(1)
+
+      if (body.gamesAnalyzed < MIN_ANALYZED_GAMES || body.totalActions === 0) {
+        data.results[name] = { skipped: true, games: body.gamesAnalyzed }
+        save()
+        log(`  ${progress()} ${name}: only ${body.gamesAnalyzed} games, skipping (${elapsed}s)`)
+        return
+      }
+
+      const rates = Object.fromEntries(RATE_KEYS.map(({ field }) => [field, body.rates[field]]))
+      const counts = Object.fromEntries(VIOLATION_TYPES.map(({ key }) => [key, body[key]]))
+      data.results[name] = { games: body.gamesAnalyzed, totalActions: body.totalActions, rates, counts }
+      save()
+      log(`  ${progress()} ${name}: ${body.gamesAnalyzed} games, ${elapsed}s`)
+    } catch (e) {
+      log(`  ${progress()} ${name}: FAILED (${e.message})`)
+    }
+  })
+
+  // Keep verify's sampling order and buckets; games is now the analyzed count
+  const players = input.players
+    .filter(({ name }) => data.results[name] && !data.results[name].skipped)
+    .map(({ name, bucket }) => ({ name, bucket, ...data.results[name] }))
+
+  log(`\n${players.length} players with valid data`)
+  if (players.length === 0) throw new Error('no player data collected, cannot compute percentiles')
+
+  return stageOutput('collect', input, {
+    apiUrl: opts.apiUrl,
+    playstyleSize: PLAYSTYLE_SIZE,
+    level: PLAYSTYLE_LEVEL,
+  }, { players })
+}
+
+module.exports = {
+  name: 'collect',
+  summary: 'Fetch each selected player\'s playstyle rates and violation counts from the backend',
+  input: ['verify'],
+  options,
+  execute,
+}
@@ -0,0 +1,104 @@
+const { log } = require('../cli')
+const { createClient } = require('../http')
+const { openState, stateOptions } = require('../state')
+const { parseIdList, recordOptions, hanabUrlOption, checkRecordOptions, stageOutput } = require('../pipeline')
+
+const options = [
+  { name: 'variants', type: 'custom', parse: parseIdList('variants'), metavar: 'ids', default: [0], help: 'Variant IDs whose global game lists are scanned' },
+  { name: 'pages', type: 'int', min: 1, default: 50, help: 'Pages of 100 games to scan per variant' },
+  hanabUrlOption,
+  ...recordOptions,
+  ...stateOptions,
+]
+
+async function execute(opts) {
+  checkRecordOptions(opts)
+  const client = createClient({ hanabUrl: opts.hanabUrl, recordDir: opts.record, replayDir: opts.replay })
+  const { data, save } = openState(opts, 'discover')
+  data.progress ??= {}
+  const playerNames = new Set(data.names)
+
+  // 'ok', 'empty' (past the last game) or 'failed'; names are saved as they arrive
+  const fetchPage = async (variant, page) => {
+    try {
+      const body = await client.fetchJSON(client.hanabApi(`/variants/${variant}?size=100&page=${page}`))
+      const games = body.rows || []
+      if (games.length === 0) {
+        log(`  page ${page}: no more games, stopping`)
+        return 'empty'
+      }
+      for (const g of games) {
+        g.users.split(', ').forEach(u => playerNames.add(u.trim()))
+      }
+      data.names = [...playerNames]
+      log(`  page ${page}: ${games.length} games, ${playerNames.size} unique players so far`)
+      return 'ok'
+    } catch (e) {
+      log(`  page ${page}: FAILED (${e.message})`)
+      return 'failed'
+    }
+  }
+
+  for (const variant of opts.variants) {
+    const progress = data.progress[variant] ??= { nextPage: 0, failedPages: [], done: false }
+    progress.failedPages ??= []
+    log(`\n=== Discovering player names from global variant ${variant} games ===`)
+    if (progress.done) {
+      log(`  already done (${playerNames.size} players in state file)`)
+      continue
+    }
+    if (progress.nextPage > 0) {
+      log(`  resuming at page ${progress.nextPage} (${playerNames.size} players so far)`)
+    }
+
+    // Pages that failed on an earlier run are fetched again first
+    const retry = progress.failedPages
+    progress.failedPages = []
+    for (const page of retry) {
+      if (await fetchPage(variant, page) === 'failed') progress.failedPages.push(page)
+      save()
+    }
+
+    let reachedEnd = false
+    for (let page = progress.nextPage; ; page++) {
+      if (page >= opts.pages) {
+        reachedEnd = true
+        break
+      }
+      const result = await fetchPage(variant, page)
+      if (result === 'empty') {
+        reachedEnd = true
+        break
+      }
+      if (result === 'failed') progress.failedPages.push(page)
+      progress.nextPage = page + 1
+      save()
+    }
+
+    // Done only when nothing is missing; failed pages wait for --resume
+    if (reachedEnd && progress.failedPages.length === 0) {
+      progress.done = true
+    } else if (progress.failedPages.length > 0) {
+      log(`  pages ${progress.failedPages.join(', ')} failed; rerun with --resume to fetch them`)
+    }
+    save()
+  }
+
+  log(`\nFound ${playerNames.size} unique player names`)
+  if (playerNames.size === 0) throw new Error('no players discovered')
+
+  return stageOutput('discover', null, {
+    hanabUrl: opts.hanabUrl,
+    variants: opts.variants,
+    discoveryPages: opts.pages,
+    ...(opts.replay && { replayDir: opts.replay }),
+  }, { names: [...playerNames] })
+}
+
+module.exports = {
+  name: 'discover',
+  summary: 'Find player names in the global game lists of the selected variants',
+  input: null,
+  options,
+  execute,
+}
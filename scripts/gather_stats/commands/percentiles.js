@@ -0,0 +1,56 @@
+const { log } = require('../cli')
+const { PERCENTILES, MIN_BUCKET_PLAYERS, computeTables } = require('../stats')
+const { seedOption, stageOutput, checkSchema } = require('../pipeline')
+
+const options = [
+  { name: 'winsorize', type: 'number', min: 0, max: 0.49, default: 0, help: 'Clamp each metric to its F and 1-F quantiles first' },
+  { name: 'bootstrap', type: 'int', min: 0, default: 1000, help: 'Resamples for 95% confidence intervals (0 to skip)' },
+  { name: 'weight-by-games', type: 'flag', help: 'Weight each player by the games their rates were computed from' },
+  seedOption,
+]
+
+async function execute(opts, input) {
+  checkSchema(input)
+  const tableOptions = {
+    winsorize: opts.winsorize,
+    bootstrap: opts.bootstrap,
+    weightByGames: opts.weightByGames,
+    seed: opts.seed,
+  }
+
+  log(`\n=== Computing percentiles over ${input.players.length} players ===`)
+  const tables = computeTables(input.players, tableOptions)
+
+  let tablesByPlayerCount = null
+  if (input.params.playerCountBuckets) {
+    tablesByPlayerCount = {}
+    for (const label of input.params.playerCountBuckets) {
+      const players = input.players.filter(p => p.bucket === label)
+      if (players.length === 0) continue
+      if (players.length < MIN_BUCKET_PLAYERS) log(`  warning: only ${players.length} players in the ${label}p bucket, tables will be noisy`)
+      tablesByPlayerCount[label] = computeTables(players, tableOptions)
+    }
+  }
+
+  return stageOutput('percentiles', input, {
+    quantileMethod: 'linear interpolation (type 7)',
+    winsorize: opts.winsorize,
+    bootstrap: opts.bootstrap,
+    weightByGames: opts.weightByGames,
+    bootstrapSeed: opts.seed,
+  }, {
+    sampleSize: input.players.length,
+    percentiles: PERCENTILES,
+    tables,
+    tablesByPlayerCount,
+    players: input.players,
+  })
+}
+
+module.exports = {
+  name: 'percentiles',
+  summary: 'Compute percentile lookup tables from collected rates',
+  input: ['collect'],
+  options,
+  execute,
+}
@@ -0,0 +1,146 @@
+const path = require('path')
+const { RATE_KEYS, PERCENTILES, MIN_BUCKET_PLAYERS, quantile, sortPoints, histogramLines } = require('../stats')
+const { checkSchema } = require('../pipeline')
+
+const options = [
+  { name: 'format', type: 'choice', choices: ['text', 'csharp'], default: 'text', help: 'Human-readable report, or the backend\'s percentile table source file' },
+]
+
+// The backend looks tables up by position, so refuse anything it can't use
+function checkTables(input, source) {
+  if (JSON.stringify(input.percentiles) !== JSON.stringify(PERCENTILES)) {
+    throw new Error(`${source}: percentiles must be ${PERCENTILES.join(', ')}`)
+  }
+  for (const { key } of RATE_KEYS) {
+    const values = input.tables?.[key]?.values
+    if (!Array.isArray(values) || values.length !== PERCENTILES.length || values.some(v => typeof v !== 'number')) {
+      throw new Error(`${source}: table ${key} must have ${PERCENTILES.length} numbers`)
+    }
+    if (values.some((v, i) => i > 0 && v < values[i - 1])) {
+      throw new Error(`${source}: table ${key} is not sorted ascending`)
+    }
+  }
+}
+
+function csharpReport(input, source) {
+  checkTables(input, source)
+  const { params, sampleSize, generatedAt } = input
+  const lines = [
+    '// <auto-generated>',
+    '// Generated by scripts/gather_stats.js report --format csharp from',
+    `// ${source} (${generatedAt}). Do not edit by hand: rerun the`,
+    '// script and regenerate this file instead.',
+    '// </auto-generated>',
+    '',
+    'namespace MyWebApi.Controllers;',
+    '',
+    'public partial class HanabiController',
+    '{',
+    `    // Percentile lookup tables from ${sampleSize}-player population study (variants ${params.variants.join(', ')}, ${params.playstyleSize} games each)`,
+    '    // Each array: [p0, p10, p20, p30, p40, p50, p60, p70, p80, p90, p100]',
+  ]
+  for (const { key, csharpName } of RATE_KEYS) {
+    lines.push(`    private static readonly double[] ${csharpName} =`)
+    lines.push(`        { ${input.tables[key].values.map(v => v.toFixed(4)).join(', ')} };`)
+  }
+  lines.push('}', '')
+  return lines.join('\n')
+}
+
+function tableLines(tables, bootstrap) {
+  const lines = []
+  for (const { key, csharpName } of RATE_KEYS) {
+    lines.push(`    private static readonly double[] ${csharpName} =`)
+    lines.push(`        { ${tables[key].values.map(v => v.toFixed(4)).join(', ')} };`)
+  }
+  if (bootstrap > 0) {
+    lines.push('', `  95% bootstrap intervals (${bootstrap} resamples), * = wider than the gap to a neighbouring entry:`)
+    for (const { key } of RATE_KEYS) {
+      const { values, ci, noisy } = tables[key]
+      const cells = values.map((_, i) => `${PERCENTILES[i] * 100}:${ci[i][0].toFixed(3)}-${ci[i][1].toFixed(3)}${noisy[i] ? '*' : ''}`)
+      const flagged = noisy.filter(Boolean).length
+      lines.push(`  ${key.padEnd(20)} ${flagged}/${values.length} noisy  ${cells.join(' ')}`)
+    }
+  }
+  return lines
+}
+
+function textReport(input) {
+  const { params, players } = input
+  const buckets = params.playerCountBuckets
+  const lines = []
+
+  lines.push(`${input.sampleSize} players, variants ${params.variants.join(', ')}, ${params.sample} sampling` +
+    `${params.sample === 'first' ? '' : ` (seed ${params.sampleSeed})`}`)
+  lines.push(`Percentiles: interpolated${params.winsorize ? `, winsorized at ${params.winsorize}` : ''}` +
+    `${params.weightByGames ? ', weighted by games' : ''}, ${params.bootstrap > 0 ? `${params.bootstrap} bootstrap resamples` : 'no bootstrap'}`)
+
+  lines.push('', '=== Per-Player Rates ===')
+  lines.push(
+    'Player'.padEnd(22) +
+    (buckets ? 'Bkt'.padStart(5) : '') +
+    'Games'.padStart(6) +
+    ' PlayR'.padStart(8) +
+    ' DiscR'.padStart(8) +
+    ' ClueR'.padStart(8) +
+    ' ErrR'.padStart(8) +
+    ' MSv/G'.padStart(8) +
+    ' MTch/G'.padStart(8) +
+    ' MRSv/G'.padStart(8) +
+    ' GT/Clu'.padStart(8)
+  )
+  lines.push('-'.repeat(buckets ? 99 : 94))
+  for (const { name, bucket, games, rates } of [...players].sort((a, b) => b.games - a.games)) {
+    lines.push(
+      name.padEnd(22) +
+      (buckets ? bucket.padStart(5) : '') +
+      String(games).padStart(6) +
+      rates.playRate.toFixed(4).padStart(8) +
+      rates.discardRate.toFixed(4).padStart(8) +
+      rates.clueRate.toFixed(4).padStart(8) +
+      rates.errorRate.toFixed(4).padStart(8) +
+      rates.missedSavesPerGame.toFixed(2).padStart(8) +
+      rates.missedTechPerGame.toFixed(2).padStart(8) +
+      rates.misreadSavesPerGame.toFixed(2).padStart(8) +
+      rates.goodTouchPerClue.toFixed(4).padStart(8)
+    )
+  }
+
+  lines.push('', '=== Distribution Summary ===')
+  for (const { key, field } of RATE_KEYS) {
+    const sorted = sortPoints(players.map(p => ({ value: p.rates[field], weight: 1 })))
+    const pct = (p) => quantile(sorted, p).toFixed(4)
+    lines.push(`  ${key.padEnd(22)}: min=${pct(0)} p25=${pct(0.25)} p50=${pct(0.5)} p75=${pct(0.75)} max=${pct(1)}`)
+    lines.push(...histogramLines(sorted.map(x => x.value)))
+  }
+
+  lines.push('', '=== Percentile Lookup Tables ===')
+  lines.push(...tableLines(input.tables, params.bootstrap))
+
+  for (const label of buckets || []) {
+    const count = players.filter(p => p.bucket === label).length
+    lines.push('', `=== Percentile Lookup Tables: ${label}p games (${count} players) ===`)
+    if (!input.tablesByPlayerCount[label]) {
+      lines.push('    no players in this bucket')
+      continue
+    }
+    if (count < MIN_BUCKET_PLAYERS) lines.push(`    warning: only ${count} players, tables will be noisy`)
+    lines.push(...tableLines(input.tablesByPlayerCount[label], params.bootstrap))
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+async function execute(opts, input) {
+  checkSchema(input)
+  if (opts.format === 'csharp') return csharpReport(input, opts.in ? path.basename(opts.in) : 'stdin')
+  return textReport(input)
+}
+
+module.exports = {
+  name: 'report',
+  summary: 'Print the percentile tables as a text report or as the backend\'s C# source',
+  input: ['percentiles'],
+  options,
+  execute,
+}
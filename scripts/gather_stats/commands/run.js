@@ -0,0 +1,35 @@
+const { log, writeOutput } = require('../cli')
+const discover = require('./discover')
+const verify = require('./verify')
+const collect = require('./collect')
+const percentiles = require('./percentiles')
+const report = require('./report')
+const violations = require('./violations')
+
+const stages = [discover, verify, collect, percentiles]
+
+// Every stage's options, once each (shared ones like --concurrency and --seed apply to all stages using them)
+const options = [
+  ...stages
+    .flatMap(stage => stage.options)
+    .filter((spec, i, all) => all.findIndex(s => s.name === spec.name) === i),
+  { name: 'violations-out', type: 'string', metavar: 'file', help: 'Also write the Markdown violation-frequency report to this file' },
+]
+
+async function execute(opts) {
+  let output = null
+  for (const stage of stages) output = await stage.execute(opts, output)
+  log('\n' + await report.execute({ format: 'text' }, output))
+  if (opts.violationsOut) {
+    writeOutput(opts.violationsOut, await violations.execute({ format: 'markdown' }, output))
+  }
+  return output
+}
+
+module.exports = {
+  name: 'run',
+  summary: 'Run discover, verify, collect and percentiles in one go and print the text report',
+  input: null,
+  options,
+  execute,
+}
@@ -0,0 +1,135 @@
+const { UsageError, log } = require('../cli')
+const { createClient, runPool } = require('../http')
+const { openState, stateOptions } = require('../state')
+const { seededRandom, shuffle } = require('../stats')
+const {
+  parseBuckets, recordOptions, inheritedHanabUrlOption, hanabUrlFor, concurrencyOption, seedOption,
+  checkRecordOptions, stageOutput, checkSchema,
+} = require('../pipeline')
+
+const options = [
+  { name: 'min-games', type: 'int', min: 1, default: 50, help: 'Games in the selected variants (and buckets) a player needs among their last 100' },
+  { name: 'player-counts', type: 'custom', parse: parseBuckets, metavar: 'buckets', help: 'Player-count buckets, e.g. 2,3-4,5-6; each player is assigned to the bucket most of their games fall in' },
+  { name: 'sample', type: 'choice', choices: ['first', 'random', 'stratified'], default: 'first', help: 'Discovery order, seeded shuffle, or seeded shuffle with the target split evenly across buckets' },
+  { name: 'target', type: 'int', min: 1, default: 100, help: 'Number of qualifying players to select' },
+  seedOption,
+  concurrencyOption,
+  inheritedHanabUrlOption,
+  ...recordOptions,
+  ...stateOptions,
+]
+
+// Qualifying games for the selected variants and buckets, and the bucket most
+// of them fall in
+function evaluatePlayer(counts, { variants, buckets, minGames }) {
+  const perBucket = {}
+  let games = 0
+  for (const [key, count] of Object.entries(counts)) {
+    const [variant, numPlayers] = key.split(':').map(Number)
+    if (!variants.includes(variant)) continue
+    const bucket = buckets ? buckets.find(b => numPlayers >= b.min && numPlayers <= b.max) : { label: null }
+    if (!bucket) continue
+    games += count
+    perBucket[bucket.label] = (perBucket[bucket.label] || 0) + count
+  }
+  const bucket = buckets ? Object.keys(perBucket).sort((a, b) => perBucket[b] - perBucket[a])[0] ?? null : null
+  return { qualifies: games >= minGames, games, bucket }
+}
+
+async function execute(opts, input) {
+  checkSchema(input)
+  checkRecordOptions(opts)
+  if (opts.sample === 'stratified' && !opts.playerCounts) {
+    throw new UsageError('--sample stratified needs --player-counts buckets')
+  }
+
+  const criteria = { variants: input.params.variants, buckets: opts.playerCounts, minGames: opts.minGames }
+  const hanabUrl = hanabUrlFor(opts, input)
+  const client = createClient({
+    hanabUrl,
+    concurrency: opts.concurrency,
+    recordDir: opts.record,
+    replayDir: opts.replay,
+  })
+  const { data, save } = openState(opts, 'verify')
+  data.gameCounts ??= {}
+
+  log(`\n=== Verifying ${opts.minGames}+ games in variants ${criteria.variants.join(', ')} (${opts.sample} sampling) ===`)
+
+  const candidates = opts.sample === 'first' ? input.names : shuffle(input.names, seededRandom(opts.seed))
+  const evaluated = (name) => data.gameCounts[name] && evaluatePlayer(data.gameCounts[name], criteria)
+
+  // Stratified sampling splits the target evenly across buckets
+  const quota = opts.sample === 'stratified' ? Math.ceil(opts.target / opts.playerCounts.length) : opts.target
+  const selectQualifying = () => {
+    const selected = []
+    const perBucket = {}
+    for (const name of candidates) {
+      const verdict = evaluated(name)
+      if (!verdict?.qualifies) continue
+      if (opts.sample === 'stratified') {
+        if ((perBucket[verdict.bucket] || 0) >= quota) continue
+        perBucket[verdict.bucket] = (perBucket[verdict.bucket] || 0) + 1
+      } else if (selected.length >= opts.target) {
+        break
+      }
+      selected.push(name)
+    }
+    return selected
+  }
+  const targetReached = () => {
+    const selected = selectQualifying()
+    if (opts.sample !== 'stratified') return selected.length >= opts.target
+    return opts.playerCounts.every(b => selected.filter(n => evaluated(n).bucket === b.label).length >= quota)
+  }
+
+  await runPool(candidates, opts.concurrency, async (name) => {
+    if (data.gameCounts[name]) return
+    try {
+      const body = await client.fetchJSON(client.hanabApi(`/history/${encodeURIComponent(name)}?size=100`))
+      const counts = {}
+      for (const r of body.rows || []) {
+        const key = `${r.variant}:${r.num_players}`
+        counts[key] = (counts[key] || 0) + 1
+      }
+      data.gameCounts[name] = counts
+      save()
+      const verdict = evaluatePlayer(counts, criteria)
+      if (verdict.qualifies) {
+        const bucket = verdict.bucket ? `, mostly ${verdict.bucket}p` : ''
+        log(`  ${name}: ${verdict.games} games${bucket} - QUALIFIES (${selectQualifying().length}/${opts.target})`)
+      }
+    } catch (e) {
+      log(`  ${name}: FAILED (${e.message})`)
+    }
+  }, targetReached)
+
+  // In sampling order, so the sample doesn't depend on which requests finished first
+  const players = selectQualifying().map(name => {
+    const { games, bucket } = evaluated(name)
+    return { name, games, bucket }
+  })
+
+  log(`\n${players.length} qualifying players`)
+  for (const b of opts.playerCounts || []) {
+    log(`  ${b.label}p: ${players.filter(p => p.bucket === b.label).length}`)
+  }
+  if (players.length === 0) throw new Error('no qualifying players')
+
+  return stageOutput('verify', input, {
+    hanabUrl,
+    minGames: opts.minGames,
+    playerCountBuckets: opts.playerCounts?.map(b => b.label) ?? null,
+    sample: opts.sample,
+    sampleSeed: opts.seed,
+    target: opts.target,
+  }, { players })
+}
+
+module.exports = {
+  name: 'verify',
+  summary: 'Check discovered players\' recent games and select a sample of qualifying players',
+  input: ['discover'],
+  options,
+  execute,
+}
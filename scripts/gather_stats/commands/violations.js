@@ -0,0 +1,108 @@
+const path = require('path')
+const { VIOLATION_TYPES, quantile, sortPoints, histogramLines } = require('../stats')
+const { stageOutput, checkSchema } = require('../pipeline')
+
+const SUMMARY_QUANTILES = [
+  { key: 'min', p: 0 },
+  { key: 'p25', p: 0.25 },
+  { key: 'median', p: 0.5 },
+  { key: 'p75', p: 0.75 },
+  { key: 'p90', p: 0.9 },
+  { key: 'max', p: 1 },
+]
+
+const options = [
+  { name: 'format', type: 'choice', choices: ['json', 'markdown'], default: 'json', help: 'Ranked report as JSON (pipeable) or as a Markdown document' },
+]
+
+const round4 = (v) => Number(v.toFixed(4))
+
+function distribution(values) {
+  const sorted = sortPoints(values.map(value => ({ value, weight: 1 })))
+  const summary = Object.fromEntries(SUMMARY_QUANTILES.map(({ key, p }) => [key, round4(quantile(sorted, p))]))
+  return { mean: round4(values.reduce((a, b) => a + b, 0) / values.length), ...summary }
+}
+
+// One entry per violation type, most frequent per game first. The pooled rates
+// divide population totals; the distributions are over per-player rates, so a
+// few very active players can't dominate them.
+function rankViolations(players) {
+  const totalGames = players.reduce((sum, p) => sum + p.games, 0)
+  const totalActions = players.reduce((sum, p) => sum + p.totalActions, 0)
+  const totalViolations = players.reduce((sum, p) => sum + VIOLATION_TYPES.reduce((n, { key }) => n + p.counts[key], 0), 0)
+
+  const ranking = VIOLATION_TYPES.map(({ key, label }) => {
+    const total = players.reduce((sum, p) => sum + p.counts[key], 0)
+    const perGame = players.map(p => p.counts[key] / p.games)
+    return {
+      key,
+      label,
+      total,
+      share: totalViolations ? round4(total / totalViolations) : 0,
+      perGame: round4(total / totalGames),
+      per100Actions: round4((total / totalActions) * 100),
+      playersAffected: players.filter(p => p.counts[key] > 0).length,
+      perGameDistribution: distribution(perGame),
+      per100ActionsDistribution: distribution(players.map(p => (p.counts[key] / p.totalActions) * 100)),
+    }
+  }).sort((a, b) => b.perGame - a.perGame)
+
+  return { totalGames, totalActions, totalViolations, ranking }
+}
+
+const formatDistribution = (d) =>
+  `mean ${d.mean}, min ${d.min}, p25 ${d.p25}, median ${d.median}, p75 ${d.p75}, p90 ${d.p90}, max ${d.max}`
+
+function markdownReport(output, players, source) {
+  const { params, sampleSize, totalGames, totalActions, totalViolations, ranking } = output
+  const lines = [
+    '# Convention violations by frequency',
+    '',
+    `Generated by \`scripts/gather_stats.js violations --format markdown\`${source ? ` from ${source}` : ''} (${output.generatedAt}).`,
+    '',
+    `${sampleSize} players, ${totalGames} games and ${totalActions} actions analyzed (variants ${params.variants.join(', ')}, ` +
+      `up to ${params.playstyleSize} games per player, ${params.sample} sampling), ${totalViolations} violations in total.`,
+    '',
+    '| Rank | Violation | Total | Share | Per game | Per 100 actions | Players affected | Median per game (player) | p90 per game (player) |',
+    '| ---: | --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+    ...ranking.map((v, i) =>
+      `| ${i + 1} | ${v.label} | ${v.total} | ${(v.share * 100).toFixed(1)}% | ${v.perGame.toFixed(3)} | ${v.per100Actions.toFixed(3)} | ` +
+      `${v.playersAffected}/${sampleSize} | ${v.perGameDistribution.median.toFixed(3)} | ${v.perGameDistribution.p90.toFixed(3)} |`),
+    '',
+    'Per game and per 100 actions pool every analyzed game; the distributions below are over each player\'s own rate.',
+  ]
+  for (const v of ranking) {
+    lines.push(
+      '',
+      `## ${v.label}`,
+      '',
+      `- Per game: ${formatDistribution(v.perGameDistribution)}`,
+      `- Per 100 actions: ${formatDistribution(v.per100ActionsDistribution)}`,
+      '',
+      'Players by violations per game:',
+      '',
+      '```',
+      ...histogramLines(players.map(p => p.counts[v.key] / p.games)),
+      '```',
+    )
+  }
+  return lines.join('\n') + '\n'
+}
+
+async function execute(opts, input) {
+  checkSchema(input)
+  const output = stageOutput('violations', input, {}, {
+    sampleSize: input.players.length,
+    ...rankViolations(input.players),
+  })
+  if (opts.format === 'json') return output
+  return markdownReport(output, input.players, opts.in && path.basename(opts.in))
+}
+
+module.exports = {
+  name: 'violations',
+  summary: 'Rank convention violations by frequency across the collected players',
+  input: ['collect', 'percentiles'],
+  options,
+  execute,
+}
@@ -0,0 +1,159 @@
+// HTTP client for hanab.live and the backend: per-host rate limits, retries
+// with backoff, and recording/replaying responses for offline runs
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+
+const HANAB_INTERVAL_MS = 150
+const HANAB_MAX_CONCURRENT = 2
+const MAX_ATTEMPTS = 5
+const BACKOFF_BASE_MS = 1000
+const BACKOFF_MAX_MS = 60000
+
+async function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
+
+// Caps concurrent requests to one host and spaces out their start times
+class HostLimiter {
+  constructor({ maxConcurrent, minIntervalMs }) {
+    this.maxConcurrent = maxConcurrent
+    this.minIntervalMs = minIntervalMs
+    this.active = 0
+    this.waiting = []
+    this.nextStart = 0
+  }
+
+  async acquire() {
+    while (this.active >= this.maxConcurrent) {
+      await new Promise(resolve => this.waiting.push(resolve))
+    }
+    this.active++
+    const now = Date.now()
+    const wait = this.nextStart - now
+    this.nextStart = Math.max(now, this.nextStart) + this.minIntervalMs
+    if (wait > 0) await sleep(wait)
+  }
+
+  release() {
+    this.active--
+    const next = this.waiting.shift()
+    if (next) next()
+  }
+
+  // Hold back every request to this host, e.g. after a 429 with Retry-After
+  pauseUntil(time) {
+    this.nextStart = Math.max(this.nextStart, time)
+  }
+}
+
+class HttpError extends Error {
+  constructor(status, retryAfterMs) {
+    super(`HTTP ${status}`)
+    this.status = status
+    this.retryAfterMs = retryAfterMs
+  }
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+// Network errors, 429 and 5xx are worth retrying; other 4xx will not change
+const isRetryable = (e) => !(e instanceof HttpError) || e.status === 429 || e.status >= 500
+
+// Exponential backoff with full jitter
+const backoffMs = (attempt) => Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt)
+
+// Recorded responses: one file per URL, { url, status, body }
+const recordingFile = (dir, url) =>
+  path.join(dir, `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.json`)
+
+/**
+ * @param {object} options
+ * @param {string} options.hanabUrl     hanab.live base URL
+ * @param {number} options.concurrency  max in-flight requests to hosts other than hanab.live
+ * @param {number} options.delayMs      min spacing between request starts to those hosts
+ * @param {string | null} options.recordDir
+ * @param {string | null} options.replayDir
+ */
+function createClient({ hanabUrl, concurrency = 1, delayMs = 0, recordDir = null, replayDir = null }) {
+  const hanabHost = new URL(hanabUrl).host
+  const limiters = new Map()
+
+  const limiterFor = (url) => {
+    const host = new URL(url).host
+    if (!limiters.has(host)) {
+      limiters.set(host, host === hanabHost
+        ? new HostLimiter({ maxConcurrent: Math.min(concurrency, HANAB_MAX_CONCURRENT), minIntervalMs: HANAB_INTERVAL_MS })
+        : new HostLimiter({ maxConcurrent: concurrency, minIntervalMs: delayMs }))
+    }
+    return limiters.get(host)
+  }
+
+  const recordResponse = (url, status, body) => {
+    fs.mkdirSync(recordDir, { recursive: true })
+    fs.writeFileSync(recordingFile(recordDir, url), JSON.stringify({ url, status, body }, null, 2))
+  }
+
+  const replayResponse = (url) => {
+    const file = recordingFile(replayDir, url)
+    if (!fs.existsSync(file)) throw new Error(`no recorded response for ${url}`)
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (recorded.url !== url) throw new Error(`recording ${file} is for ${recorded.url}, not ${url}`)
+    if (recorded.status < 200 || recorded.status >= 300) throw new HttpError(recorded.status, null)
+    return recorded.body
+  }
+
+  async function fetchJSON(url) {
+    if (replayDir) return replayResponse(url)
+
+    const limiter = limiterFor(url)
+    for (let attempt = 0; ; attempt++) {
+      let error
+      await limiter.acquire()
+      try {
+        const res = await fetch(url)
+        if (!res.ok) throw new HttpError(res.status, parseRetryAfter(res.headers.get('retry-after')))
+        const body = await res.json()
+        if (recordDir) recordResponse(url, res.status, body)
+        return body
+      } catch (e) {
+        error = e
+      } finally {
+        limiter.release()
+      }
+
+      const final = attempt + 1 >= MAX_ATTEMPTS || !isRetryable(error)
+      // Record the outcome a replay should reproduce; network errors have no response to save
+      if (final && recordDir && error instanceof HttpError) recordResponse(url, error.status, null)
+      if (final) throw error
+      const delay = error.retryAfterMs ?? backoffMs(attempt)
+      if (error.retryAfterMs != null) limiter.pauseUntil(Date.now() + delay)
+      await sleep(delay)
+    }
+  }
+
+  const hanabApi = (route) => `${hanabUrl.replace(/\/+$/, '')}/api/v1${route}`
+
+  return { fetchJSON, hanabApi }
+}
+
+// Run worker over items with at most `concurrency` in flight; stops handing
+// out items once shouldStop() returns true
+async function runPool(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length && !shouldStop()) {
+      const index = next++
+      await worker(items[index], index)
+    }
+  })
+  await Promise.all(runners)
+}
+
+module.exports = { createClient, runPool, HttpError, HostLimiter, parseRetryAfter }
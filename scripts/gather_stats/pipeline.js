@@ -0,0 +1,84 @@
+// Options and output envelope shared by the pipeline stages
+
+const { UsageError } = require('./cli')
+
+const OUTPUT_SCHEMA_VERSION = 4
+
+// "2,3-4,5-6" -> [{ label: '2', min: 2, max: 2 }, { label: '3-4', min: 3, max: 4 }, ...]
+function parseBuckets(spec) {
+  return spec.split(',').map(part => {
+    const label = part.trim()
+    const match = /^(\d+)(?:-(\d+))?$/.exec(label)
+    const min = match && parseInt(match[1], 10)
+    const max = match && parseInt(match[2] ?? match[1], 10)
+    if (!match || min < 2 || max < min) {
+      throw new UsageError(`--player-counts buckets must look like 2,3-4,5-6, got "${label}"`)
+    }
+    return { label, min, max }
+  })
+}
+
+function parseIdList(name) {
+  return (spec) => spec.split(',').map(part => {
+    if (!/^\d+$/.test(part.trim())) throw new UsageError(`--${name} must be a comma-separated list of IDs, got "${spec}"`)
+    return parseInt(part, 10)
+  })
+}
+
+const outOption = { name: 'out', type: 'string', metavar: 'file', help: 'Write the output to a file instead of stdout' }
+const inOption = { name: 'in', type: 'string', metavar: 'file', help: 'Read the previous stage\'s output from a file instead of stdin' }
+
+const recordOptions = [
+  { name: 'record', type: 'string', metavar: 'dir', help: 'Save every HTTP response to this directory' },
+  { name: 'replay', type: 'string', metavar: 'dir', help: 'Serve HTTP responses from a --record directory instead of the network' },
+]
+
+const DEFAULT_HANAB_URL = 'https://hanab.live'
+
+const hanabUrlOption = { name: 'hanab-url', type: 'string', metavar: 'url', default: DEFAULT_HANAB_URL, help: 'hanab.live base URL' }
+
+// For stages after discover: the URL discover used unless overridden
+const inheritedHanabUrlOption = { ...hanabUrlOption, default: null, help: 'hanab.live base URL (default: the one discover used)' }
+const hanabUrlFor = (opts, input) => opts.hanabUrl ?? input.params.hanabUrl ?? DEFAULT_HANAB_URL
+
+const concurrencyOption = { name: 'concurrency', type: 'int', min: 1, default: 1, help: 'Requests in flight at once (hanab.live is capped at 2)' }
+
+const seedOption = { name: 'seed', type: 'int', default: 1, help: 'Seed for random sampling and bootstrap resampling' }
+
+function checkRecordOptions(opts) {
+  if (opts.record && opts.replay) throw new UsageError('--record and --replay cannot be combined')
+}
+
+// Every stage's output carries the parameters of the stages before it
+function stageOutput(stage, input, params, body) {
+  return {
+    stage,
+    schemaVersion: OUTPUT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    generator: 'scripts/gather_stats.js',
+    params: { ...input?.params, ...params },
+    ...body,
+  }
+}
+
+function checkSchema(input) {
+  if (input.schemaVersion !== OUTPUT_SCHEMA_VERSION) {
+    throw new Error(`input has schemaVersion ${input.schemaVersion}, expected ${OUTPUT_SCHEMA_VERSION}; rerun the earlier stages`)
+  }
+}
+
+module.exports = {
+  parseBuckets,
+  parseIdList,
+  outOption,
+  inOption,
+  recordOptions,
+  hanabUrlOption,
+  inheritedHanabUrlOption,
+  hanabUrlFor,
+  concurrencyOption,
+  seedOption,
+  checkRecordOptions,
+  stageOutput,
+  checkSchema,
+}
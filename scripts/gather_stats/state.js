@@ -0,0 +1,66 @@
+// Checkpoint file for the long-running stages (discover, verify, collect).
+//
+// Each stage keeps its own section, so stages can be rerun independently:
+//   discover: { progress: { variant: { nextPage, failedPages, done } }, names: [name] }
+//   verify:   { gameCounts: { name: { 'variant:numPlayers': count } } }   from the last 100 games,
+//             so changing --variants/--player-counts/--min-games needs no refetch
+//   collect:  { results: { name: { games, totalActions, rates, counts } | { skipped, games } } }
+//             over the player's games in the sampled variants (and bucket)
+// Failed requests are not recorded, so a resumed run retries them.
+
+const fs = require('fs')
+const path = require('path')
+const { UsageError, log } = require('./cli')
+
+const STATE_VERSION = 4
+const DEFAULT_STATE_FILE = path.join(__dirname, '..', '.gather_stats_state.json')
+
+const stateOptions = [
+  { name: 'state', type: 'string', metavar: 'file', default: DEFAULT_STATE_FILE, help: 'Checkpoint file for progress' },
+  { name: 'resume', type: 'flag', help: 'Skip work already saved in the state file' },
+  { name: 'fresh', type: 'flag', help: 'Discard saved progress for this stage and start over' },
+]
+
+let interruptHandlerInstalled = false
+
+function openState({ state: file, resume, fresh }, section) {
+  if (resume && fresh) throw new UsageError('--resume and --fresh cannot be combined')
+
+  let data = { version: STATE_VERSION, startedAt: new Date().toISOString() }
+  if (fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'))
+    if (saved.version === STATE_VERSION) {
+      data = saved
+    } else if (!fresh) {
+      throw new UsageError(`state file ${file} has version ${saved.version}, expected ${STATE_VERSION}; use --fresh to start over`)
+    }
+  }
+
+  const hasProgress = data[section] && Object.keys(data[section]).length > 0
+  if (hasProgress && !resume && !fresh) {
+    throw new UsageError(`state file ${file} already has ${section} progress; pass --resume to continue it or --fresh to start over`)
+  }
+  if (fresh || !data[section]) data[section] = {}
+  if (resume && hasProgress) log(`Resuming ${section} from ${file}`)
+
+  // Write to a temp file and rename, so an interrupted write never corrupts the state
+  const save = () => {
+    data.updatedAt = new Date().toISOString()
+    const tmp = `${file}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2))
+    fs.renameSync(tmp, file)
+  }
+  save()
+
+  if (!interruptHandlerInstalled) {
+    interruptHandlerInstalled = true
+    process.on('SIGINT', () => {
+      log(`\nInterrupted. Progress is saved in ${file}; rerun with --resume to continue.`)
+      process.exit(130)
+    })
+  }
+
+  return { data: data[section], save }
+}
+
+module.exports = { openState, stateOptions }
@@ -0,0 +1,157 @@
+// Sampling and percentile math for the playstyle population study
+
+const RATE_KEYS = [
+  { key: 'playRate', field: 'playRate', csharpName: 'PlayRatePercentiles' },
+  { key: 'discardRate', field: 'discardRate', csharpName: 'DiscardRatePercentiles' },
+  { key: 'clueRate', field: 'clueRate', csharpName: 'ClueRatePercentiles' },
+  { key: 'errorRate', field: 'errorRate', csharpName: 'ErrorRatePercentiles' },
+  { key: 'missedSavesPerGame', field: 'missedSavesPerGame', csharpName: 'MissedSavesPerGamePercentiles' },
+  { key: 'missedTechPerGame', field: 'missedTechPerGame', csharpName: 'MissedTechPerGamePercentiles' },
+  { key: 'misreadSavesPerGame', field: 'misreadSavesPerGame', csharpName: 'MisreadSavesPerGamePercentiles' },
+  { key: 'goodTouchPerClue', field: 'goodTouchPerClue', csharpName: 'GoodTouchPerCluePercentiles' },
+]
+// Per-type violation counts in the playstyle response, summed over the analyzed games
+const VIOLATION_TYPES = [
+  { key: 'misplays', label: 'Misplay' },
+  { key: 'badDiscards', label: 'Bad discard (5 or critical)' },
+  { key: 'goodTouchViolations', label: 'Good Touch violation' },
+  { key: 'mcvpViolations', label: 'MCVP violation' },
+  { key: 'missedSaves', label: 'Missed save' },
+  { key: 'missedPrompts', label: 'Missed prompt' },
+  { key: 'missedFinesses', label: 'Missed or broken finesse' },
+  { key: 'misreadSaves', label: 'Misread save' },
+]
+// The backend's ToPercentile expects p0..p100 in 10% steps
+const PERCENTILES = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0]
+
+// Below this many players a bucket's tables are mostly noise
+const MIN_BUCKET_PLAYERS = 20
+
+const HISTOGRAM_BINS = 20
+const HISTOGRAM_WIDTH = 40
+
+// Small seeded PRNG (mulberry32) so sampling is reproducible across runs
+function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function shuffle(items, random) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+// Quantile of ascending `sorted` points ({ value, weight }) with linear
+// interpolation. Each point sits at the midpoint of its cumulative weight,
+// rescaled so the first point is at 0 and the last at 1; for equal weights
+// this is the usual (n - 1) * p rule (Hyndman & Fan type 7).
+function quantile(sorted, p) {
+  if (sorted.length === 1) return sorted[0].value
+  const midpoints = []
+  let before = 0
+  for (const point of sorted) {
+    midpoints.push(before + point.weight / 2)
+    before += point.weight
+  }
+  const first = midpoints[0]
+  const span = midpoints[midpoints.length - 1] - first
+  for (let i = 1; i < sorted.length; i++) {
+    const position = (midpoints[i] - first) / span
+    if (position >= p) {
+      const prevPosition = (midpoints[i - 1] - first) / span
+      const fraction = (p - prevPosition) / (position - prevPosition)
+      return sorted[i - 1].value + fraction * (sorted[i].value - sorted[i - 1].value)
+    }
+  }
+  return sorted[sorted.length - 1].value
+}
+
+const sortPoints = (points) => [...points].sort((a, b) => a.value - b.value)
+
+function winsorize(sorted, fraction) {
+  if (!fraction) return sorted
+  const lo = quantile(sorted, fraction)
+  const hi = quantile(sorted, 1 - fraction)
+  return sorted.map(x => ({ ...x, value: Math.min(hi, Math.max(lo, x.value)) }))
+}
+
+const percentileTable = (points, winsorizeFraction) => {
+  const sorted = winsorize(sortPoints(points), winsorizeFraction)
+  return PERCENTILES.map(p => quantile(sorted, p))
+}
+
+// 95% interval of each table entry over bootstrap resamples of the players
+function bootstrapIntervals(points, { bootstrap, winsorize: fraction }, random) {
+  const samples = PERCENTILES.map(() => [])
+  for (let b = 0; b < bootstrap; b++) {
+    const resample = points.map(() => points[Math.floor(random() * points.length)])
+    percentileTable(resample, fraction).forEach((v, i) => samples[i].push({ value: v, weight: 1 }))
+  }
+  return samples.map(estimates => {
+    const sorted = sortPoints(estimates)
+    return [quantile(sorted, 0.025), quantile(sorted, 0.975)]
+  })
+}
+
+const round4 = (v) => Number(v.toFixed(4))
+
+/**
+ * Percentile tables over `players` ({ games, rates }), one per RATE_KEYS entry.
+ * @param {{ winsorize: number, bootstrap: number, weightByGames: boolean, seed: number }} options
+ */
+function computeTables(players, options) {
+  const random = seededRandom(options.seed)
+  const tables = {}
+  for (const { key, field, csharpName } of RATE_KEYS) {
+    const points = players.map(p => ({ value: p.rates[field], weight: options.weightByGames ? p.games : 1 }))
+    const values = percentileTable(points, options.winsorize).map(round4)
+    tables[key] = { csharpName, values }
+    if (options.bootstrap > 0) {
+      tables[key].ci = bootstrapIntervals(points, options, random).map(([lo, hi]) => [round4(lo), round4(hi)])
+      // Noisy: the interval is wider than the distance to a neighbouring entry
+      tables[key].noisy = values.map((v, i) => {
+        const width = tables[key].ci[i][1] - tables[key].ci[i][0]
+        const gap = Math.min(i > 0 ? v - values[i - 1] : Infinity, i < values.length - 1 ? values[i + 1] - v : Infinity)
+        return width > gap
+      })
+    }
+  }
+  return tables
+}
+
+function histogramLines(values) {
+  const min = Math.min(...values)
+  const max = Math.max(...values)
+  const width = (max - min) / HISTOGRAM_BINS || 1
+  const counts = new Array(HISTOGRAM_BINS).fill(0)
+  for (const v of values) counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((v - min) / width))]++
+  const peak = Math.max(...counts)
+  return counts.map((count, i) => {
+    const bar = '█'.repeat(Math.round((count / peak) * HISTOGRAM_WIDTH))
+    return `    ${(min + i * width).toFixed(4).padStart(9)} | ${bar}${count ? ` ${count}` : ''}`
+  })
+}
+
+module.exports = {
+  RATE_KEYS,
+  VIOLATION_TYPES,
+  PERCENTILES,
+  MIN_BUCKET_PLAYERS,
+  seededRandom,
+  shuffle,
+  quantile,
+  sortPoints,
+  winsorize,
+  computeTables,
+  histogramLines,
+}
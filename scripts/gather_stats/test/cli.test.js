@@ -0,0 +1,94 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { UsageError, parseOptions, formatOptions, readInput } = require('../cli')
+const { parseBuckets, parseIdList } = require('../pipeline')
+
+const specs = [
+  { name: 'pages', type: 'int', min: 1, default: 50, help: 'Pages to scan' },
+  { name: 'winsorize', type: 'number', min: 0, max: 0.25, default: 0, help: 'Fraction to clamp' },
+  { name: 'format', type: 'choice', choices: ['text', 'csharp'], default: 'text', help: 'Output format' },
+  { name: 'variants', type: 'custom', parse: parseIdList('variants'), metavar: 'ids', default: [0], help: 'Variant IDs' },
+  { name: 'out', type: 'string', metavar: 'file', help: 'Output file' },
+  { name: 'weight-by-games', type: 'flag', help: 'Weight players by games' },
+]
+
+const usageError = (message) => (e) => e instanceof UsageError && e.message === message
+
+test('fills in defaults', () => {
+  assert.deepEqual(parseOptions([], specs), {
+    help: false, pages: 50, winsorize: 0, format: 'text', variants: [0], out: null, weightByGames: false,
+  })
+})
+
+test('reads separate and inline values and camel-cases names', () => {
+  const opts = parseOptions(['--pages', '3', '--winsorize=0.05', '--format', 'csharp', '--variants=0,21', '--out', 'a=b.json', '--weight-by-games'], specs)
+  assert.equal(opts.pages, 3)
+  assert.equal(opts.winsorize, 0.05)
+  assert.equal(opts.format, 'csharp')
+  assert.deepEqual(opts.variants, [0, 21])
+  assert.equal(opts.out, 'a=b.json')
+  assert.equal(opts.weightByGames, true)
+})
+
+test('keeps everything after the first = in an inline value', () => {
+  assert.equal(parseOptions(['--out=x=y'], specs).out, 'x=y')
+})
+
+test('sees --help and -h anywhere', () => {
+  assert.equal(parseOptions(['--pages', '2', '-h'], specs).help, true)
+  assert.equal(parseOptions(['--help'], specs).help, true)
+})
+
+test('rejects bad invocations with usage errors', () => {
+  assert.throws(() => parseOptions(['pages'], specs), usageError('unexpected argument "pages"'))
+  assert.throws(() => parseOptions(['--nope'], specs), usageError('unknown option --nope'))
+  assert.throws(() => parseOptions(['--pages'], specs), usageError('--pages needs a value'))
+  assert.throws(() => parseOptions(['--pages', '--format', 'text'], specs), usageError('--pages needs a value'))
+  assert.throws(() => parseOptions(['--weight-by-games=yes'], specs), usageError('--weight-by-games does not take a value'))
+})
+
+test('checks integer, number and choice values', () => {
+  assert.throws(() => parseOptions(['--pages', '2.5'], specs), usageError('--pages must be an integer, got "2.5"'))
+  assert.throws(() => parseOptions(['--pages', '0'], specs), usageError('--pages must be at least 1, got 0'))
+  assert.throws(() => parseOptions(['--winsorize', 'abc'], specs), usageError('--winsorize must be a number, got "abc"'))
+  assert.throws(() => parseOptions(['--winsorize', '0.5'], specs), usageError('--winsorize must be between 0 and 0.25, got 0.5'))
+  assert.throws(() => parseOptions(['--format', 'xml'], specs), usageError('--format must be one of text, csharp, got "xml"'))
+  assert.throws(() => parseOptions(['--variants', '0,x'], specs), usageError('--variants must be a comma-separated list of IDs, got "0,x"'))
+})
+
+test('formatOptions aligns help and shows defaults', () => {
+  const lines = formatOptions(specs).split('\n')
+  assert.equal(lines[0], '  --pages <int>           Pages to scan (default: 50)')
+  assert.equal(lines[2], '  --format <text|csharp>  Output format (default: text)')
+  assert.equal(lines[4], '  --out <file>            Output file')
+  assert.equal(lines[5], '  --weight-by-games       Weight players by games')
+})
+
+test('parseBuckets reads player-count buckets', () => {
+  assert.deepEqual(parseBuckets('2,3-4, 5-6'), [
+    { label: '2', min: 2, max: 2 },
+    { label: '3-4', min: 3, max: 4 },
+    { label: '5-6', min: 5, max: 6 },
+  ])
+  assert.throws(() => parseBuckets('1-3'), UsageError)
+  assert.throws(() => parseBuckets('4-3'), UsageError)
+  assert.throws(() => parseBuckets('2,x'), UsageError)
+})
+
+test('readInput checks the stage of the input file', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gather-stats-cli-'))
+  try {
+    const file = path.join(dir, 'in.json')
+    fs.writeFileSync(file, JSON.stringify({ stage: 'collect', players: [] }))
+    assert.deepEqual(await readInput(file, ['collect']), { stage: 'collect', players: [] })
+    await assert.rejects(readInput(file, ['percentiles']), /expected output of "percentiles", got "collect"/)
+    fs.writeFileSync(file, '{ nope')
+    await assert.rejects(readInput(file, ['collect']), /invalid JSON/)
+    await assert.rejects(readInput(path.join(dir, 'missing.json'), ['collect']), UsageError)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const collect = require('../commands/collect')
+const { stageOutput } = require('../pipeline')
+const { RATE_KEYS, VIOLATION_TYPES } = require('../stats')
+
+const API_URL = 'http://localhost:5191'
+
+let dir
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gather-stats-collect-'))
+  fs.mkdirSync(path.join(dir, 'replay'))
+  mock.method(console, 'error', () => {})
+})
+afterEach(() => {
+  mock.restoreAll()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+// Same file layout as http.js's --record
+function record(url, body) {
+  const file = `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.json`
+  fs.writeFileSync(path.join(dir, 'replay', file), JSON.stringify({ url, status: 200, body }))
+}
+
+const playstyle = {
+  gamesAnalyzed: 40,
+  totalActions: 900,
+  rates: Object.fromEntries(RATE_KEYS.map(({ field }) => [field, 0.1])),
+  ...Object.fromEntries(VIOLATION_TYPES.map(({ key }) => [key, 2])),
+}
+
+const verified = (buckets, players) =>
+  stageOutput('verify', null, { hanabUrl: 'https://hanab.test', variants: [0, 21], playerCountBuckets: buckets }, { players })
+
+const run = (input) => collect.execute({
+  apiUrl: `${API_URL}/`,
+  delayMs: 0,
+  concurrency: 1,
+  replay: path.join(dir, 'replay'),
+  state: path.join(dir, 'state.json'),
+}, input)
+
+test('asks for the sampled variants and the player\'s player-count bucket', async () => {
+  record(`${API_URL}/hanabi/history/alice/playstyle?size=50&level=2&variants=0&variants=21&minPlayers=3&maxPlayers=4`, playstyle)
+  record(`${API_URL}/hanabi/history/bob/playstyle?size=50&level=2&variants=0&variants=21&minPlayers=2&maxPlayers=2`, playstyle)
+  const output = await run(verified(['2', '3-4'], [{ name: 'alice', bucket: '3-4' }, { name: 'bob', bucket: '2' }]))
+  assert.deepEqual(output.players.map(p => [p.name, p.bucket, p.games]), [['alice', '3-4', 40], ['bob', '2', 40]])
+  assert.equal(output.players[0].counts.misplays, 2)
+})
+
+test('leaves out the player-count filter without buckets', async () => {
+  record(`${API_URL}/hanabi/history/alice/playstyle?size=50&level=2&variants=0&variants=21`, { ...playstyle, gamesAnalyzed: 5 })
+  await assert.rejects(run(verified(null, [{ name: 'alice', bucket: null }])), /no player data collected/)
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8')).collect.results
+  assert.deepEqual(saved, { alice: { skipped: true, games: 5 } })
+})
@@ -0,0 +1,79 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const discover = require('../commands/discover')
+
+const HANAB_URL = 'https://hanab.test'
+const pageUrl = (page) => `${HANAB_URL}/api/v1/variants/0?size=100&page=${page}`
+
+let dir
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gather-stats-discover-'))
+  fs.mkdirSync(path.join(dir, 'replay'))
+  mock.method(console, 'error', () => {})
+})
+afterEach(() => {
+  mock.restoreAll()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+// Same file layout as http.js's --record
+function recordPage(page, users) {
+  const url = pageUrl(page)
+  const file = `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.json`
+  const body = { rows: users.map(u => ({ users: u })) }
+  fs.writeFileSync(path.join(dir, 'replay', file), JSON.stringify({ url, status: 200, body }))
+}
+
+const run = (overrides = {}) => discover.execute({
+  variants: [0],
+  pages: 5,
+  hanabUrl: HANAB_URL,
+  replay: path.join(dir, 'replay'),
+  state: path.join(dir, 'state.json'),
+  ...overrides,
+})
+
+const savedProgress = () => JSON.parse(fs.readFileSync(path.join(dir, 'state.json'), 'utf8')).discover.progress[0]
+
+test('stops at the first empty page and marks the variant done', async () => {
+  recordPage(0, ['alice, bob'])
+  recordPage(1, ['carol, alice'])
+  recordPage(2, [])
+  const output = await run()
+  assert.deepEqual(output.names.sort(), ['alice', 'bob', 'carol'])
+  assert.deepEqual(savedProgress(), { nextPage: 2, failedPages: [], done: true })
+})
+
+test('stops at --pages', async () => {
+  recordPage(0, ['alice, bob'])
+  recordPage(1, ['carol, dave'])
+  await run({ pages: 1 })
+  assert.deepEqual(savedProgress(), { nextPage: 1, failedPages: [], done: true })
+})
+
+test('keeps failed pages and fetches them again on --resume', async () => {
+  recordPage(0, ['alice, bob'])
+  // page 1 has no recording, so it fails
+  recordPage(2, ['erin, frank'])
+  recordPage(3, [])
+  const first = await run()
+  assert.deepEqual(first.names.sort(), ['alice', 'bob', 'erin', 'frank'])
+  assert.deepEqual(savedProgress(), { nextPage: 3, failedPages: [1], done: false })
+
+  recordPage(1, ['carol, dave'])
+  const resumed = await run({ resume: true })
+  assert.deepEqual(resumed.names.sort(), ['alice', 'bob', 'carol', 'dave', 'erin', 'frank'])
+  assert.deepEqual(savedProgress(), { nextPage: 3, failedPages: [], done: true })
+})
+
+test('a page that fails again stays pending', async () => {
+  recordPage(0, ['alice, bob'])
+  recordPage(2, [])
+  await run()
+  await run({ resume: true })
+  assert.deepEqual(savedProgress(), { nextPage: 2, failedPages: [1], done: false })
+})
@@ -0,0 +1,135 @@
+const { test, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const { createClient, HttpError, HostLimiter, parseRetryAfter } = require('../http')
+
+afterEach(() => {
+  mock.restoreAll()
+})
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms))
+
+// Stand-in for fetch that answers calls in order; each answer is a status,
+// optionally with a Retry-After header. Records when each call started.
+function stubFetch(answers) {
+  const calls = []
+  mock.method(globalThis, 'fetch', async (url) => {
+    const answer = answers[calls.length] ?? answers.at(-1)
+    calls.push({ url, at: Date.now() })
+    const { status, retryAfter = null } = typeof answer === 'number' ? { status: answer } : answer
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      headers: { get: (name) => (name.toLowerCase() === 'retry-after' ? retryAfter : null) },
+      json: async () => ({ url }),
+    }
+  })
+  return calls
+}
+
+// Another host than hanab.live, so only --concurrency and --delay apply
+const API = 'http://localhost:5191'
+const client = (options = {}) => createClient({ hanabUrl: 'https://hanab.test', concurrency: 2, ...options })
+
+test('parseRetryAfter reads seconds or an HTTP date', () => {
+  mock.method(Date, 'now', () => Date.parse('Wed, 01 May 2024 12:00:00 GMT'))
+  assert.equal(parseRetryAfter('3'), 3000)
+  assert.equal(parseRetryAfter('0.5'), 500)
+  assert.equal(parseRetryAfter('Wed, 01 May 2024 12:00:10 GMT'), 10000)
+  // Already past
+  assert.equal(parseRetryAfter('Wed, 01 May 2024 11:00:00 GMT'), 0)
+  assert.equal(parseRetryAfter('-5'), 0)
+  assert.equal(parseRetryAfter(null), null)
+  assert.equal(parseRetryAfter('soon'), null)
+})
+
+test('HostLimiter caps concurrent requests', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 2, minIntervalMs: 0 })
+  let active = 0
+  let peak = 0
+  await Promise.all(Array.from({ length: 5 }, async () => {
+    await limiter.acquire()
+    active++
+    peak = Math.max(peak, active)
+    await sleep(5)
+    active--
+    limiter.release()
+  }))
+  assert.equal(peak, 2)
+  assert.equal(limiter.active, 0)
+})
+
+test('HostLimiter spaces out request starts', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 3, minIntervalMs: 40 })
+  const starts = []
+  await Promise.all(Array.from({ length: 3 }, async () => {
+    await limiter.acquire()
+    starts.push(Date.now())
+    limiter.release()
+  }))
+  assert.ok(starts[1] - starts[0] >= 39, `second start ${starts[1] - starts[0]}ms after the first`)
+  assert.ok(starts[2] - starts[1] >= 39, `third start ${starts[2] - starts[1]}ms after the second`)
+})
+
+test('HostLimiter holds every request back until a pause ends', async () => {
+  const limiter = new HostLimiter({ maxConcurrent: 2, minIntervalMs: 0 })
+  const pausedAt = Date.now()
+  limiter.pauseUntil(pausedAt + 60)
+  // A shorter pause does not cut the longer one short
+  limiter.pauseUntil(pausedAt + 10)
+  await limiter.acquire()
+  assert.ok(Date.now() - pausedAt >= 59, `started ${Date.now() - pausedAt}ms into the pause`)
+})
+
+test('retries 5xx responses with backoff', async () => {
+  // No jitter: every backoff is 0ms
+  mock.method(Math, 'random', () => 0)
+  const calls = stubFetch([503, 500, 200])
+  assert.deepEqual(await client().fetchJSON(`${API}/a`), { url: `${API}/a` })
+  assert.equal(calls.length, 3)
+})
+
+test('backs off longer after each failed attempt', async () => {
+  // Full jitter over 1s, 2s, 4s: 10ms, 20ms, 40ms at this random value
+  mock.method(Math, 'random', () => 0.01)
+  const calls = stubFetch([503, 503, 503, 200])
+  await client().fetchJSON(`${API}/a`)
+  const gaps = calls.slice(1).map((call, i) => call.at - calls[i].at)
+  assert.ok(gaps[0] >= 9 && gaps[1] >= 19 && gaps[2] >= 39, `gaps ${gaps.join(', ')}ms`)
+})
+
+test('gives up after five attempts', async () => {
+  mock.method(Math, 'random', () => 0)
+  const calls = stubFetch([503])
+  await assert.rejects(client().fetchJSON(`${API}/a`), (e) => e instanceof HttpError && e.status === 503)
+  assert.equal(calls.length, 5)
+})
+
+test('does not retry other 4xx responses', async () => {
+  const calls = stubFetch([404])
+  await assert.rejects(client().fetchJSON(`${API}/a`), (e) => e instanceof HttpError && e.status === 404)
+  assert.equal(calls.length, 1)
+})
+
+test('waits for Retry-After instead of backing off', async () => {
+  const random = mock.method(Math, 'random', () => 0)
+  const calls = stubFetch([{ status: 429, retryAfter: '0.1' }, 200])
+  await client().fetchJSON(`${API}/a`)
+  assert.equal(calls.length, 2)
+  assert.ok(calls[1].at - calls[0].at >= 99, `retried after ${calls[1].at - calls[0].at}ms`)
+  assert.equal(random.mock.callCount(), 0)
+})
+
+test('Retry-After also holds back other requests to that host', async () => {
+  const calls = stubFetch([{ status: 429, retryAfter: '0.1' }, 200, 200])
+  const http = client()
+  const first = http.fetchJSON(`${API}/a`)
+  await sleep(20)
+  const second = http.fetchJSON(`${API}/b`)
+  await Promise.all([first, second])
+
+  const [limited, ...rest] = calls
+  assert.equal(limited.url, `${API}/a`)
+  for (const call of rest) {
+    assert.ok(call.at - limited.at >= 99, `${call.url} started ${call.at - limited.at}ms after the 429`)
+  }
+})
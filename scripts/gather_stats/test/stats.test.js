@@ -0,0 +1,111 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  RATE_KEYS, PERCENTILES, seededRandom, shuffle, quantile, sortPoints, winsorize, computeTables, histogramLines,
+} = require('../stats')
+
+const points = (values, weights = values.map(() => 1)) => sortPoints(values.map((value, i) => ({ value, weight: weights[i] })))
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`)
+
+// A player whose every rate is `value`
+const player = (value, games = 50) => ({ games, rates: Object.fromEntries(RATE_KEYS.map(r => [r.field, value])) })
+
+test('quantile with equal weights is Hyndman & Fan type 7', () => {
+  const sorted = points([5, 1, 4, 2, 3])
+  assert.equal(quantile(sorted, 0), 1)
+  close(quantile(sorted, 0.1), 1.4)
+  assert.equal(quantile(sorted, 0.25), 2)
+  close(quantile(sorted, 0.9), 4.6)
+  assert.equal(quantile(sorted, 1), 5)
+  assert.equal(quantile(points([7]), 0.3), 7)
+})
+
+test('quantile places weighted points at their cumulative-weight midpoints', () => {
+  // Midpoints 0.5, 1.5, 3 rescale to positions 0, 0.4, 1
+  const sorted = points([10, 20, 30], [1, 1, 2])
+  close(quantile(sorted, 0.4), 20)
+  close(quantile(sorted, 0.5), 20 + (0.1 / 0.6) * 10)
+  close(quantile(sorted, 0.2), 15)
+  // The same sample with equal weights has its median at 20
+  assert.equal(quantile(points([10, 20, 30]), 0.5), 20)
+})
+
+test('winsorize clamps to the fraction and 1 - fraction quantiles', () => {
+  const sorted = points([1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+  const values = winsorize(sorted, 0.1).map(p => p.value)
+  close(values[0], 1.9)
+  close(values[9], 9.1)
+  assert.deepEqual(values.slice(1, 9), [2, 3, 4, 5, 6, 7, 8, 9])
+  assert.equal(winsorize(sorted, 0), sorted)
+})
+
+test('computeTables gives the 11 backend percentiles per rate', () => {
+  const players = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(v => player(v / 10))
+  const tables = computeTables(players, { winsorize: 0, bootstrap: 0, weightByGames: false, seed: 1 })
+  assert.deepEqual(Object.keys(tables), RATE_KEYS.map(r => r.key))
+  assert.deepEqual(tables.playRate.values, PERCENTILES)
+  assert.equal(tables.playRate.csharpName, 'PlayRatePercentiles')
+  assert.equal(tables.playRate.ci, undefined)
+})
+
+test('computeTables weights players by games when asked', () => {
+  const players = [player(0.1, 10), player(0.2, 10), player(0.3, 20)]
+  const unweighted = computeTables(players, { winsorize: 0, bootstrap: 0, weightByGames: false, seed: 1 })
+  const weighted = computeTables(players, { winsorize: 0, bootstrap: 0, weightByGames: true, seed: 1 })
+  assert.equal(unweighted.playRate.values[5], 0.2)
+  assert.equal(weighted.playRate.values[5], 0.2167)
+})
+
+test('bootstrap intervals of a two-point sample span both points', () => {
+  // Resamples of {0, 1} are {0,0}, {0,1} or {1,1}, each common enough to land
+  // inside the 2.5-97.5% range of 500 resamples
+  const tables = computeTables([player(0), player(1)], { winsorize: 0, bootstrap: 500, weightByGames: false, seed: 7 })
+  assert.deepEqual(tables.playRate.ci, PERCENTILES.map(() => [0, 1]))
+})
+
+test('bootstrap is reproducible for a seed', () => {
+  const players = [0.31, 0.35, 0.38, 0.4, 0.42, 0.44, 0.47, 0.52].map(v => player(v))
+  const options = { winsorize: 0.05, bootstrap: 200, weightByGames: false, seed: 3 }
+  assert.deepEqual(computeTables(players, options), computeTables(players, options))
+  const other = computeTables(players, { ...options, seed: 4 })
+  assert.notDeepEqual(other.playRate.ci, computeTables(players, options).playRate.ci)
+})
+
+test('identical players give zero-width intervals that are never noisy', () => {
+  const tables = computeTables([player(0.4), player(0.4), player(0.4)], { winsorize: 0, bootstrap: 50, weightByGames: false, seed: 1 })
+  assert.deepEqual(tables.playRate.ci, PERCENTILES.map(() => [0.4, 0.4]))
+  assert.deepEqual(tables.playRate.noisy, PERCENTILES.map(() => false))
+})
+
+test('an entry is noisy when its interval is wider than the gap to a neighbour', () => {
+  // p0..p100 of {0, 1} are 0, 0.1, ..., 1: gaps of 0.1 against intervals of width 1
+  const tables = computeTables([player(0), player(1)], { winsorize: 0, bootstrap: 500, weightByGames: false, seed: 7 })
+  assert.deepEqual(tables.playRate.noisy, PERCENTILES.map(() => true))
+})
+
+test('seededRandom and shuffle are deterministic permutations', () => {
+  const a = seededRandom(42)
+  const b = seededRandom(42)
+  const draws = Array.from({ length: 5 }, () => a())
+  assert.deepEqual(draws, Array.from({ length: 5 }, () => b()))
+  assert.ok(draws.every(x => x >= 0 && x < 1))
+
+  const items = [1, 2, 3, 4, 5, 6, 7, 8]
+  const shuffled = shuffle(items, seededRandom(1))
+  assert.deepEqual(shuffled, shuffle(items, seededRandom(1)))
+  assert.deepEqual([...shuffled].sort((x, y) => x - y), items)
+  assert.deepEqual(items, [1, 2, 3, 4, 5, 6, 7, 8])
+})
+
+test('histogram puts the minimum in the first bin and the maximum in the last', () => {
+  const lines = histogramLines([0, 1, 1])
+  assert.equal(lines.length, 20)
+  assert.equal(lines[0], `       0.0000 | ${'█'.repeat(20)} 1`)
+  assert.equal(lines[19], `       0.9500 | ${'█'.repeat(40)} 2`)
+  assert.ok(lines.slice(1, 19).every(line => line.endsWith('| ')))
+})
+
+test('histogram of identical values puts them all in the first bin', () => {
+  const lines = histogramLines([0.5, 0.5])
+  assert.equal(lines[0], `       0.5000 | ${'█'.repeat(40)} 2`)
+})
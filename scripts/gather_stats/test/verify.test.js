@@ -0,0 +1,61 @@
+const { test, beforeEach, afterEach, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const verify = require('../commands/verify')
+const { stageOutput } = require('../pipeline')
+
+const DISCOVER_URL = 'http://localhost:8099'
+
+let dir
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gather-stats-verify-'))
+  fs.mkdirSync(path.join(dir, 'replay'))
+  mock.method(console, 'error', () => {})
+})
+afterEach(() => {
+  mock.restoreAll()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+// Same file layout as http.js's --record
+function recordHistory(baseUrl, name, rows) {
+  const url = `${baseUrl}/api/v1/history/${name}?size=100`
+  const file = `${crypto.createHash('sha1').update(url).digest('hex').slice(0, 16)}.json`
+  fs.writeFileSync(path.join(dir, 'replay', file), JSON.stringify({ url, status: 200, body: { rows } }))
+}
+
+const games = (count, variant = 0, numPlayers = 3) => Array.from({ length: count }, () => ({ variant, num_players: numPlayers }))
+
+const discovered = stageOutput('discover', null, { hanabUrl: DISCOVER_URL, variants: [0] }, { names: ['alice', 'bob'] })
+
+const run = (overrides = {}) => verify.execute({
+  minGames: 5,
+  playerCounts: null,
+  sample: 'first',
+  target: 10,
+  seed: 1,
+  concurrency: 1,
+  hanabUrl: null,
+  replay: path.join(dir, 'replay'),
+  state: path.join(dir, 'state.json'),
+  ...overrides,
+}, discovered)
+
+test('uses the hanab.live URL discover used and records it', async () => {
+  recordHistory(DISCOVER_URL, 'alice', games(6))
+  recordHistory(DISCOVER_URL, 'bob', [...games(3), ...games(3, 21)])
+  const output = await run()
+  assert.equal(output.params.hanabUrl, DISCOVER_URL)
+  assert.deepEqual(output.players, [{ name: 'alice', games: 6, bucket: null }])
+})
+
+test('--hanab-url overrides the URL from the input', async () => {
+  recordHistory('https://mirror.test', 'alice', games(6))
+  recordHistory('https://mirror.test', 'bob', games(6))
+  const output = await run({ hanabUrl: 'https://mirror.test' })
+  assert.equal(output.params.hanabUrl, 'https://mirror.test')
+  assert.equal(output.players.length, 2)
+})